@@ -0,0 +1,97 @@
+/**
+ * Records that accept bulk actions, keyed by the name used in audit entries.
+ * Permissions are those of the entity's own update and delete routes;
+ * searchFields mirror its list endpoint's ?search=, and filters map extra
+ * query parameters onto fields. auditFields identify deleted records in the
+ * audit entry. Entities without an archiveStatus cannot be archived, and only
+ * those with notes or tags take add-note or tag.
+ */
+const BULK_ENTITIES = {
+  contact: {
+    model: 'Contact',
+    label: 'Contact messages',
+    writePermission: 'contacts.write',
+    deletePermission: 'contacts.delete',
+    archiveStatus: 'archived',
+    hasNotes: true,
+    taggable: true,
+    hidesSpam: true,
+    searchFields: ['name', 'email', 'subject'],
+    auditFields: ['name', 'email', 'subject'],
+    filters: { category: 'category', priority: 'priority' }
+  },
+  communityMember: {
+    model: 'CommunityMember',
+    label: 'Community members',
+    writePermission: 'community.write',
+    deletePermission: 'community.delete',
+    archiveStatus: 'archived',
+    hasNotes: true,
+    taggable: true,
+    hidesSpam: true,
+    searchFields: ['name', 'email', 'mobile'],
+    auditFields: ['name', 'email'],
+    filters: {}
+  },
+  volunteer: {
+    model: 'Volunteer',
+    label: 'Volunteers',
+    writePermission: 'volunteers.write',
+    deletePermission: 'volunteers.delete',
+    archiveStatus: 'archived',
+    hasNotes: true,
+    taggable: true,
+    hidesSpam: true,
+    searchFields: ['firstName', 'lastName', 'email', 'phone'],
+    auditFields: ['firstName', 'lastName', 'email'],
+    filters: {}
+  },
+  customVolunteer: {
+    model: 'CustomVolunteer',
+    label: 'Custom volunteers',
+    writePermission: 'customVolunteers.write',
+    deletePermission: 'customVolunteers.delete',
+    // Without this, only records the admin created are touched
+    manageAllPermission: 'customVolunteers.manageAll',
+    archiveStatus: 'archived',
+    hasNotes: true,
+    taggable: false,
+    hidesSpam: false,
+    searchFields: ['fullName', 'email', 'mobile', 'volunteerId'],
+    auditFields: ['volunteerId', 'fullName', 'email'],
+    filters: {}
+  },
+  newsletter: {
+    model: 'Newsletter',
+    label: 'Newsletter subscribers',
+    writePermission: 'newsletter.write',
+    deletePermission: 'newsletter.write',
+    archiveStatus: null,
+    hasNotes: false,
+    taggable: false,
+    hidesSpam: true,
+    searchFields: ['email'],
+    auditFields: ['email'],
+    filters: {}
+  },
+  eventRegistration: {
+    model: 'EventRegistration',
+    label: 'Event registrations',
+    writePermission: 'events.write',
+    deletePermission: 'events.delete',
+    archiveStatus: null,
+    hasNotes: true,
+    taggable: true,
+    hidesSpam: false,
+    searchFields: ['firstName', 'lastName', 'email'],
+    auditFields: ['event', 'firstName', 'lastName', 'email'],
+    filters: { eventId: 'event' }
+  }
+};
+
+const BULK_ACTIONS = ['update-status', 'add-note', 'tag', 'archive', 'delete'];
+
+module.exports = {
+  BULK_ENTITIES,
+  BULK_ACTIONS
+};
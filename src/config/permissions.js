@@ -0,0 +1,94 @@
+/**
+ * Permission catalogue and the default permissions of the built-in roles.
+ * Roles and their permissions live in the Role collection; these defaults are
+ * used to seed it and as a fallback before it has been seeded.
+ */
+
+const PERMISSIONS = [
+  { key: 'admins.read', group: 'Admins', description: 'View admin accounts' },
+  { key: 'admins.manage', group: 'Admins', description: 'Edit, deactivate, unlock and delete admin accounts' },
+  { key: 'admins.impersonate', group: 'Admins', description: 'Act as another admin to see what they see' },
+  { key: 'invitations.manage', group: 'Admins', description: 'Invite new admins and manage invitations' },
+  { key: 'sessions.manage', group: 'Admins', description: "View and revoke other admins' sessions" },
+  { key: 'roles.manage', group: 'Admins', description: 'Create and edit roles and their permissions' },
+  { key: 'apiKeys.manage', group: 'Admins', description: 'Create and revoke API keys for integrations' },
+  { key: 'loginDomains.manage', group: 'Admins', description: 'Choose which email domains may create accounts through social login' },
+
+  { key: 'contacts.read', group: 'Contacts', description: 'View contact messages' },
+  { key: 'contacts.write', group: 'Contacts', description: 'Update contact messages' },
+  { key: 'contacts.reply', group: 'Contacts', description: 'Email replies to contact messages from the dashboard' },
+  { key: 'contacts.assign', group: 'Contacts', description: 'Assign contact messages to admins' },
+  { key: 'contacts.delete', group: 'Contacts', description: 'Delete contact messages' },
+  { key: 'contacts.ingest', group: 'Contacts', description: 'Post inbound email into contact threads (for mail relay API keys)' },
+  { key: 'cannedResponses.manage', group: 'Contacts', description: 'Create, edit and delete canned responses' },
+  { key: 'triage.manage', group: 'Contacts', description: 'Configure triage rules for new contact messages' },
+
+  { key: 'community.read', group: 'Community', description: 'View community members' },
+  { key: 'community.write', group: 'Community', description: 'Update community members' },
+  { key: 'community.delete', group: 'Community', description: 'Delete community members' },
+
+  { key: 'volunteers.read', group: 'Volunteers', description: 'View volunteer sign-ups' },
+  { key: 'volunteers.write', group: 'Volunteers', description: 'Update volunteer sign-ups' },
+  { key: 'volunteers.delete', group: 'Volunteers', description: 'Delete volunteer sign-ups' },
+
+  { key: 'customVolunteers.read', group: 'Custom Volunteers', description: 'View custom volunteers you created' },
+  { key: 'customVolunteers.write', group: 'Custom Volunteers', description: 'Create and update custom volunteers you created' },
+  { key: 'customVolunteers.delete', group: 'Custom Volunteers', description: 'Delete custom volunteers you created' },
+  { key: 'customVolunteers.manageAll', group: 'Custom Volunteers', description: 'Apply custom volunteer permissions to records created by anyone' },
+
+  { key: 'newsletter.read', group: 'Newsletter', description: 'View newsletter subscribers' },
+  { key: 'newsletter.write', group: 'Newsletter', description: 'Unsubscribe and delete newsletter subscribers' },
+  { key: 'newsletter.export', group: 'Newsletter', description: 'Export newsletter subscribers' },
+
+  { key: 'events.read', group: 'Events', description: 'View draft events, registrations and event statistics' },
+  { key: 'events.write', group: 'Events', description: 'Create and update events' },
+  { key: 'events.delete', group: 'Events', description: 'Delete events' },
+
+  { key: 'reports.read', group: 'Reports', description: 'View reports' },
+  { key: 'reports.generate', group: 'Reports', description: 'Generate reports' },
+  { key: 'reports.delete', group: 'Reports', description: 'Delete reports' },
+
+  { key: 'settings.manage', group: 'Settings', description: 'View and change site settings' },
+  { key: 'rateLimits.manage', group: 'Settings', description: 'View and clear rate limit counters for public forms' },
+  { key: 'tags.manage', group: 'Settings', description: 'Create, rename, recolour and delete tags' },
+  { key: 'views.manage', group: 'Settings', description: "Edit and delete other admins' shared views" },
+
+  { key: 'audit.read', group: 'Audit', description: 'View and export the audit log' }
+];
+
+const PERMISSION_KEYS = PERMISSIONS.map(permission => permission.key);
+
+// This role always holds every permission and cannot be edited or deleted
+const SUPERUSER_ROLE = 'Admin';
+
+const BUILT_IN_ROLES = ['Admin', 'Sub Admin', 'Volunteer', 'Member'];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  'Admin': PERMISSION_KEYS,
+  'Sub Admin': [
+    'admins.read',
+    'contacts.read', 'contacts.write', 'contacts.reply', 'contacts.assign', 'contacts.delete',
+    'cannedResponses.manage',
+    'community.read', 'community.write', 'community.delete',
+    'volunteers.read', 'volunteers.write', 'volunteers.delete',
+    'customVolunteers.read', 'customVolunteers.write', 'customVolunteers.delete',
+    'newsletter.read', 'newsletter.export',
+    'events.read', 'events.write', 'events.delete',
+    'tags.manage'
+  ],
+  'Volunteer': [
+    'customVolunteers.read', 'customVolunteers.write', 'customVolunteers.delete',
+    'events.read'
+  ],
+  'Member': [
+    'customVolunteers.read', 'customVolunteers.write', 'customVolunteers.delete'
+  ]
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  SUPERUSER_ROLE,
+  BUILT_IN_ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+};
@@ -0,0 +1,12 @@
+/**
+ * Priorities a contact message can have, lowest first. Triage rules set them;
+ * when several rules match, the highest wins.
+ */
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+const DEFAULT_PRIORITY = 'normal';
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_PRIORITY
+};
@@ -0,0 +1,42 @@
+/**
+ * Records that can carry tags and have saved views, keyed by the name used in
+ * the API. Permissions are those of the entity's own routes; filters are the
+ * query parameters its list endpoint accepts, which is what a view can store.
+ */
+const TAGGABLE_ENTITIES = {
+  contact: {
+    model: 'Contact',
+    label: 'Contacts',
+    readPermission: 'contacts.read',
+    writePermission: 'contacts.write',
+    filters: ['status', 'search', 'category', 'priority', 'assignee', 'overdue', 'tags', 'tagMatch', 'limit']
+  },
+  volunteer: {
+    model: 'Volunteer',
+    label: 'Volunteers',
+    readPermission: 'volunteers.read',
+    writePermission: 'volunteers.write',
+    filters: ['status', 'search', 'tags', 'tagMatch', 'limit']
+  },
+  community: {
+    model: 'CommunityMember',
+    label: 'Community members',
+    readPermission: 'community.read',
+    writePermission: 'community.write',
+    filters: ['status', 'search', 'tags', 'tagMatch', 'limit']
+  },
+  registration: {
+    model: 'EventRegistration',
+    label: 'Event registrations',
+    readPermission: 'events.read',
+    writePermission: 'events.write',
+    filters: ['status', 'eventId', 'tags', 'tagMatch', 'limit']
+  }
+};
+
+const TAGGABLE_ENTITY_NAMES = Object.keys(TAGGABLE_ENTITIES);
+
+module.exports = {
+  TAGGABLE_ENTITIES,
+  TAGGABLE_ENTITY_NAMES
+};
@@ -1,105 +1,450 @@
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
+const ExternalIdentity = require('../models/ExternalIdentity');
+const LoginDomain = require('../models/LoginDomain');
+const OidcLoginState = require('../models/OidcLoginState');
+const {
+  hashToken,
+  issueSession,
+  rotateRefreshToken,
+  signAccessToken,
+  signChallengeToken,
+  signImpersonationToken,
+  verifyAccessToken,
+  verifyChallengeToken
+} = require('../utils/tokens');
+const { TWO_FACTOR_SECRET_FIELDS, isTwoFactorRequired, verifySecondFactor } = require('../utils/twoFactor');
+const {
+  getThrottleKeys,
+  findActiveLock,
+  registerLoginFailure,
+  clearLoginFailures,
+  unlockAccount,
+  getRetryAfterSeconds
+} = require('../utils/loginThrottle');
+const { recordAudit, setAuditContext } = require('../utils/audit');
+const { sendMail } = require('../utils/mailer');
+const { getCredentialType, recordLoginEvent } = require('../utils/loginEvents');
+const {
+  isEmailVerificationRequired,
+  sendVerificationEmail,
+  sendEmailChangeNotice
+} = require('../utils/emailVerification');
+const {
+  getProviders,
+  getProvider,
+  isSocialLoginEnabled,
+  createAuthorizationRequest,
+  setLoginCookie,
+  readLoginCookie,
+  clearLoginCookie,
+  completeAuthorization
+} = require('../utils/oidc');
+const {
+  getPasswordPolicy: loadPasswordPolicy,
+  validatePasswordStrength,
+  isPasswordExpired,
+  checkNewPassword
+} = require('../utils/passwordPolicy');
+const { coversRole } = require('../utils/permissions');
 
-// Generate JWT Token
-const generateToken = (id, role) => {
-  return jwt.sign(
-    { id, role },
-    process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production',
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
+/**
+ * Send the response for a password that fails the policy
+ * @param {Object} res - Express response
+ * @param {Array<string>} errors - Policy violations
+ */
+const sendPasswordPolicyError = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Password does not meet the password policy',
+    errors
+  });
 };
 
-// @desc    Register new admin
+// Hash compared against when a login names no existing admin
+let dummyHash;
+const getDummyHash = async () => {
+  if (!dummyHash) {
+    dummyHash = await bcrypt.hash('not-a-real-password', 12);
+  }
+  return dummyHash;
+};
+
+/**
+ * Send the lockout response. Identical for real and unknown accounts.
+ * @param {Object} res - Express response
+ * @param {Object} lock - Locked counter
+ */
+const sendLockedResponse = (res, lock) => {
+  res.set('Retry-After', String(getRetryAfterSeconds(lock)));
+  return res.status(429).json({
+    success: false,
+    message: 'Too many failed login attempts. Please try again later.'
+  });
+};
+
+/**
+ * Record the login, start a session and send the login response
+ * @param {Object} admin - Authenticated admin document
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} login - { credentialType, step, secondFactor } for login history
+ */
+const completeLogin = async (admin, req, res, login) => {
+  await clearLoginFailures(getThrottleKeys(req, admin));
+
+  // Update last login
+  admin.lastLogin = new Date();
+  await admin.save({ validateBeforeSave: false });
+
+  // Start a session
+  const { token, refreshToken, session } = await issueSession(admin, req);
+
+  await recordLoginEvent(req, { ...login, admin, outcome: 'success', session: session._id });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      admin: {
+        id: admin._id,
+        name: admin.name,
+        email: admin.email,
+        username: admin.username,
+        mobile: admin.mobile,
+        profilePic: admin.profilePic,
+        role: admin.role,
+        isActive: admin.isActive,
+        lastLogin: admin.lastLogin,
+        emailVerified: admin.emailVerified,
+        twoFactorEnabled: admin.twoFactor.enabled
+      },
+      twoFactorEnrollmentRequired: !admin.twoFactor.enabled && await isTwoFactorRequired(admin),
+      passwordExpired: await isPasswordExpired(admin),
+      token,
+      refreshToken
+    }
+  });
+};
+
+/**
+ * Pick an unused username for an account created by a social login
+ * @param {string} email - Verified email address
+ * @returns {Promise<string>}
+ */
+const generateUsername = async (email) => {
+  const base = (email.split('@')[0].replace(/[^a-zA-Z0-9_.-]/g, '') || 'admin').substring(0, 20).padEnd(3, '0');
+
+  let username = base;
+  while (await Admin.exists({ username })) {
+    username = `${base}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  return username;
+};
+
+/**
+ * Find the admin a verified OpenID Connect identity belongs to. Known identities
+ * log straight in; otherwise the identity is linked to the admin with the same
+ * verified email, or a new account is created when an admin has allowed the
+ * email's domain for this provider.
+ * @param {Object} provider - Configured provider
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object|null>} Admin document, or null when the identity has no account
+ */
+const resolveSocialAccount = async (provider, claims) => {
+  const identity = await ExternalIdentity.findOne({ issuer: claims.iss, subject: claims.sub });
+
+  if (identity) {
+    identity.lastLoginAt = new Date();
+    await identity.save();
+    return await Admin.findById(identity.admin);
+  }
+
+  // Only an address the provider has verified may claim an account
+  const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : '';
+  if (!email || claims.email_verified !== true) {
+    return null;
+  }
+
+  let admin = await Admin.findOne({ email });
+
+  if (!admin) {
+    const domain = await LoginDomain.findOne({ domain: email.split('@')[1], isActive: true });
+
+    if (!domain || (domain.providers.length > 0 && !domain.providers.includes(provider.id))) {
+      return null;
+    }
+
+    admin = await Admin.create({
+      name: String(claims.name || email.split('@')[0]).substring(0, 100),
+      email,
+      username: await generateUsername(email),
+      password: crypto.randomBytes(32).toString('hex'),
+      hasPassword: false,
+      provisionedVia: provider.id,
+      role: domain.role,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    await recordAudit(null, {
+      action: 'admin.provision',
+      actor: admin._id,
+      actorRole: admin.role,
+      targetModel: 'Admin',
+      targetId: admin._id,
+      metadata: { provider: provider.id, domain: domain.domain }
+    });
+  }
+
+  await ExternalIdentity.create({
+    admin: admin._id,
+    provider: provider.id,
+    issuer: claims.iss,
+    subject: claims.sub,
+    email,
+    lastLoginAt: new Date()
+  });
+
+  return admin;
+};
+
+/**
+ * Create an admin account from a registration body.
+ * Sends an error response and returns null when the data is not acceptable.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} account - { email, role, emailVerified } decided by the caller, never by the request body
+ * @returns {Promise<Object|null>} Created admin
+ */
+const createAccount = async (req, res, { email, role, emailVerified = false }) => {
+  const {
+    name,
+    username,
+    mobile,
+    password,
+    confirmPassword,
+    dateOfBirth,
+    gender,
+    address,
+    profilePic
+  } = req.body;
+
+  // Validate passwords match
+  if (password !== confirmPassword) {
+    res.status(400).json({
+      success: false,
+      message: 'Passwords do not match'
+    });
+    return null;
+  }
+
+  const passwordErrors = await validatePasswordStrength(password, { email, username });
+  if (passwordErrors.length) {
+    sendPasswordPolicyError(res, passwordErrors);
+    return null;
+  }
+
+  // Check if admin already exists
+  const existingAdmin = await Admin.findOne({
+    $or: [{ email }, { username }, { mobile }]
+  });
+
+  if (existingAdmin) {
+    res.status(400).json({
+      success: false,
+      message: 'Admin with this email, username, or mobile already exists'
+    });
+    return null;
+  }
+
+  return await Admin.create({
+    name,
+    email,
+    username,
+    mobile,
+    password,
+    dateOfBirth: dateOfBirth || null,
+    gender: gender || null,
+    address: address || {},
+    profilePic: profilePic || '',
+    role,
+    emailVerified,
+    emailVerifiedAt: emailVerified ? new Date() : undefined
+  });
+};
+
+/**
+ * Start a session for a newly created admin and send the registration response
+ * @param {Object} admin - Created admin
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const sendRegisteredResponse = async (admin, req, res) => {
+  const { token, refreshToken } = await issueSession(admin, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'Admin registered successfully',
+    data: {
+      admin: {
+        id: admin._id,
+        name: admin.name,
+        email: admin.email,
+        username: admin.username,
+        mobile: admin.mobile,
+        profilePic: admin.profilePic,
+        role: admin.role,
+        isActive: admin.isActive,
+        emailVerified: admin.emailVerified,
+        createdAt: admin.createdAt
+      },
+      token,
+      refreshToken
+    }
+  });
+};
+
+/**
+ * Respond to a Mongoose validation error raised during registration
+ * @param {Object} res - Express response
+ * @param {Object} error - Error thrown
+ * @returns {boolean} Whether a response was sent
+ */
+const handleRegistrationValidationError = (res, error) => {
+  if (error.name !== 'ValidationError') {
+    return false;
+  }
+
+  const messages = Object.values(error.errors).map(err => err.message);
+  res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: messages
+  });
+  return true;
+};
+
+// @desc    Register new admin from an invitation
 // @route   POST /api/auth/register
-// @access  Public (in production, make this protected or use a secret key)
+// @access  Public (requires invitation token)
 exports.register = async (req, res) => {
+  let invitation;
+  let admin;
+
   try {
-    const {
-      name,
-      email,
-      username,
-      mobile,
-      password,
-      confirmPassword,
-      dateOfBirth,
-      gender,
-      address,
-      profilePic,
-      role
-    } = req.body;
-
-    // Validate passwords match
-    if (password !== confirmPassword) {
+    // Claim the invitation first so it cannot be used twice
+    invitation = await Invitation.findOneAndUpdate(
+      {
+        tokenHash: hashToken(String(req.body.inviteToken)),
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      },
+      { status: 'accepted', acceptedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
       return res.status(400).json({
         success: false,
-        message: 'Passwords do not match'
+        message: 'Invitation is invalid or has expired'
       });
     }
 
-    // Check if admin already exists
-    const existingAdmin = await Admin.findOne({
-      $or: [{ email }, { username }, { mobile }]
+    // The invitation link was delivered to this address, which proves ownership
+    admin = await createAccount(req, res, {
+      email: invitation.email,
+      role: invitation.role,
+      emailVerified: true
     });
 
-    if (existingAdmin) {
-      return res.status(400).json({
+    if (!admin) {
+      return;
+    }
+
+    invitation.acceptedBy = admin._id;
+    await invitation.save();
+
+    await sendRegisteredResponse(admin, req, res);
+  } catch (error) {
+    console.error('Register error:', error);
+
+    if (!handleRegistrationValidationError(res, error)) {
+      res.status(500).json({
         success: false,
-        message: 'Admin with this email, username, or mobile already exists'
+        message: 'Server error during registration'
       });
     }
+  } finally {
+    // Give the invitation back if no account came out of it
+    if (invitation && !admin) {
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { status: 'pending', $unset: { acceptedAt: 1 } }
+      ).catch(err => console.error('Release invitation error:', err));
+    }
+  }
+};
 
-    // Create admin
-    const admin = await Admin.create({
-      name,
-      email,
-      username,
-      mobile,
-      password,
-      dateOfBirth: dateOfBirth || null,
-      gender: gender || null,
-      address: address || {},
-      profilePic: profilePic || '',
-      role: role || 'Member' // Default role
+// @desc    Create the first Admin on an empty database
+// @route   POST /api/auth/bootstrap
+// @access  Public (only while no admin exists)
+exports.bootstrap = async (req, res) => {
+  try {
+    if (await Admin.exists({})) {
+      return res.status(403).json({
+        success: false,
+        message: 'Setup has already been completed. Ask an Admin for an invitation.'
+      });
+    }
+
+    const admin = await createAccount(req, res, {
+      email: req.body.email,
+      role: 'Admin'
     });
 
-    // Generate token
-    const token = generateToken(admin._id, admin.role);
+    if (!admin) {
+      return;
+    }
 
-    res.status(201).json({
-      success: true,
-      message: 'Admin registered successfully',
-      data: {
-        admin: {
-          id: admin._id,
-          name: admin.name,
-          email: admin.email,
-          username: admin.username,
-          mobile: admin.mobile,
-          profilePic: admin.profilePic,
-          role: admin.role,
-          isActive: admin.isActive,
-          createdAt: admin.createdAt
-        },
-        token
-      }
-    });
-  } catch (error) {
-    console.error('Register error:', error);
-    
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
+    // Two concurrent bootstrap requests: only the first account survives
+    const first = await Admin.findOne().sort({ createdAt: 1, _id: 1 });
+    if (String(first._id) !== String(admin._id)) {
+      await Admin.deleteOne({ _id: admin._id });
+      return res.status(403).json({
         success: false,
-        message: 'Validation error',
-        errors: messages
+        message: 'Setup has already been completed. Ask an Admin for an invitation.'
       });
     }
 
-    res.status(500).json({
-      success: false,
-      message: 'Server error during registration'
+    await recordAudit(req, {
+      action: 'auth.bootstrap',
+      actor: admin._id,
+      actorRole: admin.role,
+      targetModel: 'Admin',
+      targetId: admin._id
     });
+
+    try {
+      await sendVerificationEmail(admin, admin.email);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    await sendRegisteredResponse(admin, req, res);
+  } catch (error) {
+    console.error('Bootstrap error:', error);
+
+    if (!handleRegistrationValidationError(res, error)) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error during setup'
+      });
+    }
   }
 };
 
@@ -118,6 +463,13 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Refuse early if this client IP is locked out
+    const ipLock = await findActiveLock([getThrottleKeys(req, null, credential).ip]);
+    if (ipLock) {
+      await recordLoginEvent(req, { credentialType: getCredentialType(credential), outcome: 'locked' });
+      return sendLockedResponse(res, ipLock);
+    }
+
     // Find admin by email, username, or mobile
     const admin = await Admin.findOne({
       $or: [
@@ -127,7 +479,29 @@ exports.login = async (req, res) => {
       ]
     }).select('+password');
 
-    if (!admin) {
+    const throttleKeys = getThrottleKeys(req, admin, credential);
+    const credentialType = getCredentialType(credential, admin);
+
+    // Unknown credentials are counted and locked exactly like real accounts
+    const accountLock = await findActiveLock([throttleKeys.account]);
+    if (accountLock) {
+      await recordLoginEvent(req, { admin, credentialType, outcome: 'locked' });
+      return sendLockedResponse(res, accountLock);
+    }
+
+    // Verify password (against a dummy hash when there is no such admin, to keep timing even)
+    const isMatch = admin
+      ? await admin.comparePassword(password)
+      : await bcrypt.compare(password, await getDummyHash());
+
+    if (!isMatch) {
+      await recordLoginEvent(req, { admin, credentialType, outcome: 'invalid_credentials' });
+
+      const lock = await registerLoginFailure(req, throttleKeys);
+      if (lock) {
+        return sendLockedResponse(res, lock);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -136,52 +510,480 @@ exports.login = async (req, res) => {
 
     // Check if account is active
     if (!admin.isActive) {
+      await recordLoginEvent(req, { admin, credentialType, outcome: 'inactive' });
       return res.status(401).json({
         success: false,
         message: 'Your account has been deactivated. Please contact an administrator.'
       });
     }
 
-    // Verify password
-    const isMatch = await admin.comparePassword(password);
+    // Hold back the first login until the address is confirmed, resending the link if the last one lapsed
+    if (!admin.emailVerified && await isEmailVerificationRequired()) {
+      await recordLoginEvent(req, { admin, credentialType, outcome: 'email_unverified' });
+
+      const pending = await Admin.findById(admin._id).select('+emailVerificationAddress +emailVerificationExpires');
+      if (pending.emailVerificationAddress !== admin.email || !pending.emailVerificationExpires ||
+          pending.emailVerificationExpires <= new Date()) {
+        try {
+          await sendVerificationEmail(pending, admin.email);
+        } catch (mailError) {
+          console.error('Verification email error:', mailError);
+        }
+      }
+
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before logging in. We have sent you a verification link.'
+      });
+    }
+
+    // Second step required before a session is issued
+    if (admin.twoFactor && admin.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signChallengeToken(admin, credentialType)
+        }
+      });
+    }
+
+    await completeLogin(admin, req, res, { credentialType, step: 'password' });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+// @desc    Complete a two-step login with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires challenge token)
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyChallengeToken(challengeToken);
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or expired. Please log in again.'
+      });
+    }
+
+    const admin = await Admin.findById(challenge.id).select(TWO_FACTOR_SECRET_FIELDS);
+    const { credentialType, provider } = challenge;
+
+    if (!admin || !admin.isActive || !admin.twoFactor.enabled) {
+      if (admin && !admin.isActive) {
+        await recordLoginEvent(req, { admin, credentialType, provider, step: 'two_factor', outcome: 'inactive' });
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or expired. Please log in again.'
+      });
+    }
+
+    const throttleKeys = getThrottleKeys(req, admin);
+    const lock = await findActiveLock([throttleKeys.account, throttleKeys.ip]);
+    if (lock) {
+      await recordLoginEvent(req, { admin, credentialType, provider, step: 'two_factor', outcome: 'locked' });
+      return sendLockedResponse(res, lock);
+    }
+
+    const method = await verifySecondFactor(admin, { code, recoveryCode });
+
+    if (!method) {
+      await recordLoginEvent(req, { admin, credentialType, provider, step: 'two_factor', outcome: 'invalid_code' });
+
+      const newLock = await registerLoginFailure(req, throttleKeys);
+      if (newLock) {
+        return sendLockedResponse(res, newLock);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await completeLogin(admin, req, res, { credentialType, provider, step: 'two_factor', secondFactor: method });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+// @desc    List the social login providers offered on the login page
+// @route   GET /api/auth/oidc/providers
+// @access  Public
+exports.getSocialProviders = async (req, res) => {
+  try {
+    const enabled = await isSocialLoginEnabled();
+
+    res.json({
+      success: true,
+      data: {
+        enabled,
+        providers: enabled ? getProviders().map(provider => ({ id: provider.id, name: provider.name })) : []
+      }
+    });
+  } catch (error) {
+    console.error('Get social providers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching login providers'
+    });
+  }
+};
+
+// @desc    Start a social login: returns the provider URL to send the browser to
+// @route   POST /api/auth/oidc/:provider/authorize
+// @access  Public
+exports.startSocialLogin = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider || !(await isSocialLoginEnabled())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login provider not found'
+      });
+    }
+
+    const { authorizationUrl, state, browserKey, codeVerifier, nonce, expiresAt } = await createAuthorizationRequest(provider);
+
+    await OidcLoginState.create({
+      stateHash: hashToken(state),
+      browserKeyHash: hashToken(browserKey),
+      provider: provider.id,
+      codeVerifier,
+      nonce,
+      ipAddress: req.ip,
+      expiresAt
+    });
+
+    setLoginCookie(req, res, browserKey);
+
+    res.json({
+      success: true,
+      data: {
+        authorizationUrl,
+        state,
+        expiresAt
+      }
+    });
+  } catch (error) {
+    if (error.name === 'OidcError') {
+      return res.status(502).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Start social login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting login'
+    });
+  }
+};
+
+// @desc    Finish a social login with the code and state the provider sent back
+// @route   POST /api/auth/oidc/:provider/callback
+// @access  Public (requires authorization code, state and the login cookie)
+exports.completeSocialLogin = async (req, res) => {
+  try {
+    const { code, state } = req.body;
+    const provider = getProvider(req.params.provider);
+
+    if (!provider || !(await isSocialLoginEnabled())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login provider not found'
+      });
+    }
+
+    // Only the browser that started the login can finish it
+    const browserKey = readLoginCookie(req);
+    clearLoginCookie(res);
+
+    // Single use: the state is gone whether or not the rest succeeds
+    const pending = browserKey && await OidcLoginState.findOneAndDelete({
+      stateHash: hashToken(String(state)),
+      browserKeyHash: hashToken(browserKey),
+      provider: provider.id,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Login session is invalid or expired. Please try again.'
+      });
+    }
+
+    const claims = await completeAuthorization(provider, {
+      code: String(code),
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce
+    });
+
+    const admin = await resolveSocialAccount(provider, claims);
+    const login = { credentialType: 'oidc', step: 'oidc', provider: provider.id };
+
+    if (!admin) {
+      await recordLoginEvent(req, { ...login, outcome: 'not_provisioned' });
+      return res.status(403).json({
+        success: false,
+        code: 'SOCIAL_ACCOUNT_NOT_LINKED',
+        message: 'No account is linked to this login. Ask an administrator for an invitation.'
+      });
+    }
+
+    if (!admin.isActive) {
+      await recordLoginEvent(req, { ...login, admin, outcome: 'inactive' });
+      return res.status(401).json({
+        success: false,
+        message: 'Your account has been deactivated. Please contact an administrator.'
+      });
+    }
+
+    // The provider has just vouched for the address
+    if (!admin.emailVerified && claims.email_verified === true &&
+        String(claims.email).toLowerCase() === admin.email) {
+      admin.emailVerified = true;
+      admin.emailVerifiedAt = new Date();
+    }
+
+    if (!admin.emailVerified && await isEmailVerificationRequired()) {
+      await recordLoginEvent(req, { ...login, admin, outcome: 'email_unverified' });
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before logging in.'
+      });
+    }
+
+    if (admin.twoFactor && admin.twoFactor.enabled) {
+      await admin.save({ validateBeforeSave: false });
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signChallengeToken(admin, 'oidc', provider.id)
+        }
+      });
+    }
+
+    await completeLogin(admin, req, res, login);
+  } catch (error) {
+    if (error.name === 'OidcError') {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (handleRegistrationValidationError(res, error)) {
+      return;
+    }
+    console.error('Social login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token)
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    if (result.error === 'reuse') {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. The session has been revoked, please log in again.'
+      });
+    }
+
+    if (result.error === 'idle') {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_IDLE_TIMEOUT',
+        message: 'Session expired due to inactivity. Please log in again.'
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid or expired'
+      });
+    }
+
+    const { session } = result;
+    const admin = await Admin.findById(session.admin);
+
+    if (!admin || !admin.isActive) {
+      await session.revoke('account_inactive');
+      return res.status(401).json({
+        success: false,
+        message: 'Your account has been deactivated. Please contact an administrator.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: signAccessToken(admin, session),
+        refreshToken: result.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing token'
+    });
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const admin = await Admin.findOne({ email: String(email).toLowerCase() });
+
+    // Only active accounts get an email, but the response never says whether one was sent
+    if (admin && admin.isActive) {
+      const resetToken = admin.createPasswordResetToken();
+      await admin.save({ validateBeforeSave: false });
+
+      const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password?token=${resetToken}`;
+
+      try {
+        await sendMail({
+          to: admin.email,
+          subject: 'Reset your password',
+          text: `Hi ${admin.name},\n\n` +
+            'We received a request to reset your password. Use the link below to choose a new one:\n\n' +
+            `${resetUrl}\n\n` +
+            'This link expires soon and can only be used once. If you did not request a reset, you can ignore this email.'
+        });
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+        admin.passwordResetToken = undefined;
+        admin.passwordResetExpires = undefined;
+        await admin.save({ validateBeforeSave: false });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+};
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public (requires reset token)
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const admin = await Admin.findOne({
+      passwordResetToken: hashToken(String(token)),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+passwordResetToken +passwordResetExpires');
+
+    if (!admin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    const passwordErrors = await checkNewPassword(password, admin);
+    if (passwordErrors.length) {
+      return sendPasswordPolicyError(res, passwordErrors);
+    }
+
+    admin.password = password;
+    admin.passwordResetToken = undefined;
+    admin.passwordResetExpires = undefined;
+    await admin.save();
+
+    // Anyone holding an old session must log in again
+    await Session.revokeAllForAdmin(admin._id, 'password_reset');
+    await unlockAccount(admin._id);
+
+    await recordAudit(req, {
+      action: 'auth.password_reset',
+      targetModel: 'Admin',
+      targetId: admin._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
 
-    if (!isMatch) {
-      return res.status(401).json({
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Validation error',
+        errors: messages
       });
     }
 
-    // Update last login
-    admin.lastLogin = new Date();
-    await admin.save({ validateBeforeSave: false });
-
-    // Generate token
-    const token = generateToken(admin._id, admin.role);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+};
 
+// @desc    Get the password strength policy
+// @route   GET /api/auth/password-policy
+// @access  Public
+exports.getPasswordPolicy = async (req, res) => {
+  try {
     res.json({
       success: true,
-      message: 'Login successful',
-      data: {
-        admin: {
-          id: admin._id,
-          name: admin.name,
-          email: admin.email,
-          username: admin.username,
-          mobile: admin.mobile,
-          profilePic: admin.profilePic,
-          role: admin.role,
-          isActive: admin.isActive,
-          lastLogin: admin.lastLogin
-        },
-        token
-      }
+      data: { policy: await loadPasswordPolicy() }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Get password policy error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error fetching password policy'
     });
   }
 };
@@ -210,14 +1012,19 @@ exports.getProfile = async (req, res) => {
           username: admin.username,
           mobile: admin.mobile,
           profilePic: admin.profilePic,
+          signature: admin.signature,
           dateOfBirth: admin.dateOfBirth,
           gender: admin.gender,
           address: admin.address,
           role: admin.role,
           isActive: admin.isActive,
           lastLogin: admin.lastLogin,
+          emailVerified: admin.emailVerified,
+          pendingEmail: admin.pendingEmail,
+          twoFactorEnabled: admin.twoFactor.enabled,
           createdAt: admin.createdAt
-        }
+        },
+        impersonation: req.admin.impersonator || null
       }
     });
   } catch (error) {
@@ -229,11 +1036,16 @@ exports.getProfile = async (req, res) => {
   }
 };
 
-// @desc    Logout admin (client-side token removal)
+// @desc    Logout admin (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 exports.logout = async (req, res) => {
   try {
+    await Session.findByIdAndUpdate(req.admin.sessionId, {
+      revokedAt: new Date(),
+      revokedReason: 'logout'
+    });
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -247,12 +1059,32 @@ exports.logout = async (req, res) => {
   }
 };
 
-// @desc    Update admin profile
+// @desc    Update admin profile. A new email is staged and only replaces the
+//          current one once confirmed through the link sent to it.
 // @route   PUT /api/auth/profile
 // @access  Private
 exports.updateProfile = async (req, res) => {
   try {
-    const { name, mobile, dateOfBirth, gender, address, profilePic } = req.body;
+    const { name, mobile, dateOfBirth, gender, address, profilePic, signature } = req.body;
+
+    const current = await Admin.findById(req.admin.id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    const email = req.body.email ? String(req.body.email).toLowerCase().trim() : null;
+    const stageEmail = Boolean(email) && email !== current.email && email !== current.pendingEmail;
+
+    if (stageEmail && await Admin.exists({ email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email is already in use'
+      });
+    }
 
     const admin = await Admin.findByIdAndUpdate(
       req.admin.id,
@@ -262,21 +1094,27 @@ exports.updateProfile = async (req, res) => {
         dateOfBirth,
         gender,
         address,
-        profilePic
+        profilePic,
+        signature,
+        ...(stageEmail ? { pendingEmail: email } : {})
       },
       { new: true, runValidators: true }
     );
 
-    if (!admin) {
-      return res.status(404).json({
-        success: false,
-        message: 'Admin not found'
-      });
+    if (stageEmail) {
+      try {
+        await sendVerificationEmail(admin, email);
+        await sendEmailChangeNotice(admin);
+      } catch (mailError) {
+        console.error('Email change mail error:', mailError);
+      }
     }
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: stageEmail
+        ? 'Profile updated. Check your new email address for a link to confirm the change.'
+        : 'Profile updated successfully',
       data: { admin }
     });
   } catch (error) {
@@ -298,6 +1136,152 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Cancel a staged email change
+// @route   DELETE /api/auth/email/pending
+// @access  Private
+exports.cancelEmailChange = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id).select('+emailVerificationAddress');
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!admin.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no pending email change'
+      });
+    }
+
+    // Invalidate the link sent to the staged address
+    if (admin.emailVerificationAddress === admin.pendingEmail) {
+      admin.emailVerificationToken = undefined;
+      admin.emailVerificationAddress = undefined;
+      admin.emailVerificationExpires = undefined;
+    }
+    admin.pendingEmail = undefined;
+    await admin.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Email change cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling email change'
+    });
+  }
+};
+
+// @desc    Confirm an email address from the emailed link
+// @route   GET /api/auth/verify-email/:token
+// @access  Public (requires verification token)
+exports.verifyEmail = async (req, res) => {
+  try {
+    const admin = await Admin.findOne({
+      emailVerificationToken: hashToken(String(req.params.token)),
+      emailVerificationExpires: { $gt: new Date() }
+    }).select('+emailVerificationToken +emailVerificationAddress +emailVerificationExpires');
+
+    // A link for a change that was since cancelled or replaced is no longer valid
+    const address = admin && admin.emailVerificationAddress;
+    if (!admin || (address !== admin.email && address !== admin.pendingEmail)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    admin.emailVerificationToken = undefined;
+    admin.emailVerificationAddress = undefined;
+    admin.emailVerificationExpires = undefined;
+
+    if (address !== admin.email) {
+      if (await Admin.exists({ email: address, _id: { $ne: admin._id } })) {
+        admin.pendingEmail = undefined;
+        await admin.save({ validateBeforeSave: false });
+        return res.status(400).json({
+          success: false,
+          message: 'This email is already in use'
+        });
+      }
+
+      const previousEmail = admin.email;
+      admin.email = address;
+      admin.pendingEmail = undefined;
+
+      await recordAudit(req, {
+        action: 'auth.email_change',
+        actor: admin._id,
+        actorRole: admin.role,
+        targetModel: 'Admin',
+        targetId: admin._id,
+        before: { email: previousEmail },
+        after: { email: address }
+      });
+    }
+
+    admin.emailVerified = true;
+    admin.emailVerifiedAt = new Date();
+    await admin.save();
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully',
+      data: { email: admin.email }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+};
+
+// @desc    Send a new verification link for an unverified or staged email
+// @route   POST /api/auth/verify-email/resend
+// @access  Public
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    const email = String(req.body.email).toLowerCase().trim();
+
+    const admin = await Admin.findOne({
+      isActive: true,
+      $or: [
+        { email, emailVerified: false },
+        { pendingEmail: email }
+      ]
+    });
+
+    // Only the response is the same whether or not a link was sent
+    if (admin) {
+      try {
+        await sendVerificationEmail(admin, email);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If that address is waiting for verification, a new link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+};
+
 // @desc    Change password
 // @route   PUT /api/auth/password
 // @access  Private
@@ -312,13 +1296,6 @@ exports.changePassword = async (req, res) => {
       });
     }
 
-    if (newPassword.length < 8) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be at least 8 characters'
-      });
-    }
-
     const admin = await Admin.findById(req.admin.id).select('+password');
 
     if (!admin) {
@@ -338,6 +1315,11 @@ exports.changePassword = async (req, res) => {
       });
     }
 
+    const passwordErrors = await checkNewPassword(newPassword, admin);
+    if (passwordErrors.length) {
+      return sendPasswordPolicyError(res, passwordErrors);
+    }
+
     // Update password
     admin.password = newPassword;
     await admin.save();
@@ -357,7 +1339,7 @@ exports.changePassword = async (req, res) => {
 
 // @desc    Get all admins
 // @route   GET /api/auth/admins
-// @access  Private (Admin only)
+// @access  Private (admins.read)
 exports.getAllAdmins = async (req, res) => {
   try {
     const admins = await Admin.find().select('-password').sort({ createdAt: -1 });
@@ -379,7 +1361,7 @@ exports.getAllAdmins = async (req, res) => {
 
 // @desc    Get admin by ID
 // @route   GET /api/auth/admins/:id
-// @access  Private (Admin only)
+// @access  Private (admins.read)
 exports.getAdminById = async (req, res) => {
   try {
     const admin = await Admin.findById(req.params.id).select('-password');
@@ -406,7 +1388,7 @@ exports.getAdminById = async (req, res) => {
 
 // @desc    Update admin
 // @route   PUT /api/auth/admins/:id
-// @access  Private (Admin only)
+// @access  Private (admins.manage)
 exports.updateAdmin = async (req, res) => {
   try {
     const { name, mobile, role, isActive, newPassword } = req.body;
@@ -420,14 +1402,41 @@ exports.updateAdmin = async (req, res) => {
       });
     }
 
+    const isSelf = req.params.id === String(req.admin.id);
+
     // Prevent self-deactivation
-    if (req.params.id === req.admin.id && isActive === false) {
+    if (isSelf && isActive === false) {
       return res.status(400).json({
         success: false,
         message: 'You cannot deactivate your own account'
       });
     }
 
+    if (role && role !== admin.role && isSelf) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    // Editing an admin who holds more than you, e.g. resetting their password,
+    // or handing out such a role would grant permissions you do not have
+    if (!isSelf && !(await coversRole(req.admin, admin.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot edit an admin whose role has permissions you do not hold'
+      });
+    }
+
+    if (role && role !== admin.role && !(await coversRole(req.admin, role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only assign roles whose permissions you already hold'
+      });
+    }
+
+    const before = admin.toJSON();
+
     // Update fields
     if (name) admin.name = name;
     if (mobile) admin.mobile = mobile;
@@ -441,21 +1450,32 @@ exports.updateAdmin = async (req, res) => {
 
     // Handle password change
     if (newPassword) {
-      if (newPassword.length < 8) {
-        return res.status(400).json({
-          success: false,
-          message: 'Password must be at least 8 characters'
-        });
+      const passwordErrors = await checkNewPassword(newPassword, admin);
+      if (passwordErrors.length) {
+        return sendPasswordPolicyError(res, passwordErrors);
       }
       admin.password = newPassword;
     }
 
     await admin.save();
 
+    if (!admin.isActive) {
+      await Session.revokeAllForAdmin(admin._id, 'account_deactivated');
+    }
+
+    setAuditContext(req, {
+      action: 'admin.update',
+      targetModel: 'Admin',
+      targetId: admin._id,
+      before,
+      after: admin,
+      metadata: newPassword ? { passwordChanged: true } : {}
+    });
+
     res.json({
       success: true,
       message: 'Admin updated successfully',
-      data: { admin: admin.toObject() }
+      data: { admin: admin.toJSON() }
     });
   } catch (error) {
     console.error('Update admin error:', error);
@@ -477,7 +1497,7 @@ exports.updateAdmin = async (req, res) => {
 
 // @desc    Toggle admin status (activate/deactivate)
 // @route   PUT /api/auth/admins/:id/toggle-status
-// @access  Private (Admin only)
+// @access  Private (admins.manage)
 exports.toggleAdminStatus = async (req, res) => {
   try {
     const admin = await Admin.findById(req.params.id);
@@ -490,20 +1510,39 @@ exports.toggleAdminStatus = async (req, res) => {
     }
 
     // Prevent self-deactivation
-    if (req.params.id === req.admin.id) {
+    if (req.params.id === String(req.admin.id)) {
       return res.status(400).json({
         success: false,
         message: 'You cannot toggle your own status'
       });
     }
 
+    if (!(await coversRole(req.admin, admin.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change the status of an admin whose role has permissions you do not hold'
+      });
+    }
+
     admin.isActive = !admin.isActive;
     await admin.save();
 
+    if (!admin.isActive) {
+      await Session.revokeAllForAdmin(admin._id, 'account_deactivated');
+    }
+
+    setAuditContext(req, {
+      action: admin.isActive ? 'admin.activate' : 'admin.deactivate',
+      targetModel: 'Admin',
+      targetId: admin._id,
+      before: { isActive: !admin.isActive },
+      after: { isActive: admin.isActive }
+    });
+
     res.json({
       success: true,
       message: admin.isActive ? 'Admin activated successfully' : 'Admin deactivated successfully',
-      data: { admin: admin.toObject() }
+      data: { admin: admin.toJSON() }
     });
   } catch (error) {
     console.error('Toggle admin status error:', error);
@@ -516,7 +1555,7 @@ exports.toggleAdminStatus = async (req, res) => {
 
 // @desc    Delete admin
 // @route   DELETE /api/auth/admins/:id
-// @access  Private (Admin only)
+// @access  Private (admins.manage)
 exports.deleteAdmin = async (req, res) => {
   try {
     const admin = await Admin.findById(req.params.id);
@@ -529,14 +1568,29 @@ exports.deleteAdmin = async (req, res) => {
     }
 
     // Prevent self-deletion
-    if (req.params.id === req.admin.id) {
+    if (req.params.id === String(req.admin.id)) {
       return res.status(400).json({
         success: false,
         message: 'You cannot delete your own account'
       });
     }
 
+    if (!(await coversRole(req.admin, admin.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot delete an admin whose role has permissions you do not hold'
+      });
+    }
+
     await Admin.findByIdAndDelete(req.params.id);
+    await Session.deleteMany({ admin: req.params.id });
+
+    setAuditContext(req, {
+      action: 'admin.delete',
+      targetModel: 'Admin',
+      targetId: admin._id,
+      before: admin
+    });
 
     res.json({
       success: true,
@@ -550,3 +1604,133 @@ exports.deleteAdmin = async (req, res) => {
     });
   }
 };
+
+// @desc    Clear a failed-login lockout on an admin account
+// @route   PUT /api/auth/admins/:id/unlock
+// @access  Private (admins.manage)
+exports.unlockAdmin = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!(await coversRole(req.admin, admin.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot unlock an admin whose role has permissions you do not hold'
+      });
+    }
+
+    const counter = await unlockAccount(admin._id);
+
+    await recordAudit(req, {
+      action: 'auth.unlock',
+      targetModel: 'Admin',
+      targetId: admin._id,
+      metadata: { failures: counter ? counter.failures : 0 }
+    });
+
+    res.json({
+      success: true,
+      message: counter && counter.isLocked ? 'Admin account unlocked successfully' : 'Admin account was not locked'
+    });
+  } catch (error) {
+    console.error('Unlock admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlocking admin'
+    });
+  }
+};
+
+// @desc    Issue a short-lived token for acting as another admin. Read-only unless
+//          readOnly is false; every request made with it is audited.
+// @route   POST /api/auth/admins/:id/impersonate
+// @access  Private (admins.impersonate)
+exports.impersonateAdmin = async (req, res) => {
+  try {
+    const { readOnly = true, reason } = req.body;
+
+    if (req.admin.impersonator || !req.admin.sessionId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Impersonation must be started from your own login'
+      });
+    }
+
+    if (req.params.id === String(req.admin.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    const target = await Admin.findById(req.params.id);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!target.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot impersonate a deactivated admin'
+      });
+    }
+
+    // Acting as a more powerful role would be a way to gain its permissions
+    if (!(await coversRole(req.admin, target.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only impersonate admins whose role has no permissions you lack'
+      });
+    }
+
+    const token = signImpersonationToken(
+      target,
+      { id: req.admin.id, sessionId: req.admin.sessionId },
+      { readOnly: Boolean(readOnly), reason }
+    );
+
+    await recordAudit(req, {
+      action: 'admin.impersonate',
+      targetModel: 'Admin',
+      targetId: target._id,
+      metadata: { readOnly: Boolean(readOnly), reason }
+    });
+
+    res.json({
+      success: true,
+      message: `You are now acting as ${target.name}`,
+      data: {
+        accessToken: token,
+        expiresAt: new Date(verifyAccessToken(token).exp * 1000),
+        readOnly: Boolean(readOnly),
+        admin: {
+          id: target._id,
+          name: target.name,
+          email: target.email,
+          role: target.role
+        },
+        impersonator: {
+          id: req.admin.id,
+          role: req.admin.role
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Impersonate admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting impersonation'
+    });
+  }
+};
@@ -0,0 +1,187 @@
+const ApiKey = require('../models/ApiKey');
+const { generateApiKey } = require('../utils/apiKeys');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+
+// @desc    Create an API key. The key is returned once and cannot be retrieved again.
+// @route   POST /api/auth/api-keys
+// @access  Private (apiKeys.manage)
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, permissions, expiresAt } = req.body;
+
+    // A key can only be scoped to permissions its creator holds
+    const notHeld = permissions.filter(permission => !hasPermission(req.admin, permission));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant permissions you do not hold: ${notHeld.join(', ')}`
+      });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash,
+      permissions: [...new Set(permissions)],
+      createdBy: req.admin.id,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    await recordAudit(req, {
+      action: 'apiKey.create',
+      targetModel: 'ApiKey',
+      targetId: apiKey._id,
+      metadata: { name: apiKey.name, permissions: apiKey.permissions }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        apiKey,
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating API key'
+    });
+  }
+};
+
+// @desc    List API keys
+// @route   GET /api/auth/api-keys
+// @access  Private (apiKeys.manage)
+exports.getApiKeys = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = {};
+    const now = new Date();
+
+    if (status === 'active') {
+      query.revokedAt = null;
+      query.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    } else if (status === 'expired') {
+      query.revokedAt = null;
+      query.expiresAt = { $lte: now };
+    } else if (status === 'revoked') {
+      query.revokedAt = { $ne: null };
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email');
+
+    const total = await ApiKey.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: apiKeys,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching API keys'
+    });
+  }
+};
+
+// @desc    Get a single API key
+// @route   GET /api/auth/api-keys/:id
+// @access  Private (apiKeys.manage)
+exports.getApiKeyById = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email');
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { apiKey }
+    });
+  } catch (error) {
+    console.error('Get API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching API key'
+    });
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/auth/api-keys/:id
+// @access  Private (apiKeys.manage)
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key has already been revoked'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.admin.id;
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'apiKey.revoke',
+      targetModel: 'ApiKey',
+      targetId: apiKey._id,
+      metadata: { name: apiKey.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking API key'
+    });
+  }
+};
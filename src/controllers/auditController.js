@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Largest number of entries a single CSV export returns
+const EXPORT_LIMIT = 10000;
+
+const FILTERS = ['actor', 'actorRole', 'action', 'targetModel', 'targetId', 'requestId', 'apiKey', 'impersonator', 'from', 'to', 'search'];
+
+/**
+ * Build a Mongo query from the audit list filters
+ * @param {Object} filters - req.query
+ * @returns {Object} { query } or { error } when a filter is malformed
+ */
+const buildAuditQuery = (filters) => {
+  // ?action[$ne]=x parses to an object, which would become a query operator
+  const notStrings = FILTERS.filter(key => filters[key] !== undefined && typeof filters[key] !== 'string');
+
+  if (notStrings.length) {
+    return { error: `Filter values must be strings: ${notStrings.join(', ')}` };
+  }
+
+  const { actor, actorRole, action, targetModel, targetId, requestId, apiKey, impersonator, from, to, search } = filters;
+  const query = {};
+
+  for (const [field, value] of Object.entries({ actor, targetId, apiKey, impersonator })) {
+    if (value) {
+      if (!mongoose.isValidObjectId(value)) {
+        return { error: 'Invalid id filter' };
+      }
+      query[field] = value;
+    }
+  }
+
+  if (actorRole) query.actorRole = actorRole;
+  if (action) query.action = action;
+  if (targetModel) query.targetModel = targetModel;
+  if (requestId) query.requestId = requestId;
+
+  if (search) {
+    const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { action: { $regex: pattern, $options: 'i' } },
+      { route: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  for (const [name, operator, value] of [['from', '$gte', from], ['to', '$lte', to]]) {
+    if (value) {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid ${name} date` };
+      }
+      query.createdAt = { ...query.createdAt, [operator]: date };
+    }
+  }
+
+  return { query };
+};
+
+/**
+ * Quote a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// @desc    List audit entries with filters and pagination
+// @route   GET /api/audit
+// @access  Private (audit.read)
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const { query, error: filterError } = buildAuditQuery(req.query);
+
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError
+      });
+    }
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'name email')
+      .populate('impersonator', 'name email');
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching audit logs'
+    });
+  }
+};
+
+// @desc    Export audit entries matching the filters as CSV
+// @route   GET /api/audit/export
+// @access  Private (audit.read)
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    const { query, error: filterError } = buildAuditQuery(req.query);
+
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError
+      });
+    }
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .populate('actor', 'name email')
+      .populate('impersonator', 'name email')
+      .lean();
+
+    const rows = [
+      ['Time', 'Actor', 'Actor Email', 'Role', 'API Key', 'Impersonated By', 'Action', 'Method', 'Route', 'Status',
+        'Target Model', 'Target ID', 'Before', 'After', 'Metadata', 'IP Address', 'Request ID'],
+      ...entries.map(entry => [
+        entry.createdAt.toISOString(),
+        entry.actor ? entry.actor.name : '',
+        entry.actor ? entry.actor.email : '',
+        entry.actorRole,
+        entry.apiKey,
+        entry.impersonator ? entry.impersonator.email : '',
+        entry.action,
+        entry.method,
+        entry.route,
+        entry.statusCode,
+        entry.targetModel,
+        entry.targetId,
+        entry.before,
+        entry.after,
+        entry.metadata && Object.keys(entry.metadata).length ? entry.metadata : '',
+        entry.ipAddress,
+        entry.requestId
+      ])
+    ];
+
+    const csv = rows.map(row => row.map(toCsvCell).join(',')).join('\n');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=audit-log-${Date.now()}.csv`);
+
+    res.send(csv);
+  } catch (error) {
+    console.error('Export audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting audit logs'
+    });
+  }
+};
+
+// @desc    Get a single audit entry
+// @route   GET /api/audit/:id
+// @access  Private (audit.read)
+exports.getAuditLogById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit entry not found'
+      });
+    }
+
+    const entry = await AuditLog.findById(req.params.id)
+      .populate('actor', 'name email')
+      .populate('impersonator', 'name email');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { entry }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching audit log'
+    });
+  }
+};
@@ -0,0 +1,509 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const ContactMessage = require('../models/ContactMessage');
+const { setAuditContext } = require('../utils/audit');
+const { hasPermission } = require('../utils/permissions');
+const { BULK_ENTITIES, BULK_ACTIONS } = require('../config/bulkActions');
+const { resolveTags, buildTagFilter, applyTags } = require('../utils/tags');
+const { removeAttachments } = require('../utils/inboundEmail');
+
+// Records one bulk request can act on
+const MAX_BULK_RECORDS = 1000;
+
+// Between an existing note and one added in bulk
+const NOTE_SEPARATOR = '\n\n';
+
+// Spam status goes with a recorded verdict, which only the per-record
+// spam endpoint (PUT /:id/spam) sets
+const SPAM_STATUS = 'spam';
+const SPAM_MESSAGE = 'Mark records as spam or not spam one at a time with the spam endpoint';
+
+/**
+ * Build the query for the records a bulk request selects: a list of ids, or
+ * a filter of the same shape as the entity's list endpoint
+ * @param {Object} req - Express request
+ * @param {Object} config - Entry of BULK_ENTITIES
+ * @returns {Promise<Object>} { query, ids } or { error }
+ */
+const buildSelection = async (req, config) => {
+  const { ids, filter } = req.body;
+  let query;
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || !ids.length || ids.length > MAX_BULK_RECORDS || !ids.every(id => mongoose.isValidObjectId(id))) {
+      return { error: `ids must be a list of 1 to ${MAX_BULK_RECORDS} record IDs` };
+    }
+    query = { _id: { $in: ids } };
+  } else {
+    if (typeof filter !== 'object' || Array.isArray(filter) || filter === null || !Object.keys(filter).length) {
+      return { error: 'Give the records to act on as ids or a filter' };
+    }
+
+    const allowed = ['status', 'search', ...Object.keys(config.filters), ...(config.taggable ? ['tags', 'tagMatch'] : [])];
+    const unknown = Object.keys(filter).filter(key => !allowed.includes(key));
+
+    if (unknown.length) {
+      return { error: `Unknown filters: ${unknown.join(', ')}. ${config.label} can filter on ${allowed.join(', ')}` };
+    }
+
+    // Query parameters are always strings; anything else in a JSON body
+    // (an object such as { $ne: null }) would become a query operator
+    const notStrings = Object.keys(filter).filter(key => typeof filter[key] !== 'string');
+
+    if (notStrings.length) {
+      return { error: `Filter values must be strings: ${notStrings.join(', ')}` };
+    }
+
+    const { status, search, tags, tagMatch } = filter;
+    query = {};
+
+    if (status && status !== 'all') {
+      query.status = String(status);
+    } else if (config.hidesSpam) {
+      // As on the list endpoints, spam is only included when asked for
+      query.status = { $ne: 'spam' };
+    }
+
+    if (search) {
+      query.$or = config.searchFields.map(field => ({ [field]: { $regex: String(search), $options: 'i' } }));
+    }
+
+    for (const [param, field] of Object.entries(config.filters)) {
+      if (filter[param]) {
+        query[field] = String(filter[param]);
+      }
+    }
+
+    const tagFilter = config.taggable ? await buildTagFilter(tags, tagMatch) : null;
+    if (tagFilter) {
+      query.tags = tagFilter;
+    }
+  }
+
+  if (config.manageAllPermission && !hasPermission(req.admin, config.manageAllPermission)) {
+    query.createdBy = req.admin.id;
+  }
+
+  return { query, ids };
+};
+
+/**
+ * Check the parameters of an action and resolve what it changes
+ * @param {Object} Model - Model of the entity
+ * @param {Object} config - Entry of BULK_ENTITIES
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { change } or { error }
+ */
+const buildChange = async (Model, config, action, body) => {
+  if (action === 'update-status' || action === 'archive') {
+    const status = action === 'archive' ? config.archiveStatus : body.status;
+    const statuses = Model.schema.path('status').enumValues;
+
+    if (!status) {
+      return { error: action === 'archive' ? `${config.label} cannot be archived` : 'Give the status to set' };
+    }
+    if (!statuses.includes(status)) {
+      return { error: `Status must be one of: ${statuses.join(', ')}` };
+    }
+    if (status === SPAM_STATUS) {
+      return { error: SPAM_MESSAGE };
+    }
+    return { change: { status } };
+  }
+
+  if (action === 'add-note') {
+    if (!config.hasNotes) {
+      return { error: `${config.label} do not have notes` };
+    }
+
+    const note = typeof body.note === 'string' ? body.note.trim() : '';
+    if (!note) {
+      return { error: 'Give the note to add' };
+    }
+
+    const maxlength = [].concat(Model.schema.path('notes').options.maxlength)[0];
+    return { change: { note, maxlength } };
+  }
+
+  if (action === 'tag') {
+    if (!config.taggable) {
+      return { error: `${config.label} cannot be tagged` };
+    }
+
+    const toAdd = await resolveTags(body.add);
+    const toRemove = await resolveTags(body.remove);
+    const missing = [...toAdd.missing, ...toRemove.missing];
+
+    if (missing.length) {
+      return { error: `Unknown tags: ${missing.join(', ')}` };
+    }
+    if (!toAdd.tags.length && !toRemove.tags.length) {
+      return { error: 'Give tags to add or remove' };
+    }
+    return { change: { add: toAdd.tags, remove: toRemove.tags } };
+  }
+
+  return { change: {} };
+};
+
+/**
+ * Work out what an action does to each selected record, without changing anything
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} change - From buildChange
+ * @param {Array<Object>} records - Selected records
+ * @param {Array<string>} [ids] - IDs asked for, so missing ones can be reported
+ * @param {Object} [room] - Event ID to places left, for events with a limit;
+ *   registrations confirmed beyond it fail
+ * @returns {Array<Object>} One { id, result, ... } per record; result is
+ *   updated, unchanged, deleted, failed or not_found
+ */
+const planResults = (action, change, records, ids, room = {}) => {
+  const results = records.map(record => {
+    const id = String(record._id);
+
+    if (action === 'delete') {
+      return { id, result: 'deleted' };
+    }
+
+    if (change.status) {
+      if (record.status === change.status) {
+        return { id, result: 'unchanged' };
+      }
+      if (record.status === SPAM_STATUS) {
+        return { id, result: 'failed', error: SPAM_MESSAGE };
+      }
+      if (change.status === 'confirmed' && record.event && room[record.event] !== undefined) {
+        if (room[record.event] <= 0) {
+          return { id, result: 'failed', error: 'Event is full' };
+        }
+        room[record.event] -= 1;
+      }
+      return { id, result: 'updated', from: record.status, to: change.status };
+    }
+
+    if (change.note) {
+      const length = record.notes ? record.notes.length + NOTE_SEPARATOR.length + change.note.length : change.note.length;
+      return length > change.maxlength
+        ? { id, result: 'failed', error: `Notes would exceed ${change.maxlength} characters` }
+        : { id, result: 'updated' };
+    }
+
+    const current = (record.tags || []).map(String);
+    const adds = change.add.some(tag => !current.includes(String(tag._id)));
+    const removes = change.remove.some(tag => current.includes(String(tag._id)));
+    return adds || removes ? { id, result: 'updated' } : { id, result: 'unchanged' };
+  });
+
+  if (ids) {
+    const found = new Set(results.map(item => item.id));
+    const missing = [...new Set(ids.map(String))].filter(id => !found.has(id));
+    results.push(...missing.map(id => ({ id, result: 'not_found' })));
+  }
+
+  return results;
+};
+
+/**
+ * Places left at the events of registrations about to be confirmed
+ * @param {Array<Object>} records - Selected registrations
+ * @param {Object|null} session - Mongoose session
+ * @returns {Promise<Object>} Event ID to places left, for events with maxAttendees
+ */
+const eventRoom = async (records, session) => {
+  const eventIds = [...new Set(records.filter(record => record.event).map(record => String(record.event)))];
+  const events = await Event.find({ _id: { $in: eventIds } })
+    .select('maxAttendees currentAttendees')
+    .session(session)
+    .lean();
+  const room = {};
+
+  for (const event of events) {
+    if (event.maxAttendees) {
+      room[event._id] = event.maxAttendees - (event.currentAttendees || 0);
+    }
+  }
+
+  return room;
+};
+
+/**
+ * Change in confirmed attendees per event when registrations change status
+ * or are deleted
+ * @param {Array<Object>} records - Registrations being changed
+ * @param {string|null} status - New status, or null when deleting
+ * @returns {Object} Event ID to change in currentAttendees
+ */
+const attendeeChanges = (records, status) => {
+  const changes = {};
+
+  for (const record of records) {
+    const was = record.status === 'confirmed' ? 1 : 0;
+    const now = status === 'confirmed' ? 1 : 0;
+    if (was !== now) {
+      changes[record.event] = (changes[record.event] || 0) + now - was;
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Read the selected records and plan the action. Done inside the transaction
+ * that applies it, so the checks hold for the records actually written.
+ * @param {Object} Model - Model of the entity
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} change - From buildChange
+ * @param {Object} query - From buildSelection
+ * @param {Array<string>} [ids] - IDs asked for
+ * @param {string} fields - Fields to read, space-separated
+ * @param {Object|null} session - Mongoose session
+ * @returns {Promise<Object>} { results, changing }
+ */
+const planChange = async (Model, action, change, query, ids, fields, session) => {
+  const records = await Model.find(query).select(fields).session(session).lean();
+  const room = Model.modelName === 'EventRegistration' && change.status === 'confirmed'
+    ? await eventRoom(records, session)
+    : {};
+  const results = planResults(action, change, records, ids, room);
+  const changing = records.filter((record, index) => ['updated', 'deleted'].includes(results[index].result));
+
+  return { results, changing };
+};
+
+/**
+ * Delete the email threads of contacts
+ * @param {Array<Object>} contactIds - Contact IDs
+ * @param {Object|null} session - Mongoose session
+ * @returns {Promise<Array<Object>>} Attachments of the deleted messages, whose
+ *   files are removed once the deletion is committed
+ */
+const deleteThreads = async (contactIds, session) => {
+  const messages = await ContactMessage.find({ contact: { $in: contactIds } })
+    .select('attachments')
+    .session(session)
+    .lean();
+  await ContactMessage.deleteMany({ contact: { $in: contactIds } }, { session });
+
+  return messages.flatMap(message => message.attachments || []);
+};
+
+/**
+ * Run work in a transaction, or without one on a server that has no
+ * transactions (a standalone MongoDB rather than a replica set)
+ * @param {Function} work - async (session) => result; session is null without a transaction
+ * @returns {Promise<Object>} { result, atomic }
+ */
+const runAtomically = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return { result, atomic: true };
+  } catch (error) {
+    if (error.code !== 20 && !/replica set member or mongos/.test(error.message)) {
+      throw error;
+    }
+  } finally {
+    await session.endSession();
+  }
+
+  return { result: await work(null), atomic: false };
+};
+
+/**
+ * Apply an action to the records planned as updated or deleted
+ * @param {Object} Model - Model of the entity
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} change - From buildChange
+ * @param {Array<Object>} records - Records to change
+ * @param {Object|null} session - Mongoose session
+ * @returns {Promise<Array<Object>>} Attachments whose files are to be removed
+ */
+const applyChange = async (Model, action, change, records, session) => {
+  const filter = { _id: { $in: records.map(record => record._id) } };
+  const options = { session };
+
+  if (Model.modelName === 'EventRegistration' && (action === 'delete' || change.status)) {
+    const changes = attendeeChanges(records, action === 'delete' ? null : change.status);
+    for (const [eventId, delta] of Object.entries(changes)) {
+      await Event.updateOne({ _id: eventId }, { $inc: { currentAttendees: delta } }, options);
+    }
+  }
+
+  if (action === 'delete') {
+    const attachments = Model.modelName === 'Contact'
+      ? await deleteThreads(records.map(record => record._id), session)
+      : [];
+    await Model.deleteMany(filter, options);
+    return attachments;
+  }
+
+  if (change.status) {
+    // Without a transaction, a record may have been marked spam since it was read
+    await Model.updateMany(
+      { ...filter, status: { $ne: SPAM_STATUS } },
+      { $set: { status: change.status } },
+      { ...options, runValidators: true }
+    );
+    return [];
+  }
+
+  if (change.note) {
+    await Model.updateMany(filter, [{
+      $set: {
+        notes: {
+          $cond: [
+            { $gt: [{ $strLenCP: { $ifNull: ['$notes', ''] } }, 0] },
+            { $concat: ['$notes', NOTE_SEPARATOR, change.note] },
+            change.note
+          ]
+        }
+      }
+    }], options);
+    return [];
+  }
+
+  await applyTags(Model, filter, {
+    add: change.add.map(tag => tag._id),
+    remove: change.remove.map(tag => tag._id)
+  }, options);
+  return [];
+};
+
+// @desc    Change status, add a note, tag, archive or delete many records of one kind.
+//          Takes { action, ids } or { action, filter } with the list endpoint's
+//          filters; dryRun: true reports what would happen without changing anything.
+// @route   POST /api/contacts/bulk, /api/community/bulk, /api/volunteers/bulk,
+//          /api/custom-volunteers/bulk, /api/newsletter/bulk, /api/events/registrations/bulk
+// @access  Private (write permission of the entity; delete also needs its delete permission)
+exports.bulkAction = (entity) => async (req, res) => {
+  const config = BULK_ENTITIES[entity];
+
+  try {
+    const { action, dryRun } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${BULK_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (action === 'delete' && !hasPermission(req.admin, config.deletePermission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission: ${config.deletePermission}`
+      });
+    }
+
+    const Model = require(`../models/${config.model}`);
+    const { change, error: changeError } = await buildChange(Model, config, action, req.body);
+    const { query, ids, error: selectionError } = changeError ? {} : await buildSelection(req, config);
+    const problem = changeError || selectionError;
+
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const matched = await Model.countDocuments(query);
+
+    if (matched > MAX_BULK_RECORDS) {
+      return res.status(400).json({
+        success: false,
+        message: `The filter matches ${matched} records; bulk actions handle at most ${MAX_BULK_RECORDS} at a time`,
+        data: { matched }
+      });
+    }
+
+    const fields = [...new Set(['status', 'notes', 'tags', 'event', ...(action === 'delete' ? config.auditFields : [])])].join(' ');
+    let planned;
+    let atomic = true;
+
+    if (dryRun) {
+      planned = await planChange(Model, action, change, query, ids, fields, null);
+    } else {
+      let attachments;
+      ({ result: { planned, attachments }, atomic } = await runAtomically(async (session) => {
+        const current = await planChange(Model, action, change, query, ids, fields, session);
+        return {
+          planned: current,
+          attachments: current.changing.length ? await applyChange(Model, action, change, current.changing, session) : []
+        };
+      }));
+      // Files cannot be rolled back, so they go once the records are gone
+      await removeAttachments(attachments);
+    }
+
+    const { results, changing } = planned;
+
+    const summary = results.reduce((acc, item) => {
+      acc[item.result] = (acc[item.result] || 0) + 1;
+      return acc;
+    }, {});
+
+    const label = config.label.toLowerCase();
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: `${changing.length} of ${matched} ${label} would change`,
+        data: { action, dryRun: true, matched, summary, results }
+      });
+    }
+
+    setAuditContext(req, {
+      action: `${entity}.bulk`,
+      targetModel: config.model,
+      metadata: {
+        action,
+        ids: changing.map(record => record._id),
+        // Deleted records can no longer be looked up by ID
+        deleted: action === 'delete'
+          ? changing.map(record => ({
+            _id: record._id,
+            ...Object.fromEntries(config.auditFields.map(field => [field, record[field]]))
+          }))
+          : undefined,
+        filter: ids ? undefined : req.body.filter,
+        status: change.status,
+        note: change.note,
+        add: change.add && change.add.map(tag => tag.slug),
+        remove: change.remove && change.remove.map(tag => tag.slug),
+        atomic
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `${changing.length} of ${matched} ${label} changed`,
+      data: { action, dryRun: false, atomic, matched, summary, results }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid value for ${error.path}`
+      });
+    }
+    console.error('Bulk action error:', error);
+    res.status(500).json({
+      success: false,
+      message: `Server error applying bulk action to ${config.label.toLowerCase()}`
+    });
+  }
+};
@@ -0,0 +1,366 @@
+const Admin = require('../models/Admin');
+const Contact = require('../models/Contact');
+const CannedResponse = require('../models/CannedResponse');
+const { setAuditContext } = require('../utils/audit');
+const { listPlaceholders } = require('../utils/templates');
+const { REPLY_PLACEHOLDERS, getReplyTemplateValues, renderReply } = require('../utils/contactReplies');
+const { getSlaPolicy, getContactCategories } = require('../utils/contactSla');
+
+/**
+ * Check the fields of a canned response before saving
+ * @param {Object} fields - { subject, body, category } as submitted
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const checkCannedResponse = async ({ subject, body, category }) => {
+  const unknown = listPlaceholders(`${subject || ''}\n${body || ''}`)
+    .filter(placeholder => !REPLY_PLACEHOLDERS.includes(placeholder));
+
+  if (unknown.length) {
+    return `Unknown placeholders: ${unknown.map(placeholder => `{{${placeholder}}}`).join(', ')}`;
+  }
+
+  if (category !== undefined) {
+    const categories = getContactCategories(await getSlaPolicy());
+    if (!categories.includes(String(category).trim().toLowerCase())) {
+      return `Category must be one of: ${categories.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Respond to a Mongoose validation or duplicate-key error
+ * @param {Object} res - Express response
+ * @param {Object} error - Error thrown
+ * @returns {boolean} Whether a response was sent
+ */
+const handleCannedResponseSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A canned response with this title already exists'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    List canned responses
+// @route   GET /api/canned-responses
+// @access  Private (contacts.reply)
+exports.getCannedResponses = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, category, search, includeInactive, sort } = req.query;
+
+    const query = {};
+
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    if (category) {
+      query.category = String(category).toLowerCase();
+    }
+
+    if (search) {
+      query.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { body: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const responses = await CannedResponse.find(query)
+      .sort(sort === 'popular' ? { usageCount: -1, title: 1 } : { title: 1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate('createdBy', 'name email');
+
+    const total = await CannedResponse.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: responses,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get canned responses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching canned responses'
+    });
+  }
+};
+
+// @desc    Placeholders canned responses may use
+// @route   GET /api/canned-responses/placeholders
+// @access  Private (contacts.reply)
+exports.getPlaceholders = async (req, res) => {
+  res.json({
+    success: true,
+    data: REPLY_PLACEHOLDERS
+  });
+};
+
+// @desc    Get a single canned response
+// @route   GET /api/canned-responses/:id
+// @access  Private (contacts.reply)
+exports.getCannedResponseById = async (req, res) => {
+  try {
+    const response = await CannedResponse.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: response
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+    console.error('Get canned response error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching canned response'
+    });
+  }
+};
+
+// @desc    Create a canned response
+// @route   POST /api/canned-responses
+// @access  Private (cannedResponses.manage)
+exports.createCannedResponse = async (req, res) => {
+  try {
+    const { title, subject, body, category, isActive } = req.body;
+
+    const problem = await checkCannedResponse({ subject, body, category });
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const response = await CannedResponse.create({
+      title,
+      subject,
+      body,
+      category,
+      isActive,
+      createdBy: req.admin.id
+    });
+
+    setAuditContext(req, {
+      action: 'cannedResponse.create',
+      targetModel: 'CannedResponse',
+      targetId: response._id,
+      after: response
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Canned response created successfully',
+      data: response
+    });
+  } catch (error) {
+    if (handleCannedResponseSaveError(res, error)) {
+      return;
+    }
+    console.error('Create canned response error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating canned response'
+    });
+  }
+};
+
+// @desc    Update a canned response
+// @route   PUT /api/canned-responses/:id
+// @access  Private (cannedResponses.manage)
+exports.updateCannedResponse = async (req, res) => {
+  try {
+    const response = await CannedResponse.findById(req.params.id);
+
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    const { title, subject, body, category, isActive } = req.body;
+
+    const problem = await checkCannedResponse({
+      subject: subject !== undefined ? subject : response.subject,
+      body: body !== undefined ? body : response.body,
+      category
+    });
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const before = response.toJSON();
+
+    if (title !== undefined) response.title = title;
+    if (subject !== undefined) response.subject = subject;
+    if (body !== undefined) response.body = body;
+    if (category !== undefined) response.category = category;
+    if (isActive !== undefined) response.isActive = isActive;
+    response.updatedBy = req.admin.id;
+
+    await response.save();
+
+    setAuditContext(req, {
+      action: 'cannedResponse.update',
+      targetModel: 'CannedResponse',
+      targetId: response._id,
+      before,
+      after: response
+    });
+
+    res.json({
+      success: true,
+      message: 'Canned response updated successfully',
+      data: response
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+    if (handleCannedResponseSaveError(res, error)) {
+      return;
+    }
+    console.error('Update canned response error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating canned response'
+    });
+  }
+};
+
+// @desc    Delete a canned response
+// @route   DELETE /api/canned-responses/:id
+// @access  Private (cannedResponses.manage)
+exports.deleteCannedResponse = async (req, res) => {
+  try {
+    const response = await CannedResponse.findByIdAndDelete(req.params.id);
+
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    setAuditContext(req, {
+      action: 'cannedResponse.delete',
+      targetModel: 'CannedResponse',
+      targetId: response._id,
+      before: response
+    });
+
+    res.json({
+      success: true,
+      message: 'Canned response deleted successfully'
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+    console.error('Delete canned response error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting canned response'
+    });
+  }
+};
+
+// @desc    Fill a canned response from a contact, as it would be sent by the current admin
+// @route   POST /api/canned-responses/:id/render
+// @access  Private (contacts.reply)
+exports.renderCannedResponse = async (req, res) => {
+  try {
+    const { contactId, includeSignature } = req.body;
+
+    const response = await CannedResponse.findOne({ _id: req.params.id, isActive: true });
+
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    const contact = contactId ? await Contact.findById(contactId) : null;
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+
+    const sender = await Admin.findById(req.admin.id);
+    const values = await getReplyTemplateValues(contact, sender);
+
+    res.json({
+      success: true,
+      data: {
+        cannedResponseId: response._id,
+        contactId: contact._id,
+        subject: response.subject
+          ? renderReply(response.subject, values, { includeSignature: false })
+          : `Re: ${contact.subject}`,
+        body: renderReply(response.body, values, { includeSignature: includeSignature !== false })
+      }
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response or contact message not found'
+      });
+    }
+    console.error('Render canned response error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rendering canned response'
+    });
+  }
+};
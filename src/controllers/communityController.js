@@ -1,4 +1,7 @@
 const CommunityMember = require('../models/CommunityMember');
+const { setAuditContext } = require('../utils/audit');
+const { checkSubmission, toSpamRecord, applySpamVerdict, toPublicSubmission } = require('../utils/spam');
+const { buildTagFilter, TAG_FIELDS } = require('../utils/tags');
 
 /**
  * Validation error helper
@@ -22,17 +25,22 @@ const createCommunityMember = async (req, res) => {
   try {
     const { name, email, mobile, education } = req.body;
 
+    // Spam is stored out of the inbox but answered like any other submission
+    const spamCheck = await checkSubmission('community', req.body);
+
     const member = await CommunityMember.create({
       name,
       email,
       mobile,
-      education
+      education,
+      status: spamCheck.isSpam ? 'spam' : 'pending',
+      spam: toSpamRecord(spamCheck)
     });
 
     res.status(201).json({
       success: true,
       message: 'Community registration submitted successfully',
-      data: member
+      data: toPublicSubmission(member)
     });
 
   } catch (error) {
@@ -67,17 +75,19 @@ const createCommunityMember = async (req, res) => {
 /**
  * @desc    Get all community members
  * @route   GET /api/community
- * @access  Private (Admin)
+ * @access  Private (community.read)
  */
 const getCommunityMembers = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, search } = req.query;
+    const { page = 1, limit = 10, status, search, tags, tagMatch } = req.query;
 
     const query = {};
 
-    // Filter by status if provided
+    // Filter by status if provided; spam only shows when asked for
     if (status && status !== 'all') {
       query.status = status;
+    } else {
+      query.status = { $ne: 'spam' };
     }
 
     // Search in name, email, and mobile
@@ -89,10 +99,16 @@ const getCommunityMembers = async (req, res) => {
       ];
     }
 
+    const tagFilter = await buildTagFilter(tags, tagMatch);
+    if (tagFilter) {
+      query.tags = tagFilter;
+    }
+
     const members = await CommunityMember.find(query)
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
-      .limit(parseInt(limit));
+      .limit(parseInt(limit))
+      .populate('tags', TAG_FIELDS);
 
     const total = await CommunityMember.countDocuments(query);
 
@@ -119,7 +135,7 @@ const getCommunityMembers = async (req, res) => {
 /**
  * @desc    Get a single community member by ID
  * @route   GET /api/community/:id
- * @access  Private (Admin)
+ * @access  Private (community.read)
  */
 const getCommunityMemberById = async (req, res) => {
   try {
@@ -162,12 +178,14 @@ const getCommunityMemberById = async (req, res) => {
 /**
  * @desc    Update a community member
  * @route   PUT /api/community/:id
- * @access  Private (Admin)
+ * @access  Private (community.write)
  */
 const updateCommunityMember = async (req, res) => {
   try {
     const { status, notes } = req.body;
 
+    const before = await CommunityMember.findById(req.params.id);
+
     const member = await CommunityMember.findByIdAndUpdate(
       req.params.id,
       { status, notes },
@@ -181,6 +199,14 @@ const updateCommunityMember = async (req, res) => {
       });
     }
 
+    setAuditContext(req, {
+      action: 'communityMember.update',
+      targetModel: 'CommunityMember',
+      targetId: member._id,
+      before,
+      after: member
+    });
+
     res.json({
       success: true,
       message: 'Community member updated successfully',
@@ -206,7 +232,7 @@ const updateCommunityMember = async (req, res) => {
 /**
  * @desc    Delete a community member
  * @route   DELETE /api/community/:id
- * @access  Private (Admin)
+ * @access  Private (community.delete)
  */
 const deleteCommunityMember = async (req, res) => {
   try {
@@ -219,6 +245,13 @@ const deleteCommunityMember = async (req, res) => {
       });
     }
 
+    setAuditContext(req, {
+      action: 'communityMember.delete',
+      targetModel: 'CommunityMember',
+      targetId: member._id,
+      before: member
+    });
+
     res.json({
       success: true,
       message: 'Community member deleted successfully',
@@ -244,7 +277,7 @@ const deleteCommunityMember = async (req, res) => {
 /**
  * @desc    Get community member statistics
  * @route   GET /api/community/stats
- * @access  Private (Admin)
+ * @access  Private (community.read)
  */
 const getCommunityStats = async (req, res) => {
   try {
@@ -297,11 +330,63 @@ const getCommunityStats = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Mark a community registration as spam, or as a false positive back into the inbox
+ * @route   PUT /api/community/:id/spam
+ * @access  Private (community.write)
+ */
+const markCommunityMemberSpam = async (req, res) => {
+  try {
+    const member = await CommunityMember.findById(req.params.id);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Community member not found'
+      });
+    }
+
+    const isSpam = req.body.isSpam !== false;
+    const before = member.toJSON();
+    applySpamVerdict(member, isSpam, req.admin.id);
+    await member.save();
+
+    setAuditContext(req, {
+      action: isSpam ? 'communityMember.markSpam' : 'communityMember.markNotSpam',
+      targetModel: 'CommunityMember',
+      targetId: member._id,
+      before,
+      after: member
+    });
+
+    res.json({
+      success: true,
+      message: isSpam ? 'Marked as spam' : 'Marked as not spam',
+      data: member
+    });
+
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Community member not found'
+      });
+    }
+
+    console.error('Mark communityMember spam error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating spam status'
+    });
+  }
+};
+
 module.exports = {
   createCommunityMember,
   getCommunityMembers,
   getCommunityMemberById,
   updateCommunityMember,
   deleteCommunityMember,
-  getCommunityStats
+  getCommunityStats,
+  markCommunityMemberSpam
 };
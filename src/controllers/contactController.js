@@ -1,4 +1,16 @@
 const Contact = require('../models/Contact');
+const ContactMessage = require('../models/ContactMessage');
+const CannedResponse = require('../models/CannedResponse');
+const Admin = require('../models/Admin');
+const { setAuditContext } = require('../utils/audit');
+const { checkSubmission, toSpamRecord, applySpamVerdict, toPublicSubmission } = require('../utils/spam');
+const { getReplyTemplateValues, renderReply, sendContactReply } = require('../utils/contactReplies');
+const { getAttachmentPath, removeAttachments } = require('../utils/inboundEmail');
+const { adminHasPermission } = require('../utils/permissions');
+const { DEFAULT_CATEGORY, getSlaPolicy, getContactCategories, computeDueAt, median } = require('../utils/contactSla');
+const { triageMessage, recordRuleMatches, shouldNotify, notifyTriage } = require('../utils/triage');
+const { getSetting } = require('../utils/settings');
+const { buildTagFilter, TAG_FIELDS } = require('../utils/tags');
 
 /**
  * Validation error helper
@@ -22,18 +34,64 @@ const createContact = async (req, res) => {
   try {
     const { name, email, subject, mobile, message } = req.body;
 
+    // Spam is stored out of the inbox but answered like any other submission
+    const spamCheck = await checkSubmission('contact', req.body);
+
+    // Unknown categories from the public form are filed under the default
+    const policy = await getSlaPolicy();
+    const requested = String(req.body.category || '').trim().toLowerCase();
+    let category = getContactCategories(policy).includes(requested) ? requested : DEFAULT_CATEGORY;
+
+    // Triage rules see everything but spam, and their category wins over the visitor's
+    const triage = !spamCheck.isSpam && await getSetting('triage_enabled', true)
+      ? await triageMessage({ subject, message })
+      : null;
+
+    const fields = {};
+    if (triage) {
+      category = triage.category || category;
+      if (triage.priority) {
+        fields.priority = triage.priority;
+      }
+      fields.triage = { rules: triage.matched, triagedAt: new Date() };
+
+      if (triage.assignTo) {
+        fields.assignedTo = triage.assignTo._id;
+        fields.assignedAt = new Date();
+        fields.assignmentHistory = [{
+          assignedTo: triage.assignTo._id,
+          note: `Triage rule: ${triage.assignedByRule}`
+        }];
+      }
+    }
+
     const contact = await Contact.create({
       name,
       email,
       subject,
       mobile,
-      message
+      message,
+      category,
+      dueAt: computeDueAt(new Date(), category, policy),
+      status: spamCheck.isSpam ? 'spam' : 'new',
+      spam: toSpamRecord(spamCheck),
+      ...fields
     });
 
+    if (triage) {
+      await recordRuleMatches(triage);
+    }
+
+    if (!spamCheck.isSpam && await shouldNotify(contact, triage) && await notifyTriage(contact, triage)) {
+      // The alert went out; a resubmission after a 500 here would only duplicate the message
+      await Contact.updateOne({ _id: contact._id }, { $set: { 'triage.notified': true } })
+        .catch(error => console.error('Mark contact notified error:', error));
+    }
+
     res.status(201).json({
       success: true,
       message: 'Contact message created successfully',
-      data: contact
+      data: toPublicSubmission(contact)
     });
 
   } catch (error) {
@@ -60,17 +118,48 @@ const createContact = async (req, res) => {
 /**
  * @desc    Get all contact messages
  * @route   GET /api/contacts
- * @access  Private (Admin)
+ * @access  Private (contacts.read)
  */
 const getContacts = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, search } = req.query;
+    const { page = 1, limit = 10, status, search, category, priority, assignee, overdue, tags, tagMatch } = req.query;
 
     const query = {};
 
-    // Filter by status if provided
+    // Filter by status if provided; spam only shows when asked for
     if (status && status !== 'all') {
       query.status = status;
+    } else {
+      query.status = overdue === 'true' ? { $nin: ['spam', 'archived'] } : { $ne: 'spam' };
+    }
+
+    if (category) {
+      query.category = String(category).toLowerCase();
+    }
+
+    if (priority) {
+      query.priority = priority;
+    }
+
+    // Owner: mine, unassigned, or an admin ID
+    if (assignee === 'mine') {
+      query.assignedTo = req.admin.id;
+    } else if (assignee === 'unassigned') {
+      query.assignedTo = null;
+    } else if (assignee) {
+      query.assignedTo = assignee;
+    }
+
+    // Still waiting for a first reply after it was due
+    if (overdue === 'true') {
+      query.firstRespondedAt = null;
+      query.dueAt = { $lt: new Date() };
+    }
+
+    // Records carrying the given tags (IDs or slugs); all of them unless tagMatch=any
+    const tagFilter = await buildTagFilter(tags, tagMatch);
+    if (tagFilter) {
+      query.tags = tagFilter;
     }
 
     // Search in name, email, subject, and message
@@ -83,9 +172,11 @@ const getContacts = async (req, res) => {
     }
 
     const contacts = await Contact.find(query)
-      .sort({ createdAt: -1 })
+      .sort(overdue === 'true' ? { dueAt: 1 } : { createdAt: -1 })
       .skip((page - 1) * limit)
-      .limit(parseInt(limit));
+      .limit(parseInt(limit))
+      .populate('assignedTo', 'name email')
+      .populate('tags', TAG_FIELDS);
 
     const total = await Contact.countDocuments(query);
 
@@ -101,6 +192,13 @@ const getContacts = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assignee'
+      });
+    }
+
     console.error('Get contacts error:', error);
     res.status(500).json({
       success: false,
@@ -112,7 +210,7 @@ const getContacts = async (req, res) => {
 /**
  * @desc    Get a single contact message by ID
  * @route   GET /api/contacts/:id
- * @access  Private (Admin)
+ * @access  Private (contacts.read)
  */
 const getContactById = async (req, res) => {
   try {
@@ -131,6 +229,13 @@ const getContactById = async (req, res) => {
       await contact.save();
     }
 
+    await contact.populate([
+      { path: 'assignedTo', select: 'name email' },
+      { path: 'tags', select: TAG_FIELDS },
+      { path: 'assignmentHistory.assignedTo', select: 'name email' },
+      { path: 'assignmentHistory.assignedBy', select: 'name email' }
+    ]);
+
     res.json({
       success: true,
       data: contact
@@ -155,15 +260,42 @@ const getContactById = async (req, res) => {
 /**
  * @desc    Update a contact message
  * @route   PUT /api/contacts/:id
- * @access  Private (Admin)
+ * @access  Private (contacts.write)
  */
 const updateContact = async (req, res) => {
   try {
-    const { status, notes } = req.body;
+    const { status, notes, category } = req.body;
+
+    const before = await Contact.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+
+    const update = { status, notes };
+
+    // A new category moves the reply target with it
+    if (category !== undefined) {
+      const policy = await getSlaPolicy();
+      const categories = getContactCategories(policy);
+      update.category = String(category).trim().toLowerCase();
+
+      if (!categories.includes(update.category)) {
+        return res.status(400).json({
+          success: false,
+          message: `Category must be one of: ${categories.join(', ')}`
+        });
+      }
+
+      update.dueAt = computeDueAt(before.createdAt, update.category, policy);
+    }
 
     const contact = await Contact.findByIdAndUpdate(
       req.params.id,
-      { status, notes },
+      update,
       { new: true, runValidators: true }
     );
 
@@ -174,6 +306,14 @@ const updateContact = async (req, res) => {
       });
     }
 
+    setAuditContext(req, {
+      action: 'contact.update',
+      targetModel: 'Contact',
+      targetId: contact._id,
+      before,
+      after: contact
+    });
+
     res.json({
       success: true,
       message: 'Contact message updated successfully',
@@ -197,9 +337,9 @@ const updateContact = async (req, res) => {
 };
 
 /**
- * @desc    Delete a contact message
+ * @desc    Delete a contact message with its email thread and attachments
  * @route   DELETE /api/contacts/:id
- * @access  Private (Admin)
+ * @access  Private (contacts.delete)
  */
 const deleteContact = async (req, res) => {
   try {
@@ -212,6 +352,18 @@ const deleteContact = async (req, res) => {
       });
     }
 
+    // The thread holds every email exchanged about the contact
+    const messages = await ContactMessage.find({ contact: contact._id }).select('attachments').lean();
+    await ContactMessage.deleteMany({ contact: contact._id });
+    await removeAttachments(messages.flatMap(message => message.attachments || []));
+
+    setAuditContext(req, {
+      action: 'contact.delete',
+      targetModel: 'Contact',
+      targetId: contact._id,
+      before: contact
+    });
+
     res.json({
       success: true,
       message: 'Contact message deleted successfully',
@@ -237,7 +389,7 @@ const deleteContact = async (req, res) => {
 /**
  * @desc    Get contact statistics
  * @route   GET /api/contacts/stats
- * @access  Private (Admin)
+ * @access  Private (contacts.read)
  */
 const getContactStats = async (req, res) => {
   try {
@@ -257,11 +409,45 @@ const getContactStats = async (req, res) => {
       return acc;
     }, {});
 
+    const open = { status: { $nin: ['spam', 'archived'] } };
+    const unassigned = await Contact.countDocuments({ ...open, assignedTo: null });
+    const overdue = await Contact.countDocuments({ ...open, firstRespondedAt: null, dueAt: { $lt: new Date() } });
+
+    // Time to first reply, grouped by the current owner
+    const responses = await Contact.aggregate([
+      { $match: { firstRespondedAt: { $ne: null } } },
+      {
+        $group: {
+          _id: '$assignedTo',
+          responseTimes: { $push: { $subtract: ['$firstRespondedAt', '$createdAt'] } },
+          breached: {
+            $sum: { $cond: [{ $and: ['$dueAt', { $gt: ['$firstRespondedAt', '$dueAt'] }] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    const assignees = await Admin.find({ _id: { $in: responses.map(group => group._id).filter(Boolean) } })
+      .select('name email');
+
+    const byAssignee = responses.map(group => {
+      const medianMs = median(group.responseTimes);
+      return {
+        assignee: assignees.find(admin => admin._id.equals(group._id)) || null,
+        responded: group.responseTimes.length,
+        breached: group.breached,
+        medianResponseMinutes: medianMs === null ? null : Math.round(medianMs / 60000)
+      };
+    });
+
     res.json({
       success: true,
       data: {
         total: totalContacts,
-        byStatus: statusCounts
+        byStatus: statusCounts,
+        unassigned,
+        overdue,
+        responseTimes: byAssignee
       }
     });
 
@@ -274,11 +460,357 @@ const getContactStats = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Mark a contact message as spam, or as a false positive back into the inbox
+ * @route   PUT /api/contacts/:id/spam
+ * @access  Private (contacts.write)
+ */
+const markContactSpam = async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+
+    const isSpam = req.body.isSpam !== false;
+    const before = contact.toJSON();
+    applySpamVerdict(contact, isSpam, req.admin.id);
+    await contact.save();
+
+    setAuditContext(req, {
+      action: isSpam ? 'contact.markSpam' : 'contact.markNotSpam',
+      targetModel: 'Contact',
+      targetId: contact._id,
+      before,
+      after: contact
+    });
+
+    res.json({
+      success: true,
+      message: isSpam ? 'Marked as spam' : 'Marked as not spam',
+      data: contact
+    });
+
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+
+    console.error('Mark contact spam error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating spam status'
+    });
+  }
+};
+
+/**
+ * @desc    Assign a contact message to an admin, or unassign it ({ assignedTo: null })
+ * @route   PUT /api/contacts/:id/assign
+ * @access  Private (contacts.assign)
+ */
+const assignContact = async (req, res) => {
+  try {
+    const { assignedTo, note } = req.body;
+
+    if (assignedTo === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'assignedTo is required (an admin ID, or null to unassign)'
+      });
+    }
+
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+
+    // Only admins who can answer a contact can own one
+    let assignee = null;
+    if (assignedTo) {
+      assignee = await Admin.findById(assignedTo);
+
+      if (!(await adminHasPermission(assignee, 'contacts.reply'))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Contacts can only be assigned to active admins who can reply to them'
+        });
+      }
+    }
+
+    const before = contact.toJSON();
+
+    if (String(contact.assignedTo || '') !== String(assignee ? assignee._id : '')) {
+      contact.assignedTo = assignee ? assignee._id : null;
+      contact.assignedAt = assignee ? new Date() : undefined;
+      contact.assignmentHistory.push({
+        assignedTo: contact.assignedTo,
+        assignedBy: req.admin.id,
+        note
+      });
+      await contact.save();
+
+      setAuditContext(req, {
+        action: assignee ? 'contact.assign' : 'contact.unassign',
+        targetModel: 'Contact',
+        targetId: contact._id,
+        before,
+        after: contact
+      });
+    }
+
+    await contact.populate('assignedTo', 'name email');
+
+    res.json({
+      success: true,
+      message: assignee ? `Assigned to ${assignee.name}` : 'Contact message unassigned',
+      data: contact
+    });
+
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message or admin not found'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    console.error('Assign contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning contact'
+    });
+  }
+};
+
+/**
+ * @desc    Get the conversation on a contact message, oldest first
+ * @route   GET /api/contacts/:id/messages
+ * @access  Private (contacts.read)
+ */
+const getContactMessages = async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+
+    const messages = await ContactMessage.find({ contact: contact._id })
+      .sort({ createdAt: 1 })
+      .populate('sentBy', 'name email');
+
+    res.json({
+      success: true,
+      data: {
+        contact,
+        messages
+      }
+    });
+
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+
+    console.error('Get contact messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching contact messages'
+    });
+  }
+};
+
+/**
+ * @desc    Download an attachment of an inbound message
+ * @route   GET /api/contacts/:id/messages/:messageId/attachments/:attachmentId
+ * @access  Private (contacts.read)
+ */
+const downloadMessageAttachment = async (req, res) => {
+  try {
+    const message = await ContactMessage.findOne({ _id: req.params.messageId, contact: req.params.id });
+    const attachment = message && message.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    // Sent as a download so HTML or SVG from a stranger never renders in the dashboard origin
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.download(getAttachmentPath(attachment.storedName), attachment.filename, {
+      headers: { 'Content-Type': attachment.contentType }
+    }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Attachment file is missing'
+        });
+      }
+    });
+
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading attachment'
+    });
+  }
+};
+
+/**
+ * @desc    Email a reply to a contact from the dashboard. The body may use
+ *          {{contact.name}}, {{sender.name}}, {{sender.signature}} and similar
+ *          placeholders; the signature is appended unless placed or turned off.
+ *          Send cannedResponseId instead of (or with) a body to use a canned response.
+ * @route   POST /api/contacts/:id/replies
+ * @access  Private (contacts.reply)
+ */
+const replyToContact = async (req, res) => {
+  try {
+    const { cannedResponseId, includeSignature } = req.body;
+    let { subject, body } = req.body;
+
+    // A canned response fills whatever the admin did not write themselves
+    let cannedResponse = null;
+    if (cannedResponseId) {
+      cannedResponse = await CannedResponse.findOne({ _id: cannedResponseId, isActive: true });
+
+      if (!cannedResponse) {
+        return res.status(404).json({
+          success: false,
+          message: 'Canned response not found'
+        });
+      }
+
+      body = body || cannedResponse.body;
+      subject = subject || cannedResponse.subject;
+    }
+
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reply text is required'
+      });
+    }
+
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+
+    const sender = await Admin.findById(req.admin.id);
+    const values = await getReplyTemplateValues(contact, sender);
+
+    const message = await sendContactReply(contact, sender, {
+      subject: subject ? renderReply(subject, values, { includeSignature: false }) : undefined,
+      body: renderReply(body, values, { includeSignature: includeSignature !== false })
+    });
+
+    if (message.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: 'The reply could not be sent. It has been kept in the thread so you can try again.',
+        data: message
+      });
+    }
+
+    const before = contact.toJSON();
+    contact.status = 'replied';
+    contact.lastRepliedAt = message.sentAt;
+    if (!contact.firstRespondedAt) {
+      contact.firstRespondedAt = message.sentAt;
+      contact.firstRespondedBy = sender._id;
+    }
+    await contact.save();
+
+    if (cannedResponse) {
+      await CannedResponse.updateOne(
+        { _id: cannedResponse._id },
+        { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+      );
+    }
+
+    setAuditContext(req, {
+      action: 'contact.reply',
+      targetModel: 'Contact',
+      targetId: contact._id,
+      before,
+      after: contact,
+      metadata: { messageId: message._id, cannedResponseId: cannedResponse ? cannedResponse._id : undefined }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply sent successfully',
+      data: message
+    });
+
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+
+    console.error('Reply to contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending reply'
+    });
+  }
+};
+
 module.exports = {
   createContact,
   getContacts,
   getContactById,
   updateContact,
   deleteContact,
-  getContactStats
+  getContactStats,
+  markContactSpam,
+  assignContact,
+  getContactMessages,
+  downloadMessageAttachment,
+  replyToContact
 };
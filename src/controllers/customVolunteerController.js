@@ -1,4 +1,6 @@
 const CustomVolunteer = require('../models/CustomVolunteer');
+const { hasPermission } = require('../utils/permissions');
+const { setAuditContext } = require('../utils/audit');
 
 /**
  * Validation error helper
@@ -13,10 +15,21 @@ const formatValidationErrors = (errors) => {
   return formattedErrors;
 };
 
+/**
+ * Whether a volunteer record was created by the given user
+ * @param {Object} volunteer - CustomVolunteer document (createdBy may be populated)
+ * @param {string} userId - Admin ID
+ * @returns {boolean}
+ */
+const isCreatedBy = (volunteer, userId) => {
+  const owner = volunteer.createdBy && volunteer.createdBy._id ? volunteer.createdBy._id : volunteer.createdBy;
+  return Boolean(owner) && String(owner) === String(userId);
+};
+
 /**
  * @desc    Create a new custom volunteer
  * @route   POST /api/custom-volunteers
- * @access  Private (Admin, Sub Admin, Volunteer, Member)
+ * @access  Private (customVolunteers.write)
  */
 const createCustomVolunteer = async (req, res) => {
   try {
@@ -84,6 +97,13 @@ const createCustomVolunteer = async (req, res) => {
       createdByRole
     });
 
+    setAuditContext(req, {
+      action: 'customVolunteer.create',
+      targetModel: 'CustomVolunteer',
+      targetId: volunteer._id,
+      after: volunteer
+    });
+
     res.status(201).json({
       success: true,
       message: 'Custom volunteer created successfully',
@@ -122,21 +142,19 @@ const createCustomVolunteer = async (req, res) => {
 /**
  * @desc    Get all custom volunteers with role-based filtering
  * @route   GET /api/custom-volunteers
- * @access  Private (Admin, Sub Admin, Volunteer, Member)
+ * @access  Private (customVolunteers.read)
  */
 const getCustomVolunteers = async (req, res) => {
   try {
     const { page = 1, limit = 10, search, status } = req.query;
     
-    // Get user role from auth middleware
-    const userRole = req.admin.role;
     const userId = req.admin.id;
 
-    // Build query based on role
+    // Build query based on permissions
     let query = {};
     
-    // Non-admin users can only see volunteers they created
-    if (userRole !== 'Admin') {
+    // Without manageAll, users can only see volunteers they created
+    if (!hasPermission(req.admin, 'customVolunteers.manageAll')) {
       query.createdBy = userId;
     }
 
@@ -186,15 +204,14 @@ const getCustomVolunteers = async (req, res) => {
 /**
  * @desc    Get single custom volunteer by ID
  * @route   GET /api/custom-volunteers/:id
- * @access  Private (Admin, Sub Admin, Volunteer, Member)
+ * @access  Private (customVolunteers.read)
  */
 const getCustomVolunteerById = async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Get user role from auth middleware
-    const userRole = req.admin.role;
     const userId = req.admin.id;
+    const canManageAll = hasPermission(req.admin, 'customVolunteers.manageAll');
 
     const volunteer = await CustomVolunteer.findById(id).populate('createdBy', 'name email');
 
@@ -205,8 +222,8 @@ const getCustomVolunteerById = async (req, res) => {
       });
     }
 
-    // Check access: Admin can view all, others can only view their own
-    if (userRole !== 'Admin' && volunteer.createdBy.toString() !== userId) {
+    // Check access: manageAll can view all, others can only view their own
+    if (!canManageAll && !isCreatedBy(volunteer, userId)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view volunteers you created.'
@@ -230,17 +247,17 @@ const getCustomVolunteerById = async (req, res) => {
 /**
  * @desc    Update a custom volunteer
  * @route   PUT /api/custom-volunteers/:id
- * @access  Private (Admin, Sub Admin, Volunteer, Member)
+ * @access  Private (customVolunteers.write)
  */
 const updateCustomVolunteer = async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Get user role from auth middleware
-    const userRole = req.admin.role;
     const userId = req.admin.id;
+    const canManageAll = hasPermission(req.admin, 'customVolunteers.manageAll');
 
-    let volunteer = await CustomVolunteer.findById(id);
+    const before = await CustomVolunteer.findById(id).populate('createdBy', 'name email');
+    let volunteer = before;
 
     if (!volunteer) {
       return res.status(404).json({
@@ -249,8 +266,8 @@ const updateCustomVolunteer = async (req, res) => {
       });
     }
 
-    // Check access: Admin can update all, others can only update their own
-    if (userRole !== 'Admin' && volunteer.createdBy.toString() !== userId) {
+    // Check access: manageAll can update all, others can only update their own
+    if (!canManageAll && !isCreatedBy(volunteer, userId)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only update volunteers you created.'
@@ -331,6 +348,14 @@ const updateCustomVolunteer = async (req, res) => {
       { new: true, runValidators: true }
     ).populate('createdBy', 'name email');
 
+    setAuditContext(req, {
+      action: 'customVolunteer.update',
+      targetModel: 'CustomVolunteer',
+      targetId: volunteer._id,
+      before,
+      after: volunteer
+    });
+
     res.json({
       success: true,
       message: 'Custom volunteer updated successfully',
@@ -361,15 +386,14 @@ const updateCustomVolunteer = async (req, res) => {
 /**
  * @desc    Delete a custom volunteer
  * @route   DELETE /api/custom-volunteers/:id
- * @access  Private (Admin, Sub Admin, Volunteer, Member)
+ * @access  Private (customVolunteers.delete)
  */
 const deleteCustomVolunteer = async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Get user role from auth middleware
-    const userRole = req.admin.role;
     const userId = req.admin.id;
+    const canManageAll = hasPermission(req.admin, 'customVolunteers.manageAll');
 
     const volunteer = await CustomVolunteer.findById(id);
 
@@ -380,8 +404,8 @@ const deleteCustomVolunteer = async (req, res) => {
       });
     }
 
-    // Check access: Admin can delete all, others can only delete their own
-    if (userRole !== 'Admin' && volunteer.createdBy.toString() !== userId) {
+    // Check access: manageAll can delete all, others can only delete their own
+    if (!canManageAll && !isCreatedBy(volunteer, userId)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only delete volunteers you created.'
@@ -390,6 +414,13 @@ const deleteCustomVolunteer = async (req, res) => {
 
     await CustomVolunteer.findByIdAndDelete(id);
 
+    setAuditContext(req, {
+      action: 'customVolunteer.delete',
+      targetModel: 'CustomVolunteer',
+      targetId: volunteer._id,
+      before: volunteer
+    });
+
     res.json({
       success: true,
       message: 'Custom volunteer deleted successfully'
@@ -407,19 +438,17 @@ const deleteCustomVolunteer = async (req, res) => {
 /**
  * @desc    Get custom volunteer statistics
  * @route   GET /api/custom-volunteers/stats
- * @access  Private (Admin, Sub Admin, Volunteer, Member)
+ * @access  Private (customVolunteers.read)
  */
 const getCustomVolunteerStats = async (req, res) => {
   try {
-    // Get user role from auth middleware
-    const userRole = req.admin.role;
     const userId = req.admin.id;
 
-    // Build query based on role
+    // Build query based on permissions
     let query = {};
     
-    // Non-admin users can only see their own volunteers
-    if (userRole !== 'Admin') {
+    // Without manageAll, users can only see their own volunteers
+    if (!hasPermission(req.admin, 'customVolunteers.manageAll')) {
       query.createdBy = userId;
     }
 
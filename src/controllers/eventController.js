@@ -1,5 +1,7 @@
 const Event = require('../models/Event');
 const EventRegistration = require('../models/EventRegistration');
+const { setAuditContext } = require('../utils/audit');
+const { buildTagFilter, TAG_FIELDS } = require('../utils/tags');
 
 /**
  * Validation error helper
@@ -17,12 +19,19 @@ const formatValidationErrors = (errors) => {
 /**
  * @desc    Create a new event
  * @route   POST /api/events
- * @access  Private (Admin)
+ * @access  Private (events.write)
  */
 const createEvent = async (req, res) => {
   try {
     const event = await Event.create(req.body);
 
+    setAuditContext(req, {
+      action: 'event.create',
+      targetModel: 'Event',
+      targetId: event._id,
+      after: event
+    });
+
     res.status(201).json({
       success: true,
       message: 'Event created successfully',
@@ -109,7 +118,7 @@ const getEvents = async (req, res) => {
 /**
  * @desc    Get all events for admin (including drafts)
  * @route   GET /api/events/admin
- * @access  Private (Admin)
+ * @access  Private (events.read)
  */
 const getAdminEvents = async (req, res) => {
   try {
@@ -205,10 +214,12 @@ const getEventById = async (req, res) => {
 /**
  * @desc    Update an event
  * @route   PUT /api/events/:id
- * @access  Private (Admin)
+ * @access  Private (events.write)
  */
 const updateEvent = async (req, res) => {
   try {
+    const before = await Event.findById(req.params.id);
+
     const event = await Event.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -222,6 +233,14 @@ const updateEvent = async (req, res) => {
       });
     }
 
+    setAuditContext(req, {
+      action: 'event.update',
+      targetModel: 'Event',
+      targetId: event._id,
+      before,
+      after: event
+    });
+
     res.json({
       success: true,
       message: 'Event updated successfully',
@@ -259,7 +278,7 @@ const updateEvent = async (req, res) => {
 /**
  * @desc    Delete an event
  * @route   DELETE /api/events/:id
- * @access  Private (Admin)
+ * @access  Private (events.delete)
  */
 const deleteEvent = async (req, res) => {
   try {
@@ -273,7 +292,15 @@ const deleteEvent = async (req, res) => {
     }
 
     // Also delete all registrations for this event
-    await EventRegistration.deleteMany({ event: req.params.id });
+    const { deletedCount } = await EventRegistration.deleteMany({ event: req.params.id });
+
+    setAuditContext(req, {
+      action: 'event.delete',
+      targetModel: 'Event',
+      targetId: event._id,
+      before: event,
+      metadata: { registrationsDeleted: deletedCount }
+    });
 
     res.json({
       success: true,
@@ -410,22 +437,28 @@ const registerForEvent = async (req, res) => {
 /**
  * @desc    Get event registrations (admin)
  * @route   GET /api/events/:id/registrations
- * @access  Private (Admin)
+ * @access  Private (events.read)
  */
 const getEventRegistrations = async (req, res) => {
   try {
     const { id } = req.params;
-    const { page = 1, limit = 20, status } = req.query;
+    const { page = 1, limit = 20, status, tags, tagMatch } = req.query;
 
     const query = { event: id };
     if (status && status !== 'all') {
       query.status = status;
     }
 
+    const tagFilter = await buildTagFilter(tags, tagMatch);
+    if (tagFilter) {
+      query.tags = tagFilter;
+    }
+
     const registrations = await EventRegistration.find(query)
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
-      .limit(parseInt(limit));
+      .limit(parseInt(limit))
+      .populate('tags', TAG_FIELDS);
 
     const total = await EventRegistration.countDocuments(query);
 
@@ -452,11 +485,11 @@ const getEventRegistrations = async (req, res) => {
 /**
  * @desc    Get all registrations (admin)
  * @route   GET /api/events/registrations
- * @access  Private (Admin)
+ * @access  Private (events.read)
  */
 const getAllRegistrations = async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, eventId } = req.query;
+    const { page = 1, limit = 20, status, eventId, tags, tagMatch } = req.query;
 
     const query = {};
     if (status && status !== 'all') {
@@ -466,8 +499,14 @@ const getAllRegistrations = async (req, res) => {
       query.event = eventId;
     }
 
+    const tagFilter = await buildTagFilter(tags, tagMatch);
+    if (tagFilter) {
+      query.tags = tagFilter;
+    }
+
     const registrations = await EventRegistration.find(query)
       .populate('event', 'title date slug')
+      .populate('tags', TAG_FIELDS)
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
@@ -534,7 +573,7 @@ const cancelRegistration = async (req, res) => {
 /**
  * @desc    Get event statistics
  * @route   GET /api/events/stats
- * @access  Private (Admin)
+ * @access  Private (events.read)
  */
 const getEventStats = async (req, res) => {
   try {
@@ -0,0 +1,34 @@
+const { signFormToken } = require('../utils/tokens');
+const { SPAM_CHECKED_FORMS, HONEYPOT_FIELD, FORM_TOKEN_FIELD } = require('../utils/spam');
+
+// @desc    Issue the token a public form sends back with its submission
+// @route   GET /api/forms/:form/token
+// @access  Public
+exports.getFormToken = async (req, res) => {
+  try {
+    const { form } = req.params;
+
+    if (!SPAM_CHECKED_FORMS.includes(form)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        token: signFormToken(form),
+        tokenField: FORM_TOKEN_FIELD,
+        honeypotField: HONEYPOT_FIELD
+      }
+    });
+  } catch (error) {
+    console.error('Get form token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error issuing form token'
+    });
+  }
+};
@@ -0,0 +1,117 @@
+const { ingestInboundEmail } = require('../utils/inboundEmail');
+const { setAuditContext } = require('../utils/audit');
+
+/**
+ * The raw message from a request: the body itself when posted as
+ * message/rfc822, or a field as sent by common relays (raw, body-mime, email)
+ * @param {Object} req - Express request
+ * @returns {Buffer|string|null}
+ */
+const getRawMessage = (req) => {
+  if (Buffer.isBuffer(req.body)) {
+    return req.body.length ? req.body : null;
+  }
+
+  const body = req.body || {};
+  const field = ['raw', 'body-mime', 'email'].find(name => typeof body[name] === 'string' && body[name]);
+  return field ? body[field] : null;
+};
+
+/**
+ * Envelope recipients reported alongside the message, e.g. Mailgun's
+ * recipient field, SendGrid's envelope JSON or ?recipient= from a poller
+ * @param {Object} req - Express request
+ * @returns {Array<string>}
+ */
+const getEnvelopeRecipients = (req) => {
+  const body = Buffer.isBuffer(req.body) ? {} : (req.body || {});
+  const recipients = [req.query.recipient, body.recipient, body.to];
+
+  if (typeof body.envelope === 'string') {
+    try {
+      recipients.push(...[].concat(JSON.parse(body.envelope).to || []));
+    } catch (error) {
+      // Not JSON; the headers still carry the recipients
+    }
+  }
+
+  return recipients.flat().filter(recipient => typeof recipient === 'string' && recipient);
+};
+
+// @desc    Append a raw inbound email to the contact thread it replies to
+// @route   POST /api/inbound/email
+// @access  Private (contacts.ingest)
+exports.receiveEmail = async (req, res) => {
+  try {
+    const raw = getRawMessage(req);
+
+    if (!raw) {
+      return res.status(400).json({
+        success: false,
+        message: 'A raw RFC 822 message is required'
+      });
+    }
+
+    const result = await ingestInboundEmail(raw, { recipients: getEnvelopeRecipients(req) });
+
+    if (!result.matched) {
+      return res.status(404).json({
+        success: false,
+        code: 'NO_MATCHING_THREAD',
+        message: 'No contact thread matches this email',
+        data: {
+          from: result.email.from,
+          subject: result.email.subject,
+          messageId: result.email.messageId
+        }
+      });
+    }
+
+    if (result.duplicate) {
+      return res.json({
+        success: true,
+        message: 'Email already received',
+        data: { message: result.message }
+      });
+    }
+
+    setAuditContext(req, {
+      action: 'contact.inbound',
+      targetModel: 'Contact',
+      targetId: result.contact._id,
+      before: result.before,
+      after: result.contact,
+      metadata: {
+        messageId: result.message._id,
+        matchedBy: result.matchedBy,
+        attachments: result.message.attachments.length,
+        skippedAttachments: result.skippedAttachments
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Email added to contact thread',
+      data: {
+        contactId: result.contact._id,
+        message: result.message,
+        skippedAttachments: result.skippedAttachments
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    console.error('Receive inbound email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error receiving email'
+    });
+  }
+};
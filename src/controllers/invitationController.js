@@ -0,0 +1,284 @@
+const Admin = require('../models/Admin');
+const Invitation = require('../models/Invitation');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { getSetting } = require('../utils/settings');
+const { sendMail } = require('../utils/mailer');
+const { coversRole } = require('../utils/permissions');
+
+const INVITE_EXPIRE_DAYS = parseInt(process.env.INVITE_EXPIRE_DAYS, 10) || 7;
+
+/**
+ * Give an invitation a fresh token and expiry, then email it
+ * @param {Object} invitation - Invitation document
+ * @param {Object} inviter - { name } of the admin sending it
+ * @returns {Promise<Object>} Saved invitation
+ */
+const sendInvitation = async (invitation, inviter) => {
+  const token = generateRandomToken(32);
+
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITE_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+  invitation.sentCount += 1;
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+
+  const siteName = await getSetting('site_name', 'Pride Community');
+  const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/accept-invite?token=${token}`;
+
+  await sendMail({
+    to: invitation.email,
+    subject: `You're invited to join ${siteName}`,
+    text: `Hi,\n\n${inviter.name} has invited you to join the ${siteName} dashboard as ${invitation.role}.\n\n` +
+      `Create your account here:\n\n${acceptUrl}\n\n` +
+      `This invitation expires in ${INVITE_EXPIRE_DAYS} days.`
+  });
+
+  return invitation;
+};
+
+// @desc    Invite someone to create an account
+// @route   POST /api/auth/invitations
+// @access  Private (invitations.manage)
+exports.createInvitation = async (req, res) => {
+  try {
+    const email = String(req.body.email).toLowerCase();
+    const role = req.body.role || 'Member';
+
+    if (!(await coversRole(req.admin, role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only invite people to roles whose permissions you already hold'
+      });
+    }
+
+    if (await Admin.exists({ email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const existing = await Invitation.findOne({
+      email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pending invitation already exists for this email. Resend it instead.'
+      });
+    }
+
+    const inviter = await Admin.findById(req.admin.id);
+
+    const invitation = new Invitation({
+      email,
+      role,
+      invitedBy: req.admin.id
+    });
+
+    await sendInvitation(invitation, inviter);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: { invitation }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending invitation'
+    });
+  }
+};
+
+// @desc    List invitations
+// @route   GET /api/auth/invitations
+// @access  Private (invitations.manage)
+exports.getInvitations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, search } = req.query;
+
+    const query = {};
+
+    // "expired" is a pending invitation past its expiry
+    if (status === 'expired') {
+      query.status = 'pending';
+      query.expiresAt = { $lte: new Date() };
+    } else if (status === 'pending') {
+      query.status = 'pending';
+      query.expiresAt = { $gt: new Date() };
+    } else if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    if (search) {
+      query.email = { $regex: search, $options: 'i' };
+    }
+
+    const invitations = await Invitation.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate('invitedBy', 'name email')
+      .populate('acceptedBy', 'name email');
+
+    const total = await Invitation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: invitations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invitations'
+    });
+  }
+};
+
+// @desc    Check an invitation token before showing the registration form
+// @route   GET /api/auth/invitations/token/:token
+// @access  Public
+exports.getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      tokenHash: hashToken(req.params.token),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation by token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invitation'
+    });
+  }
+};
+
+// @desc    Resend an invitation with a new token
+// @route   POST /api/auth/invitations/:id/resend
+// @access  Private (invitations.manage)
+exports.resendInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot resend an invitation that has been ${invitation.status}`
+      });
+    }
+
+    const inviter = await Admin.findById(req.admin.id);
+    await sendInvitation(invitation, inviter);
+
+    res.json({
+      success: true,
+      message: 'Invitation resent successfully',
+      data: { invitation }
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resending invitation'
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/auth/invitations/:id
+// @access  Private (invitations.manage)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot revoke an invitation that has been ${invitation.status}`
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: { invitation }
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking invitation'
+    });
+  }
+};
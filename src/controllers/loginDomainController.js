@@ -0,0 +1,263 @@
+const Admin = require('../models/Admin');
+const LoginDomain = require('../models/LoginDomain');
+const ExternalIdentity = require('../models/ExternalIdentity');
+const { recordAudit, setAuditContext } = require('../utils/audit');
+const { coversRole } = require('../utils/permissions');
+
+// Anyone with an address on the domain gets this role, so it is held to the same rule as assigning it
+const ROLE_NOT_COVERED_MESSAGE = 'You can only give login domains roles whose permissions you already hold';
+
+/**
+ * Respond to a Mongoose validation or duplicate-key error
+ * @param {Object} res - Express response
+ * @param {Object} error - Error thrown
+ * @returns {boolean} Whether a response was sent
+ */
+const handleDomainSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'This domain has already been added'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    List the domains allowed to create accounts through social login
+// @route   GET /api/auth/login-domains
+// @access  Private (loginDomains.manage)
+exports.getLoginDomains = async (req, res) => {
+  try {
+    const domains = await LoginDomain.find()
+      .sort({ domain: 1 })
+      .populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      data: domains
+    });
+  } catch (error) {
+    console.error('Get login domains error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching login domains'
+    });
+  }
+};
+
+// @desc    Allow a domain to create accounts through social login
+// @route   POST /api/auth/login-domains
+// @access  Private (loginDomains.manage)
+exports.createLoginDomain = async (req, res) => {
+  try {
+    const { domain, role, providers, isActive } = req.body;
+
+    if (!(await coversRole(req.admin, role || LoginDomain.schema.path('role').defaultValue))) {
+      return res.status(403).json({
+        success: false,
+        message: ROLE_NOT_COVERED_MESSAGE
+      });
+    }
+
+    const loginDomain = await LoginDomain.create({
+      domain,
+      role,
+      providers: providers || [],
+      isActive,
+      createdBy: req.admin.id
+    });
+
+    await recordAudit(req, {
+      action: 'loginDomain.create',
+      targetModel: 'LoginDomain',
+      targetId: loginDomain._id,
+      metadata: { domain: loginDomain.domain, role: loginDomain.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Login domain added successfully',
+      data: { loginDomain }
+    });
+  } catch (error) {
+    if (handleDomainSaveError(res, error)) {
+      return;
+    }
+    console.error('Create login domain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding login domain'
+    });
+  }
+};
+
+// @desc    Change the role, providers or status of a login domain
+// @route   PUT /api/auth/login-domains/:id
+// @access  Private (loginDomains.manage)
+exports.updateLoginDomain = async (req, res) => {
+  try {
+    const loginDomain = await LoginDomain.findById(req.params.id);
+
+    if (!loginDomain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login domain not found'
+      });
+    }
+
+    const { role, providers, isActive } = req.body;
+
+    // Without a new role the current one is checked, so a domain handing out a
+    // role the caller lacks cannot be re-enabled by them either
+    if (!(await coversRole(req.admin, role !== undefined ? role : loginDomain.role))) {
+      return res.status(403).json({
+        success: false,
+        message: ROLE_NOT_COVERED_MESSAGE
+      });
+    }
+
+    const before = loginDomain.toJSON();
+
+    if (role !== undefined) loginDomain.role = role;
+    if (providers !== undefined) loginDomain.providers = providers;
+    if (isActive !== undefined) loginDomain.isActive = isActive;
+
+    await loginDomain.save();
+
+    setAuditContext(req, {
+      action: 'loginDomain.update',
+      targetModel: 'LoginDomain',
+      targetId: loginDomain._id,
+      before,
+      after: loginDomain
+    });
+
+    res.json({
+      success: true,
+      message: 'Login domain updated successfully',
+      data: { loginDomain }
+    });
+  } catch (error) {
+    if (handleDomainSaveError(res, error)) {
+      return;
+    }
+    console.error('Update login domain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating login domain'
+    });
+  }
+};
+
+// @desc    Stop a domain from creating accounts. Accounts already created are kept.
+// @route   DELETE /api/auth/login-domains/:id
+// @access  Private (loginDomains.manage)
+exports.deleteLoginDomain = async (req, res) => {
+  try {
+    const loginDomain = await LoginDomain.findByIdAndDelete(req.params.id);
+
+    if (!loginDomain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login domain not found'
+      });
+    }
+
+    setAuditContext(req, {
+      action: 'loginDomain.delete',
+      targetModel: 'LoginDomain',
+      targetId: loginDomain._id,
+      before: loginDomain
+    });
+
+    res.json({
+      success: true,
+      message: 'Login domain removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete login domain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing login domain'
+    });
+  }
+};
+
+// @desc    List the social logins linked to the current admin
+// @route   GET /api/auth/identities
+// @access  Private
+exports.getMyIdentities = async (req, res) => {
+  try {
+    const identities = await ExternalIdentity.find({ admin: req.admin.id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: identities
+    });
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching linked logins'
+    });
+  }
+};
+
+// @desc    Unlink a social login from the current admin
+// @route   DELETE /api/auth/identities/:id
+// @access  Private
+exports.unlinkMyIdentity = async (req, res) => {
+  try {
+    const identity = await ExternalIdentity.findOne({ _id: req.params.id, admin: req.admin.id });
+
+    if (!identity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Linked login not found'
+      });
+    }
+
+    // Keep a way in for accounts that have never set a password
+    const admin = await Admin.findById(req.admin.id);
+    const otherLogins = await ExternalIdentity.countDocuments({ admin: req.admin.id, _id: { $ne: identity._id } });
+
+    if (admin && admin.hasPassword === false && otherLogins === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password with a password reset before unlinking your only login'
+      });
+    }
+
+    await identity.deleteOne();
+
+    setAuditContext(req, {
+      action: 'identity.unlink',
+      targetModel: 'ExternalIdentity',
+      targetId: identity._id,
+      metadata: { provider: identity.provider, email: identity.email }
+    });
+
+    res.json({
+      success: true,
+      message: 'Login unlinked successfully'
+    });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlinking login'
+    });
+  }
+};
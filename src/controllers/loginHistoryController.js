@@ -0,0 +1,94 @@
+const Admin = require('../models/Admin');
+const LoginEvent = require('../models/LoginEvent');
+
+/**
+ * Fetch a page of an admin's login events
+ * @param {string} adminId - Admin ID
+ * @param {Object} filters - req.query ({ page, limit, outcome, suspicious })
+ * @returns {Promise<Object>} { events, pagination }
+ */
+const findLoginHistory = async (adminId, filters) => {
+  const page = Math.max(parseInt(filters.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 100);
+
+  const query = { admin: adminId };
+
+  if (filters.outcome === 'failure') {
+    query.outcome = { $ne: 'success' };
+  } else if (filters.outcome) {
+    query.outcome = filters.outcome;
+  }
+
+  if (filters.suspicious !== undefined) {
+    query.suspicious = filters.suspicious === 'true';
+  }
+
+  const events = await LoginEvent.find(query)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .select('-admin');
+
+  const total = await LoginEvent.countDocuments(query);
+
+  return {
+    events,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// @desc    Get the current admin's login history
+// @route   GET /api/auth/login-history
+// @access  Private
+exports.getMyLoginHistory = async (req, res) => {
+  try {
+    const { events, pagination } = await findLoginHistory(req.admin.id, req.query);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching login history'
+    });
+  }
+};
+
+// @desc    Get another admin's login history
+// @route   GET /api/auth/admins/:id/login-history
+// @access  Private (sessions.manage)
+exports.getAdminLoginHistory = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    const { events, pagination } = await findLoginHistory(admin._id, req.query);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get admin login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching login history'
+    });
+  }
+};
@@ -1,4 +1,6 @@
 const Newsletter = require('../models/Newsletter');
+const { setAuditContext } = require('../utils/audit');
+const { checkSubmission, toSpamRecord, applySpamVerdict, toPublicSubmission } = require('../utils/spam');
 
 // @desc    Subscribe to newsletter
 // @route   POST /api/newsletter
@@ -14,10 +16,20 @@ const subscribe = async (req, res, next) => {
       });
     }
 
+    // Spam is stored out of the list but answered like any other subscription
+    const spamCheck = await checkSubmission('newsletter', req.body);
+
     // Check if email already exists
     const existingSubscriber = await Newsletter.findOne({ email: email.toLowerCase() });
 
     if (existingSubscriber) {
+      if (existingSubscriber.status === 'unsubscribed' && spamCheck.isSpam) {
+        return res.status(200).json({
+          success: true,
+          message: 'Successfully re-subscribed to newsletter'
+        });
+      }
+
       if (existingSubscriber.status === 'unsubscribed') {
         // Re-subscribe
         existingSubscriber.status = 'active';
@@ -38,13 +50,14 @@ const subscribe = async (req, res, next) => {
     // Create new subscription
     const subscriber = await Newsletter.create({
       email: email.toLowerCase(),
-      status: 'active'
+      status: spamCheck.isSpam ? 'spam' : 'active',
+      spam: toSpamRecord(spamCheck)
     });
 
     res.status(201).json({
       success: true,
       message: 'Successfully subscribed to newsletter',
-      data: subscriber
+      data: toPublicSubmission(subscriber)
     });
   } catch (error) {
     next(error);
@@ -53,15 +66,13 @@ const subscribe = async (req, res, next) => {
 
 // @desc    Get all newsletter subscribers
 // @route   GET /api/newsletter
-// @access  Private (Admin)
+// @access  Private (newsletter.read)
 const getAllSubscribers = async (req, res, next) => {
   try {
     const { status, page = 1, limit = 50 } = req.query;
     
-    const query = {};
-    if (status) {
-      query.status = status;
-    }
+    // Spam only shows when asked for
+    const query = { status: status || { $ne: 'spam' } };
 
     const total = await Newsletter.countDocuments(query);
     const subscribers = await Newsletter.find(query)
@@ -84,7 +95,7 @@ const getAllSubscribers = async (req, res, next) => {
 
 // @desc    Delete newsletter subscriber
 // @route   DELETE /api/newsletter/:id
-// @access  Private (Admin)
+// @access  Private (newsletter.write)
 const deleteSubscriber = async (req, res, next) => {
   try {
     const subscriber = await Newsletter.findById(req.params.id);
@@ -109,7 +120,7 @@ const deleteSubscriber = async (req, res, next) => {
 
 // @desc    Unsubscribe from newsletter
 // @route   PUT /api/newsletter/unsubscribe/:id
-// @access  Private
+// @access  Private (newsletter.write)
 const unsubscribe = async (req, res, next) => {
   try {
     const subscriber = await Newsletter.findById(req.params.id);
@@ -135,7 +146,7 @@ const unsubscribe = async (req, res, next) => {
 
 // @desc    Export all subscribers
 // @route   GET /api/newsletter/export
-// @access  Private (Admin)
+// @access  Private (newsletter.export)
 const exportSubscribers = async (req, res, next) => {
   try {
     const subscribers = await Newsletter.find({ status: 'active' })
@@ -163,10 +174,48 @@ const exportSubscribers = async (req, res, next) => {
   }
 };
 
+// @desc    Mark a subscriber as spam, or as a false positive back onto the list
+// @route   PUT /api/newsletter/:id/spam
+// @access  Private (newsletter.write)
+const markSubscriberSpam = async (req, res, next) => {
+  try {
+    const subscriber = await Newsletter.findById(req.params.id);
+
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscriber not found'
+      });
+    }
+
+    const isSpam = req.body.isSpam !== false;
+    const before = subscriber.toJSON();
+    applySpamVerdict(subscriber, isSpam, req.admin.id);
+    await subscriber.save();
+
+    setAuditContext(req, {
+      action: isSpam ? 'newsletter.markSpam' : 'newsletter.markNotSpam',
+      targetModel: 'Newsletter',
+      targetId: subscriber._id,
+      before,
+      after: subscriber
+    });
+
+    res.status(200).json({
+      success: true,
+      message: isSpam ? 'Marked as spam' : 'Marked as not spam',
+      data: subscriber
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   subscribe,
   getAllSubscribers,
   deleteSubscriber,
   unsubscribe,
-  exportSubscribers
+  exportSubscribers,
+  markSubscriberSpam
 };
@@ -0,0 +1,82 @@
+const { getRateLimitStore, getRateLimitPolicy } = require('../utils/rateLimit');
+const { recordAudit } = require('../utils/audit');
+
+// @desc    List live rate limit counters, busiest first, with the current policy
+// @route   GET /api/rate-limits
+// @access  Private (rateLimits.manage)
+exports.getRateLimits = async (req, res) => {
+  try {
+    const { route, scope, limited } = req.query;
+    const store = getRateLimitStore();
+    const policy = await getRateLimitPolicy();
+
+    let counters = (await store.list()).map(counter => {
+      const max = counter.scope === 'email' ? policy.emailMax : policy.ipMax;
+
+      return {
+        key: counter.key,
+        route: counter.route,
+        scope: counter.scope,
+        identifier: counter.identifier,
+        count: counter.count,
+        max,
+        limited: counter.count > max,
+        resetAt: counter.resetAt
+      };
+    });
+
+    if (route) counters = counters.filter(counter => counter.route === route);
+    if (scope) counters = counters.filter(counter => counter.scope === scope);
+    if (limited !== undefined) counters = counters.filter(counter => counter.limited === (limited === 'true'));
+
+    counters.sort((a, b) => b.count - a.count);
+
+    res.json({
+      success: true,
+      data: {
+        store: store.name,
+        policy,
+        counters
+      }
+    });
+  } catch (error) {
+    console.error('Get rate limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching rate limits'
+    });
+  }
+};
+
+// @desc    Clear a counter so its client can submit again straight away
+// @route   DELETE /api/rate-limits/:key
+// @access  Private (rateLimits.manage)
+exports.resetRateLimit = async (req, res) => {
+  try {
+    const removed = await getRateLimitStore().reset(req.params.key);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate limit counter not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'rateLimit.reset',
+      targetModel: 'RateLimitCounter',
+      metadata: { key: req.params.key }
+    });
+
+    res.json({
+      success: true,
+      message: 'Rate limit counter cleared'
+    });
+  } catch (error) {
+    console.error('Reset rate limit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error clearing rate limit'
+    });
+  }
+};
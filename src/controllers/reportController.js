@@ -7,7 +7,7 @@ const Admin = require('../models/Admin');
 
 // @route   GET /api/reports
 // @desc    Get all reports with pagination
-// @access  Private (Admin only)
+// @access  Private (reports.read)
 const getReports = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -49,7 +49,7 @@ const getReports = async (req, res) => {
 
 // @route   GET /api/reports/:id
 // @desc    Get single report by ID
-// @access  Private (Admin only)
+// @access  Private (reports.read)
 const getReportById = async (req, res) => {
   try {
     const report = await Report.findById(req.params.id)
@@ -77,7 +77,7 @@ const getReportById = async (req, res) => {
 
 // @route   POST /api/reports/generate
 // @desc    Generate a new report
-// @access  Private (Admin only)
+// @access  Private (reports.generate)
 const generateReport = async (req, res) => {
   try {
     const { type, title, description } = req.body;
@@ -219,7 +219,7 @@ const generateReport = async (req, res) => {
 
 // @route   DELETE /api/reports/:id
 // @desc    Delete a report
-// @access  Private (Admin only)
+// @access  Private (reports.delete)
 const deleteReport = async (req, res) => {
   try {
     const report = await Report.findById(req.params.id);
@@ -248,7 +248,7 @@ const deleteReport = async (req, res) => {
 
 // @route   GET /api/reports/stats
 // @desc    Get report statistics
-// @access  Private (Admin only)
+// @access  Private (reports.read)
 const getReportStats = async (req, res) => {
   try {
     const totalReports = await Report.countDocuments();
@@ -0,0 +1,330 @@
+const Role = require('../models/Role');
+const Admin = require('../models/Admin');
+const Invitation = require('../models/Invitation');
+const {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  SUPERUSER_ROLE,
+  BUILT_IN_ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+} = require('../config/permissions');
+const { hasPermission, coversRole } = require('../utils/permissions');
+
+/**
+ * Send a 400 listing permission keys that are not in the catalogue
+ * @param {Array<string>} permissions - Requested permission keys
+ * @param {Object} res - Express response
+ * @returns {boolean} true when a response was sent
+ */
+const rejectUnknownPermissions = (permissions, res) => {
+  if (!Array.isArray(permissions)) {
+    res.status(400).json({
+      success: false,
+      message: 'Permissions must be an array'
+    });
+    return true;
+  }
+
+  const unknown = permissions.filter(permission => !PERMISSION_KEYS.includes(permission));
+  if (unknown.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown permission: ${unknown.join(', ')}`
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Send a 403 listing permissions the requesting admin does not hold, since a
+ * role given them would grant more than its author has
+ * @param {Object} req - Express request
+ * @param {Array<string>} permissions - Requested permission keys
+ * @param {Object} res - Express response
+ * @returns {boolean} true when a response was sent
+ */
+const rejectUnheldPermissions = (req, permissions, res) => {
+  const notHeld = permissions.filter(permission => !hasPermission(req.admin, permission));
+  if (notHeld.length > 0) {
+    res.status(403).json({
+      success: false,
+      message: `You cannot grant permissions you do not hold: ${notHeld.join(', ')}`
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Send a 400 for a mongoose validation error
+ * @param {Error} error - Caught error
+ * @param {Object} res - Express response
+ * @returns {boolean} true when a response was sent
+ */
+const handleValidationError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    List roles with the number of admins holding each
+// @route   GET /api/roles
+// @access  Private (roles.manage)
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+    const counts = await Admin.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = Object.fromEntries(counts.map(item => [item._id, item.count]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles: roles.map(role => ({
+          ...role.toJSON(),
+          adminCount: countByRole[role.name] || 0
+        })),
+        seeded: BUILT_IN_ROLES.every(name => roles.some(role => role.name === name))
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching roles'
+    });
+  }
+};
+
+// @desc    List every permission that can be granted
+// @route   GET /api/roles/permissions
+// @access  Private (roles.manage)
+exports.getPermissions = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { permissions: PERMISSIONS }
+  });
+};
+
+// @desc    Create a custom role
+// @route   POST /api/roles
+// @access  Private (roles.manage)
+exports.createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role name is required'
+      });
+    }
+
+    if (BUILT_IN_ROLES.includes(String(name).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles are created by seeding, not by name'
+      });
+    }
+
+    if (rejectUnknownPermissions(permissions, res) || rejectUnheldPermissions(req, permissions, res)) {
+      return;
+    }
+
+    if (await Role.exists({ name: String(name).trim() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating role'
+    });
+  }
+};
+
+// @desc    Update a role's description and permissions
+// @route   PUT /api/roles/:id
+// @access  Private (roles.manage)
+exports.updateRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.name === SUPERUSER_ROLE) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${SUPERUSER_ROLE} role always has every permission and cannot be edited`
+      });
+    }
+
+    if (!(await coversRole(req.admin, role.name))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot edit a role that has permissions you do not hold'
+      });
+    }
+
+    // Admin.role stores the name, so renaming would orphan every assigned admin
+    if (req.body.name !== undefined && req.body.name !== role.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Roles cannot be renamed'
+      });
+    }
+
+    if (req.body.permissions !== undefined) {
+      if (rejectUnknownPermissions(req.body.permissions, res) || rejectUnheldPermissions(req, req.body.permissions, res)) {
+        return;
+      }
+      role.permissions = [...new Set(req.body.permissions)];
+    }
+
+    if (req.body.description !== undefined) {
+      role.description = req.body.description;
+    }
+
+    await role.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating role'
+    });
+  }
+};
+
+// @desc    Delete a custom role that nobody holds
+// @route   DELETE /api/roles/:id
+// @access  Private (roles.manage)
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem || BUILT_IN_ROLES.includes(role.name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const adminCount = await Admin.countDocuments({ role: role.name });
+    if (adminCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This role is assigned to ${adminCount} admin(s). Reassign them before deleting it.`
+      });
+    }
+
+    const pendingInvitations = await Invitation.countDocuments({ role: role.name, status: 'pending' });
+    if (pendingInvitations > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This role has ${pendingInvitations} pending invitation(s). Revoke them before deleting it.`
+      });
+    }
+
+    await role.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting role'
+    });
+  }
+};
+
+// @desc    Create any missing built-in roles with their default permissions
+// @route   POST /api/roles/seed
+// @access  Private (roles.manage)
+exports.seedRoles = async (req, res) => {
+  try {
+    // $setOnInsert keeps permissions that were already edited
+    for (const name of BUILT_IN_ROLES) {
+      await Role.findOneAndUpdate(
+        { name },
+        {
+          $set: { isSystem: true },
+          $setOnInsert: { name, permissions: DEFAULT_ROLE_PERMISSIONS[name] }
+        },
+        { upsert: true, new: true }
+      );
+    }
+
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Roles seeded successfully',
+      data: { roles }
+    });
+  } catch (error) {
+    console.error('Seed roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error seeding roles'
+    });
+  }
+};
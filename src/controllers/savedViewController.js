@@ -0,0 +1,357 @@
+const mongoose = require('mongoose');
+const SavedView = require('../models/SavedView');
+const { setAuditContext } = require('../utils/audit');
+const { hasPermission } = require('../utils/permissions');
+const { TAGGABLE_ENTITIES, TAGGABLE_ENTITY_NAMES } = require('../config/taggables');
+
+/**
+ * Check and normalise the filters of a view against its entity's list endpoint
+ * @param {string} entity - Key of TAGGABLE_ENTITIES
+ * @param {Object} filters - Filters as submitted
+ * @returns {Object} { filters } or { error }
+ */
+const normalizeFilters = (entity, filters = {}) => {
+  if (typeof filters !== 'object' || Array.isArray(filters) || filters === null) {
+    return { error: 'Filters must be an object of query parameters' };
+  }
+
+  const allowed = TAGGABLE_ENTITIES[entity].filters;
+  const unknown = Object.keys(filters).filter(key => !allowed.includes(key));
+
+  if (unknown.length) {
+    return { error: `Unknown filters: ${unknown.join(', ')}. ${TAGGABLE_ENTITIES[entity].label} can filter on ${allowed.join(', ')}` };
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== '') {
+      normalized[key] = Array.isArray(value) ? value.join(',') : String(value);
+    }
+  }
+
+  return { filters: normalized };
+};
+
+/**
+ * Whether the current admin can see a view
+ * @param {Object} req - Express request
+ * @param {Object} view - SavedView document
+ * @returns {boolean}
+ */
+const canSeeView = (req, view) => {
+  const ownerId = String(view.owner._id || view.owner);
+
+  if (ownerId === String(req.admin.id)) {
+    return true;
+  }
+
+  if (!hasPermission(req.admin, TAGGABLE_ENTITIES[view.entity].readPermission)) {
+    return false;
+  }
+
+  return view.isShared || view.sharedWith.some(admin => String(admin._id || admin) === String(req.admin.id));
+};
+
+/**
+ * Whether the current admin can change or delete a view
+ * @param {Object} req - Express request
+ * @param {Object} view - SavedView document
+ * @returns {boolean}
+ */
+const canManageView = (req, view) => {
+  return String(view.owner._id || view.owner) === String(req.admin.id) || hasPermission(req.admin, 'views.manage');
+};
+
+/**
+ * Check the sharing fields of a view
+ * @param {Array<string>} [sharedWith] - Admin IDs
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkSharedWith = (sharedWith) => {
+  if (sharedWith !== undefined && (!Array.isArray(sharedWith) || !sharedWith.every(id => mongoose.isValidObjectId(id)))) {
+    return 'sharedWith must be a list of admin IDs';
+  }
+  return null;
+};
+
+// @desc    List the views the current admin can use: their own and those shared with them
+// @route   GET /api/views
+// @access  Private
+exports.getViews = async (req, res) => {
+  try {
+    const { entity } = req.query;
+
+    const readable = TAGGABLE_ENTITY_NAMES.filter(name =>
+      hasPermission(req.admin, TAGGABLE_ENTITIES[name].readPermission)
+    );
+
+    const query = {
+      $or: [
+        { owner: req.admin.id },
+        { entity: { $in: readable }, isShared: true },
+        { entity: { $in: readable }, sharedWith: req.admin.id }
+      ]
+    };
+
+    if (entity) {
+      query.entity = entity;
+    }
+
+    const views = await SavedView.find(query)
+      .sort({ entity: 1, name: 1 })
+      .populate('owner', 'name email');
+
+    res.json({
+      success: true,
+      data: views
+    });
+  } catch (error) {
+    console.error('Get views error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching views'
+    });
+  }
+};
+
+// @desc    Get a single view
+// @route   GET /api/views/:id
+// @access  Private
+exports.getViewById = async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id)
+      .populate('owner', 'name email')
+      .populate('sharedWith', 'name email');
+
+    if (!view || !canSeeView(req, view)) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+    console.error('Get view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching view'
+    });
+  }
+};
+
+// @desc    Save a named set of filters for a list
+// @route   POST /api/views
+// @access  Private (read permission of the entity, e.g. contacts.read)
+exports.createView = async (req, res) => {
+  try {
+    const { name, entity, isShared, sharedWith } = req.body;
+    const config = TAGGABLE_ENTITIES[entity];
+
+    if (!config) {
+      return res.status(400).json({
+        success: false,
+        message: `Entity must be one of: ${TAGGABLE_ENTITY_NAMES.join(', ')}`
+      });
+    }
+
+    if (!hasPermission(req.admin, config.readPermission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission: ${config.readPermission}`
+      });
+    }
+
+    const { filters, error: filterError } = normalizeFilters(entity, req.body.filters);
+    const problem = filterError || checkSharedWith(sharedWith);
+
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const view = await SavedView.create({
+      name,
+      entity,
+      filters,
+      isShared,
+      sharedWith,
+      owner: req.admin.id
+    });
+
+    setAuditContext(req, {
+      action: 'view.create',
+      targetModel: 'SavedView',
+      targetId: view._id,
+      after: view
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved successfully',
+      data: view
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+    console.error('Create view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving view'
+    });
+  }
+};
+
+// @desc    Rename a view, change its filters or who it is shared with
+// @route   PUT /api/views/:id
+// @access  Private (owner, or views.manage)
+exports.updateView = async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+
+    if (!view || !canSeeView(req, view)) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    if (!canManageView(req, view)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner of a view can change it'
+      });
+    }
+
+    const { name, isShared, sharedWith } = req.body;
+    let filters;
+
+    if (req.body.filters !== undefined) {
+      const normalized = normalizeFilters(view.entity, req.body.filters);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error
+        });
+      }
+      filters = normalized.filters;
+    }
+
+    const sharingProblem = checkSharedWith(sharedWith);
+    if (sharingProblem) {
+      return res.status(400).json({
+        success: false,
+        message: sharingProblem
+      });
+    }
+
+    const before = view.toJSON();
+
+    if (name !== undefined) view.name = name;
+    if (filters !== undefined) view.filters = filters;
+    if (isShared !== undefined) view.isShared = isShared;
+    if (sharedWith !== undefined) view.sharedWith = sharedWith;
+
+    await view.save();
+
+    setAuditContext(req, {
+      action: 'view.update',
+      targetModel: 'SavedView',
+      targetId: view._id,
+      before,
+      after: view
+    });
+
+    res.json({
+      success: true,
+      message: 'View updated successfully',
+      data: view
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+    console.error('Update view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating view'
+    });
+  }
+};
+
+// @desc    Delete a view
+// @route   DELETE /api/views/:id
+// @access  Private (owner, or views.manage)
+exports.deleteView = async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+
+    if (!view || !canSeeView(req, view)) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    if (!canManageView(req, view)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner of a view can delete it'
+      });
+    }
+
+    await view.deleteOne();
+
+    setAuditContext(req, {
+      action: 'view.delete',
+      targetModel: 'SavedView',
+      targetId: view._id,
+      before: view
+    });
+
+    res.json({
+      success: true,
+      message: 'View deleted successfully'
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+    console.error('Delete view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting view'
+    });
+  }
+};
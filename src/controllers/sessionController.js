@@ -0,0 +1,266 @@
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const { getIdleTimeoutMs } = require('../utils/tokens');
+
+/**
+ * Format a session for API output
+ * @param {Object} session - Session document
+ * @param {Object} [currentSessionId] - Session ID of the requester
+ * @returns {Object} Session summary
+ */
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  device: session.device,
+  ipAddress: session.ipAddress,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: currentSessionId ? String(session._id) === String(currentSessionId) : false
+});
+
+/**
+ * Find the active sessions of an admin, most recently used first
+ * @param {string} adminId - Admin ID
+ * @returns {Promise<Array>} Session documents
+ */
+const findActiveSessions = (adminId) => {
+  return Session.find({
+    admin: adminId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// @desc    Get the current session with its idle timeout
+// @route   GET /api/auth/session
+// @access  Private
+exports.getCurrentSession = async (req, res) => {
+  try {
+    const session = await Session.findById(req.admin.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const idleTimeoutMs = await getIdleTimeoutMs();
+
+    res.json({
+      success: true,
+      data: {
+        session: formatSession(session, req.admin.sessionId),
+        idleTimeoutSeconds: idleTimeoutMs ? Math.floor(idleTimeoutMs / 1000) : null,
+        idleExpiresAt: idleTimeoutMs ? new Date(Date.now() + idleTimeoutMs) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get current session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching session'
+    });
+  }
+};
+
+// @desc    List active sessions of the current admin
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getMySessions = async (req, res) => {
+  try {
+    const sessions = await findActiveSessions(req.admin.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.admin.sessionId))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching sessions'
+    });
+  }
+};
+
+// @desc    Revoke one of the current admin's sessions
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+exports.revokeMySession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      admin: req.admin.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked_by_user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session'
+    });
+  }
+};
+
+// @desc    Revoke every session of the current admin except this one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForAdmin(req.admin.id, 'revoked_by_user', req.admin.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      data: { revoked: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking sessions'
+    });
+  }
+};
+
+// @desc    List active sessions of any admin
+// @route   GET /api/auth/admins/:id/sessions
+// @access  Private (sessions.manage)
+exports.getAdminSessions = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    const sessions = await findActiveSessions(admin._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.admin.sessionId))
+      }
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    console.error('Get admin sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching sessions'
+    });
+  }
+};
+
+// @desc    Revoke one session of any admin
+// @route   DELETE /api/auth/admins/:id/sessions/:sessionId
+// @access  Private (sessions.manage)
+exports.revokeAdminSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      admin: req.params.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked_by_admin');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    console.error('Revoke admin session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session'
+    });
+  }
+};
+
+// @desc    Revoke every session of any admin
+// @route   DELETE /api/auth/admins/:id/sessions
+// @access  Private (sessions.manage)
+exports.revokeAllAdminSessions = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    // Keep the caller logged in when they target their own account
+    const exceptSessionId = String(admin._id) === String(req.admin.id) ? req.admin.sessionId : undefined;
+    const result = await Session.revokeAllForAdmin(admin._id, 'revoked_by_admin', exceptSessionId);
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      data: { revoked: result.modifiedCount }
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    console.error('Revoke all admin sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking sessions'
+    });
+  }
+};
@@ -1,4 +1,5 @@
 const Settings = require('../models/Settings');
+const { setAuditContext } = require('../utils/audit');
 
 // Default settings to seed
 const defaultSettings = [
@@ -7,11 +8,16 @@ const defaultSettings = [
   { key: 'site_description', value: 'Supporting the LGBTQ+ community', category: 'general', description: 'A brief description of your organization', type: 'string' },
   { key: 'timezone', value: 'Asia/Colombo', category: 'general', description: 'Set the default timezone for your site', type: 'string' },
   { key: 'language', value: 'English', category: 'general', description: 'Set the default language for your site', type: 'string' },
+  { key: 'contact_sla_default_hours', value: '24', category: 'general', description: 'Time to first reply on contact messages (hours, 0 for no target)', type: 'number' },
+  { key: 'contact_sla_hours', value: 'crisis=1, media=24, partnership=72', category: 'general', description: 'Contact message categories with their own reply target in hours, e.g. press=4, volunteering=48', type: 'string' },
+  { key: 'triage_enabled', value: true, category: 'general', description: 'Run triage rules on new contact messages', type: 'boolean' },
   
   // Notifications
   { key: 'email_notifications', value: true, category: 'notifications', description: 'Receive email notifications for important updates', type: 'boolean' },
   { key: 'new_user_registered', value: true, category: 'notifications', description: 'Get notified when a new user registers', type: 'boolean' },
   { key: 'new_contact_form', value: true, category: 'notifications', description: 'Get notified when someone submits the contact form', type: 'boolean' },
+  { key: 'triage_notify_categories', value: 'crisis', category: 'notifications', description: 'Comma-separated contact categories that always send an immediate alert, whether the visitor or a triage rule chose them', type: 'string' },
+  { key: 'triage_notify_emails', value: '', category: 'notifications', description: 'Comma-separated addresses emailed at once when a triage rule or alert category asks for it (defaults to admins who can assign contacts)', type: 'string' },
   { key: 'new_volunteer', value: true, category: 'notifications', description: 'Get notified when someone signs up as a volunteer', type: 'boolean' },
   { key: 'event_reminders', value: false, category: 'notifications', description: 'Receive reminders about upcoming events', type: 'boolean' },
   { key: 'weekly_digest', value: true, category: 'notifications', description: 'Receive a weekly summary of activity', type: 'boolean' },
@@ -20,7 +26,25 @@ const defaultSettings = [
   { key: 'two_factor', value: false, category: 'security', description: 'Enable 2FA for additional security', type: 'boolean' },
   { key: 'session_timeout', value: '30', category: 'security', description: 'Auto logout after period of inactivity (minutes)', type: 'number' },
   { key: 'password_expiry', value: '90', category: 'security', description: 'Force password change after set days', type: 'number' },
+  { key: 'password_min_length', value: '8', category: 'security', description: 'Minimum password length', type: 'number' },
+  { key: 'password_require_uppercase', value: true, category: 'security', description: 'Require an uppercase letter in passwords', type: 'boolean' },
+  { key: 'password_require_lowercase', value: true, category: 'security', description: 'Require a lowercase letter in passwords', type: 'boolean' },
+  { key: 'password_require_number', value: true, category: 'security', description: 'Require a number in passwords', type: 'boolean' },
+  { key: 'password_require_symbol', value: false, category: 'security', description: 'Require a symbol in passwords', type: 'boolean' },
+  { key: 'password_block_common', value: true, category: 'security', description: 'Reject common and breached passwords', type: 'boolean' },
   { key: 'login_attempts', value: '5', category: 'security', description: 'Number of failed attempts before lockout', type: 'number' },
+  { key: 'lockout_duration', value: '15', category: 'security', description: 'How long an account or IP stays locked after too many failed logins (minutes)', type: 'number' },
+  { key: 'require_email_verification', value: false, category: 'security', description: 'Require admins to verify their email address before they can log in', type: 'boolean' },
+  { key: 'rate_limit_enabled', value: true, category: 'security', description: 'Limit how often public forms can be submitted', type: 'boolean' },
+  { key: 'rate_limit_window', value: '15', category: 'security', description: 'Rate limit window for public forms (minutes)', type: 'number' },
+  { key: 'rate_limit_ip_max', value: '10', category: 'security', description: 'Submissions allowed per form from one IP address in each window', type: 'number' },
+  { key: 'rate_limit_email_max', value: '3', category: 'security', description: 'Submissions allowed per form for one email address in each window', type: 'number' },
+  { key: 'spam_filter_enabled', value: true, category: 'security', description: 'Check public form submissions for spam', type: 'boolean' },
+  { key: 'spam_threshold', value: '5', category: 'security', description: 'Spam score at which a submission goes to spam', type: 'number' },
+  { key: 'spam_min_submit_seconds', value: '3', category: 'security', description: 'Submissions sent sooner than this after the form loaded count as spam (seconds)', type: 'number' },
+  { key: 'spam_max_links', value: '2', category: 'security', description: 'Links allowed in a submission before it counts towards spam', type: 'number' },
+  { key: 'spam_block_disposable', value: true, category: 'security', description: 'Count submissions from disposable email addresses towards spam', type: 'boolean' },
+  { key: 'spam_keywords', value: '', category: 'security', description: 'Comma-separated words and phrases that count towards spam', type: 'string' },
   
   // Appearance
   { key: 'theme_mode', value: 'light', category: 'appearance', description: 'Choose between light, dark, or system theme', type: 'string' },
@@ -44,7 +68,7 @@ const defaultSettings = [
 
 // @route   GET /api/settings
 // @desc    Get all settings
-// @access  Private (Admin only)
+// @access  Private (settings.manage)
 const getSettings = async (req, res) => {
   try {
     const category = req.query.category;
@@ -67,7 +91,7 @@ const getSettings = async (req, res) => {
 
 // @route   GET /api/settings/:key
 // @desc    Get single setting by key
-// @access  Private (Admin only)
+// @access  Private (settings.manage)
 const getSettingByKey = async (req, res) => {
   try {
     const setting = await Settings.findOne({ key: req.params.key });
@@ -94,12 +118,13 @@ const getSettingByKey = async (req, res) => {
 
 // @route   PUT /api/settings/:key
 // @desc    Update a setting
-// @access  Private (Admin only)
+// @access  Private (settings.manage)
 const updateSetting = async (req, res) => {
   try {
     const { value } = req.body;
 
     let setting = await Settings.findOne({ key: req.params.key });
+    const before = setting ? { value: setting.value } : null;
 
     if (!setting) {
       // Create new setting if it doesn't exist
@@ -115,6 +140,15 @@ const updateSetting = async (req, res) => {
       await setting.save();
     }
 
+    setAuditContext(req, {
+      action: 'setting.update',
+      targetModel: 'Settings',
+      targetId: setting._id,
+      before,
+      after: { value: setting.value },
+      metadata: { key: setting.key }
+    });
+
     res.json({
       success: true,
       data: setting
@@ -130,7 +164,7 @@ const updateSetting = async (req, res) => {
 
 // @route   PUT /api/settings
 // @desc    Update multiple settings
-// @access  Private (Admin only)
+// @access  Private (settings.manage)
 const updateSettings = async (req, res) => {
   try {
     const { settings } = req.body;
@@ -143,8 +177,11 @@ const updateSettings = async (req, res) => {
     }
 
     const updatedSettings = [];
+    const before = {};
+    const after = {};
     for (const item of settings) {
       let setting = await Settings.findOne({ key: item.key });
+      before[item.key] = setting ? setting.value : null;
       
       if (setting) {
         setting.value = item.value;
@@ -159,9 +196,17 @@ const updateSettings = async (req, res) => {
         });
       }
       
+      after[item.key] = setting.value;
       updatedSettings.push(setting);
     }
 
+    setAuditContext(req, {
+      action: 'setting.update_many',
+      targetModel: 'Settings',
+      before,
+      after
+    });
+
     res.json({
       success: true,
       data: updatedSettings,
@@ -178,7 +223,7 @@ const updateSettings = async (req, res) => {
 
 // @route   POST /api/settings/seed
 // @desc    Seed default settings
-// @access  Private (Admin only)
+// @access  Private (settings.manage)
 const seedSettings = async (req, res) => {
   try {
     for (const setting of defaultSettings) {
@@ -191,6 +236,12 @@ const seedSettings = async (req, res) => {
 
     const settings = await Settings.find();
 
+    setAuditContext(req, {
+      action: 'setting.seed',
+      targetModel: 'Settings',
+      metadata: { count: defaultSettings.length }
+    });
+
     res.json({
       success: true,
       data: settings,
@@ -207,7 +258,7 @@ const seedSettings = async (req, res) => {
 
 // @route   GET /api/settings/stats
 // @desc    Get settings statistics
-// @access  Private (Admin only)
+// @access  Private (settings.manage)
 const getSettingsStats = async (req, res) => {
   try {
     const totalSettings = await Settings.countDocuments();
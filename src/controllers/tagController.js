@@ -0,0 +1,284 @@
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const { setAuditContext } = require('../utils/audit');
+const { hasPermission } = require('../utils/permissions');
+const { TAGGABLE_ENTITIES, TAGGABLE_ENTITY_NAMES } = require('../config/taggables');
+const { resolveTags, getTaggableModel, applyTags, removeTagEverywhere, countTagUsage } = require('../utils/tags');
+
+// Records one bulk request can tag
+const MAX_BULK_IDS = 1000;
+
+/**
+ * Respond to a Mongoose validation or duplicate-key error
+ * @param {Object} res - Express response
+ * @param {Object} error - Error thrown
+ * @returns {boolean} Whether a response was sent
+ */
+const handleTagSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A tag with this name already exists'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    List tags, with how many records of each kind carry them (?withCounts=true)
+// @route   GET /api/tags
+// @access  Private
+exports.getTags = async (req, res) => {
+  try {
+    const { search, withCounts } = req.query;
+
+    const query = {};
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+
+    const tags = await Tag.find(query).sort({ name: 1 });
+
+    let data = tags;
+    if (withCounts === 'true') {
+      const usage = await countTagUsage();
+      data = tags.map(tag => ({ ...tag.toJSON(), usage: usage[tag._id] || {} }));
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching tags'
+    });
+  }
+};
+
+// @desc    Create a tag
+// @route   POST /api/tags
+// @access  Private (tags.manage)
+exports.createTag = async (req, res) => {
+  try {
+    const { name, color, description } = req.body;
+
+    const tag = await Tag.create({
+      name,
+      color,
+      description,
+      createdBy: req.admin.id
+    });
+
+    setAuditContext(req, {
+      action: 'tag.create',
+      targetModel: 'Tag',
+      targetId: tag._id,
+      after: tag
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: tag
+    });
+  } catch (error) {
+    if (handleTagSaveError(res, error)) {
+      return;
+    }
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating tag'
+    });
+  }
+};
+
+// @desc    Rename or recolour a tag
+// @route   PUT /api/tags/:id
+// @access  Private (tags.manage)
+exports.updateTag = async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const before = tag.toJSON();
+    const { name, color, description } = req.body;
+
+    if (name !== undefined) tag.name = name;
+    if (color !== undefined) tag.color = color;
+    if (description !== undefined) tag.description = description;
+
+    await tag.save();
+
+    setAuditContext(req, {
+      action: 'tag.update',
+      targetModel: 'Tag',
+      targetId: tag._id,
+      before,
+      after: tag
+    });
+
+    res.json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: tag
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+    if (handleTagSaveError(res, error)) {
+      return;
+    }
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating tag'
+    });
+  }
+};
+
+// @desc    Delete a tag and take it off every record
+// @route   DELETE /api/tags/:id
+// @access  Private (tags.manage)
+exports.deleteTag = async (req, res) => {
+  try {
+    const tag = await Tag.findByIdAndDelete(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    await removeTagEverywhere(tag._id);
+
+    setAuditContext(req, {
+      action: 'tag.delete',
+      targetModel: 'Tag',
+      targetId: tag._id,
+      before: tag
+    });
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting tag'
+    });
+  }
+};
+
+// @desc    Add and remove tags on many records of one kind
+//          ({ entity, ids, add: [tag IDs or slugs], remove: [...] })
+// @route   POST /api/tags/bulk
+// @access  Private (write permission of the entity, e.g. contacts.write)
+exports.bulkTag = async (req, res) => {
+  try {
+    const { entity, ids, add, remove } = req.body;
+    const config = TAGGABLE_ENTITIES[entity];
+
+    if (!config) {
+      return res.status(400).json({
+        success: false,
+        message: `Entity must be one of: ${TAGGABLE_ENTITY_NAMES.join(', ')}`
+      });
+    }
+
+    if (!hasPermission(req.admin, config.writePermission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission: ${config.writePermission}`
+      });
+    }
+
+    if (!Array.isArray(ids) || !ids.length || ids.length > MAX_BULK_IDS || !ids.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: `ids must be a list of 1 to ${MAX_BULK_IDS} record IDs`
+      });
+    }
+
+    const toAdd = await resolveTags(add);
+    const toRemove = await resolveTags(remove);
+    const missing = [...toAdd.missing, ...toRemove.missing];
+
+    if (missing.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown tags: ${missing.join(', ')}`
+      });
+    }
+
+    if (!toAdd.tags.length && !toRemove.tags.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give tags to add or remove'
+      });
+    }
+
+    const Model = getTaggableModel(entity);
+    const filter = { _id: { $in: ids } };
+    const matched = await Model.countDocuments(filter);
+    const modified = await applyTags(Model, filter, {
+      add: toAdd.tags.map(tag => tag._id),
+      remove: toRemove.tags.map(tag => tag._id)
+    });
+
+    setAuditContext(req, {
+      action: 'tag.bulk',
+      targetModel: config.model,
+      metadata: {
+        ids,
+        add: toAdd.tags.map(tag => tag.slug),
+        remove: toRemove.tags.map(tag => tag.slug)
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Tags updated on ${matched} ${config.label.toLowerCase()}`,
+      data: { matched, modified }
+    });
+  } catch (error) {
+    console.error('Bulk tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating tags'
+    });
+  }
+};
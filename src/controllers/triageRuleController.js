@@ -0,0 +1,364 @@
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const Contact = require('../models/Contact');
+const TriageRule = require('../models/TriageRule');
+const { setAuditContext } = require('../utils/audit');
+const { adminHasPermission } = require('../utils/permissions');
+const { getSlaPolicy, getContactCategories, computeDueAt } = require('../utils/contactSla');
+const { triageMessage, shouldNotify, getNotifyRecipients } = require('../utils/triage');
+
+/**
+ * Check rule actions that depend on other records
+ * @param {Object} actions - Rule actions as submitted
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const checkRuleActions = async (actions = {}) => {
+  if (actions.category) {
+    const categories = getContactCategories(await getSlaPolicy());
+    if (!categories.includes(String(actions.category).trim().toLowerCase())) {
+      return `Category must be one of: ${categories.join(', ')}`;
+    }
+  }
+
+  if (actions.assignTo) {
+    const assignee = mongoose.isValidObjectId(actions.assignTo) ? await Admin.findById(actions.assignTo) : null;
+    if (!(await adminHasPermission(assignee, 'contacts.reply'))) {
+      return 'Contacts can only be assigned to active admins who can reply to them';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Respond to a Mongoose validation, cast or duplicate-key error
+ * @param {Object} res - Express response
+ * @param {Object} error - Error thrown
+ * @returns {boolean} Whether a response was sent
+ */
+const handleRuleSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+
+  if (error.name === 'CastError' && error.path !== '_id') {
+    res.status(400).json({
+      success: false,
+      message: `Invalid value for ${error.path}`
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A triage rule with this name already exists'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    List triage rules in the order they run
+// @route   GET /api/triage-rules
+// @access  Private (triage.manage)
+exports.getTriageRules = async (req, res) => {
+  try {
+    const rules = await TriageRule.find()
+      .sort({ order: 1, createdAt: 1 })
+      .populate('actions.assignTo', 'name email');
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get triage rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching triage rules'
+    });
+  }
+};
+
+// @desc    Get a single triage rule
+// @route   GET /api/triage-rules/:id
+// @access  Private (triage.manage)
+exports.getTriageRuleById = async (req, res) => {
+  try {
+    const rule = await TriageRule.findById(req.params.id)
+      .populate('actions.assignTo', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Triage rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Triage rule not found'
+      });
+    }
+    console.error('Get triage rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching triage rule'
+    });
+  }
+};
+
+// @desc    Create a triage rule
+// @route   POST /api/triage-rules
+// @access  Private (triage.manage)
+exports.createTriageRule = async (req, res) => {
+  try {
+    const { name, description, order, isActive, conditions, actions, stopProcessing } = req.body;
+
+    const problem = await checkRuleActions(actions);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const rule = await TriageRule.create({
+      name,
+      description,
+      order,
+      isActive,
+      conditions,
+      actions,
+      stopProcessing,
+      createdBy: req.admin.id
+    });
+
+    setAuditContext(req, {
+      action: 'triageRule.create',
+      targetModel: 'TriageRule',
+      targetId: rule._id,
+      after: rule
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Triage rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    if (handleRuleSaveError(res, error)) {
+      return;
+    }
+    console.error('Create triage rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating triage rule'
+    });
+  }
+};
+
+// @desc    Update a triage rule
+// @route   PUT /api/triage-rules/:id
+// @access  Private (triage.manage)
+exports.updateTriageRule = async (req, res) => {
+  try {
+    const rule = await TriageRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Triage rule not found'
+      });
+    }
+
+    const { name, description, order, isActive, conditions, actions, stopProcessing } = req.body;
+
+    const problem = await checkRuleActions(actions);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const before = rule.toJSON();
+
+    if (name !== undefined) rule.name = name;
+    if (description !== undefined) rule.description = description;
+    if (order !== undefined) rule.order = order;
+    if (isActive !== undefined) rule.isActive = isActive;
+    if (conditions !== undefined) rule.conditions = conditions;
+    if (actions !== undefined) rule.actions = actions;
+    if (stopProcessing !== undefined) rule.stopProcessing = stopProcessing;
+    rule.updatedBy = req.admin.id;
+
+    await rule.save();
+
+    setAuditContext(req, {
+      action: 'triageRule.update',
+      targetModel: 'TriageRule',
+      targetId: rule._id,
+      before,
+      after: rule
+    });
+
+    res.json({
+      success: true,
+      message: 'Triage rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId' && error.path === '_id') {
+      return res.status(404).json({
+        success: false,
+        message: 'Triage rule not found'
+      });
+    }
+    if (handleRuleSaveError(res, error)) {
+      return;
+    }
+    console.error('Update triage rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating triage rule'
+    });
+  }
+};
+
+// @desc    Delete a triage rule
+// @route   DELETE /api/triage-rules/:id
+// @access  Private (triage.manage)
+exports.deleteTriageRule = async (req, res) => {
+  try {
+    const rule = await TriageRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Triage rule not found'
+      });
+    }
+
+    setAuditContext(req, {
+      action: 'triageRule.delete',
+      targetModel: 'TriageRule',
+      targetId: rule._id,
+      before: rule
+    });
+
+    res.json({
+      success: true,
+      message: 'Triage rule deleted successfully'
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Triage rule not found'
+      });
+    }
+    console.error('Delete triage rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting triage rule'
+    });
+  }
+};
+
+// @desc    Show what triage would do with a message, without saving or notifying.
+//          Runs the active rules, or only a draft rule passed as `rule`. The
+//          message is { subject, message } or an existing contact's (contactId).
+// @route   POST /api/triage-rules/dry-run
+// @access  Private (triage.manage)
+exports.dryRunTriage = async (req, res) => {
+  try {
+    const { contactId, rule } = req.body;
+    let { subject, message } = req.body;
+
+    if (contactId) {
+      const contact = await Contact.findById(contactId);
+
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact message not found'
+        });
+      }
+
+      ({ subject, message } = contact);
+    }
+
+    if (!subject && !message) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a subject and message, or a contactId'
+      });
+    }
+
+    let rules;
+    if (rule) {
+      const draft = new TriageRule({ ...rule, name: rule.name || 'Draft rule', createdBy: req.admin.id });
+      await draft.validate();
+
+      const problem = await checkRuleActions(draft.actions);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+
+      rules = [draft];
+    }
+
+    const outcome = await triageMessage({ subject, message }, rules);
+    const policy = await getSlaPolicy();
+    const category = outcome.category;
+    const notify = await shouldNotify({ category }, outcome);
+
+    res.json({
+      success: true,
+      data: {
+        matched: outcome.matched,
+        category,
+        priority: outcome.priority,
+        assignTo: outcome.assignTo ? { id: outcome.assignTo._id, name: outcome.assignTo.name, email: outcome.assignTo.email } : null,
+        dueAt: category ? computeDueAt(new Date(), category, policy) : null,
+        notify,
+        notifyRecipients: notify ? await getNotifyRecipients(outcome.assignTo) : []
+      }
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+    if (handleRuleSaveError(res, error)) {
+      return;
+    }
+    console.error('Dry run triage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error running triage'
+    });
+  }
+};
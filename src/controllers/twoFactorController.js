@@ -0,0 +1,261 @@
+const Admin = require('../models/Admin');
+const { getSetting } = require('../utils/settings');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+
+// @desc    Get two-factor status for the current admin
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id).select('+twoFactor.recoveryCodes');
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        enabled: admin.twoFactor.enabled,
+        enabledAt: admin.twoFactor.enabledAt,
+        required: await isTwoFactorRequired(admin),
+        recoveryCodesRemaining: admin.twoFactor.enabled ? admin.twoFactor.recoveryCodes.length : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching two-factor status'
+    });
+  }
+};
+
+// @desc    Start two-factor enrolment (generate secret and otpauth URI)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    admin.twoFactor.pendingSecret = secret;
+    await admin.save({ validateBeforeSave: false });
+
+    const issuer = await getSetting('site_name', 'Pride Community');
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then verify a code to finish setup',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, admin.email, issuer)
+      }
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error setting up two-factor authentication'
+    });
+  }
+};
+
+// @desc    Verify the first code and enable two-factor authentication
+// @route   POST /api/auth/2fa/verify
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const admin = await Admin.findById(req.admin.id).select('+twoFactor.pendingSecret');
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!admin.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before verifying a code'
+      });
+    }
+
+    const step = verifyCode(admin.twoFactor.pendingSecret, code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+    admin.twoFactor.pendingSecret = undefined;
+    admin.twoFactor.recoveryCodes = hashes;
+    admin.twoFactor.lastUsedStep = step;
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.enabledAt = new Date();
+    await admin.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error enabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Replace recovery codes (requires a current TOTP code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const admin = await Admin.findById(req.admin.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(admin, { code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await Admin.updateOne({ _id: admin._id }, { 'twoFactor.recoveryCodes': hashes });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error regenerating recovery codes'
+    });
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const admin = await Admin.findById(req.admin.id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequired(admin)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is mandatory for the ${admin.role} role`
+      });
+    }
+
+    const isMatch = await admin.comparePassword(password);
+
+    if (!isMatch || !(await verifySecondFactor(admin, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password or verification code is incorrect'
+      });
+    }
+
+    await Admin.updateOne(
+      { _id: admin._id },
+      {
+        'twoFactor.enabled': false,
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1
+        }
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+};
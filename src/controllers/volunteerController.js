@@ -1,4 +1,7 @@
 const Volunteer = require('../models/Volunteer');
+const { setAuditContext } = require('../utils/audit');
+const { checkSubmission, toSpamRecord, applySpamVerdict, toPublicSubmission } = require('../utils/spam');
+const { buildTagFilter, TAG_FIELDS } = require('../utils/tags');
 
 /**
  * Validation error helper
@@ -22,6 +25,9 @@ const createVolunteer = async (req, res) => {
   try {
     const { firstName, lastName, email, phone, roles, skills, availability, message, agreedToContact } = req.body;
 
+    // Spam is stored out of the inbox but answered like any other submission
+    const spamCheck = await checkSubmission('volunteer', req.body);
+
     const volunteer = await Volunteer.create({
       firstName,
       lastName,
@@ -31,13 +37,15 @@ const createVolunteer = async (req, res) => {
       skills,
       availability,
       message,
-      agreedToContact
+      agreedToContact,
+      status: spamCheck.isSpam ? 'spam' : 'pending',
+      spam: toSpamRecord(spamCheck)
     });
 
     res.status(201).json({
       success: true,
       message: 'Volunteer registration submitted successfully',
-      data: volunteer
+      data: toPublicSubmission(volunteer)
     });
 
   } catch (error) {
@@ -72,17 +80,19 @@ const createVolunteer = async (req, res) => {
 /**
  * @desc    Get all volunteers
  * @route   GET /api/volunteers
- * @access  Private (Admin)
+ * @access  Private (volunteers.read)
  */
 const getVolunteers = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, search } = req.query;
+    const { page = 1, limit = 10, status, search, tags, tagMatch } = req.query;
 
     const query = {};
 
-    // Filter by status if provided
+    // Filter by status if provided; spam only shows when asked for
     if (status && status !== 'all') {
       query.status = status;
+    } else {
+      query.status = { $ne: 'spam' };
     }
 
     // Search in name, email, and phone
@@ -95,10 +105,16 @@ const getVolunteers = async (req, res) => {
       ];
     }
 
+    const tagFilter = await buildTagFilter(tags, tagMatch);
+    if (tagFilter) {
+      query.tags = tagFilter;
+    }
+
     const volunteers = await Volunteer.find(query)
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
-      .limit(parseInt(limit));
+      .limit(parseInt(limit))
+      .populate('tags', TAG_FIELDS);
 
     const total = await Volunteer.countDocuments(query);
 
@@ -125,7 +141,7 @@ const getVolunteers = async (req, res) => {
 /**
  * @desc    Get a single volunteer by ID
  * @route   GET /api/volunteers/:id
- * @access  Private (Admin)
+ * @access  Private (volunteers.read)
  */
 const getVolunteerById = async (req, res) => {
   try {
@@ -168,12 +184,14 @@ const getVolunteerById = async (req, res) => {
 /**
  * @desc    Update a volunteer
  * @route   PUT /api/volunteers/:id
- * @access  Private (Admin)
+ * @access  Private (volunteers.write)
  */
 const updateVolunteer = async (req, res) => {
   try {
     const { status, notes } = req.body;
 
+    const before = await Volunteer.findById(req.params.id);
+
     const volunteer = await Volunteer.findByIdAndUpdate(
       req.params.id,
       { status, notes },
@@ -187,6 +205,14 @@ const updateVolunteer = async (req, res) => {
       });
     }
 
+    setAuditContext(req, {
+      action: 'volunteer.update',
+      targetModel: 'Volunteer',
+      targetId: volunteer._id,
+      before,
+      after: volunteer
+    });
+
     res.json({
       success: true,
       message: 'Volunteer updated successfully',
@@ -212,7 +238,7 @@ const updateVolunteer = async (req, res) => {
 /**
  * @desc    Delete a volunteer
  * @route   DELETE /api/volunteers/:id
- * @access  Private (Admin)
+ * @access  Private (volunteers.delete)
  */
 const deleteVolunteer = async (req, res) => {
   try {
@@ -225,6 +251,13 @@ const deleteVolunteer = async (req, res) => {
       });
     }
 
+    setAuditContext(req, {
+      action: 'volunteer.delete',
+      targetModel: 'Volunteer',
+      targetId: volunteer._id,
+      before: volunteer
+    });
+
     res.json({
       success: true,
       message: 'Volunteer deleted successfully',
@@ -250,7 +283,7 @@ const deleteVolunteer = async (req, res) => {
 /**
  * @desc    Get volunteer statistics
  * @route   GET /api/volunteers/stats
- * @access  Private (Admin)
+ * @access  Private (volunteers.read)
  */
 const getVolunteerStats = async (req, res) => {
   try {
@@ -323,11 +356,63 @@ const getVolunteerStats = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Mark a volunteer registration as spam, or as a false positive back into the inbox
+ * @route   PUT /api/volunteers/:id/spam
+ * @access  Private (volunteers.write)
+ */
+const markVolunteerSpam = async (req, res) => {
+  try {
+    const volunteer = await Volunteer.findById(req.params.id);
+
+    if (!volunteer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Volunteer not found'
+      });
+    }
+
+    const isSpam = req.body.isSpam !== false;
+    const before = volunteer.toJSON();
+    applySpamVerdict(volunteer, isSpam, req.admin.id);
+    await volunteer.save();
+
+    setAuditContext(req, {
+      action: isSpam ? 'volunteer.markSpam' : 'volunteer.markNotSpam',
+      targetModel: 'Volunteer',
+      targetId: volunteer._id,
+      before,
+      after: volunteer
+    });
+
+    res.json({
+      success: true,
+      message: isSpam ? 'Marked as spam' : 'Marked as not spam',
+      data: volunteer
+    });
+
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Volunteer not found'
+      });
+    }
+
+    console.error('Mark volunteer spam error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating spam status'
+    });
+  }
+};
+
 module.exports = {
   createVolunteer,
   getVolunteers,
   getVolunteerById,
   updateVolunteer,
   deleteVolunteer,
-  getVolunteerStats
+  getVolunteerStats,
+  markVolunteerSpam
 };
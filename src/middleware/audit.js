@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { recordAudit, buildRequestEntry } = require('../utils/audit');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// @desc    Give every request an id, reusing a sane X-Request-Id from a proxy
+// @route   Middleware
+// @access  Public
+exports.requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+
+  req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  next();
+};
+
+// @desc    Write an audit entry for every successful authenticated mutating request,
+//          and for every request at all made while impersonating another admin.
+//          Controllers describe what changed with setAuditContext; requests that
+//          already wrote their own entry with recordAudit are skipped.
+// @route   Middleware
+// @access  Public
+exports.auditTrail = (req, res, next) => {
+  res.on('finish', () => {
+    if (!req.admin || req.auditRecorded) {
+      return;
+    }
+
+    if (!req.admin.impersonator && (!MUTATING_METHODS.includes(req.method) || res.statusCode >= 400)) {
+      return;
+    }
+
+    recordAudit(req, buildRequestEntry(req, res));
+  });
+
+  next();
+};
@@ -1,15 +1,151 @@
-const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const { verifyAccessToken, getIdleTimeoutMs, isSessionIdle } = require('../utils/tokens');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { isPasswordExpired } = require('../utils/passwordPolicy');
+const { getRolePermissions, hasPermission, coversRole } = require('../utils/permissions');
+const { authenticateApiKey } = require('../utils/apiKeys');
 
-// Role hierarchy for permission checks
-const roleHierarchy = {
-  'Admin': ['Admin', 'Sub Admin', 'Volunteer', 'Member'],
-  'Sub Admin': ['Sub Admin', 'Volunteer', 'Member'],
-  'Volunteer': ['Volunteer', 'Member'],
-  'Member': ['Member']
+// Routes still reachable while mandatory two-factor enrolment is pending. The
+// password route is among them so an expired password can still be changed.
+const TWO_FACTOR_ENROLLMENT_PATHS = [
+  '/api/auth/profile',
+  '/api/auth/password',
+  '/api/auth/logout',
+  '/api/auth/2fa',
+  '/api/auth/2fa/setup',
+  '/api/auth/2fa/verify'
+];
+
+// Routes still reachable once the password has expired
+const PASSWORD_EXPIRED_PATHS = [
+  '/api/auth/password',
+  '/api/auth/logout'
+];
+
+// Account routes that act on a human's own login, never available to API keys or impersonation
+const OWN_ACCOUNT_PATHS = [
+  '/api/auth/profile',
+  '/api/auth/email',
+  '/api/auth/password',
+  '/api/auth/logout',
+  '/api/auth/session',
+  '/api/auth/sessions',
+  '/api/auth/2fa',
+  '/api/auth/api-keys',
+  '/api/auth/login-history',
+  '/api/auth/identities'
+];
+
+/**
+ * Whether a path is, or is below, one of the listed paths
+ * @param {string} path - Request path
+ * @param {Array<string>} paths - Path prefixes
+ * @returns {boolean}
+ */
+const matchesPath = (path, paths) => {
+  return paths.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+};
+
+/**
+ * Authenticate a request made with an X-API-Key header
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const protectWithApiKey = async (req, res, next) => {
+  if (matchesPath(req.baseUrl + req.path, OWN_ACCOUNT_PATHS)) {
+    return res.status(403).json({
+      success: false,
+      message: 'This route cannot be used with an API key'
+    });
+  }
+
+  const result = await authenticateApiKey(req.headers['x-api-key'], req);
+
+  if (result.error) {
+    return res.status(401).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  req.admin = {
+    id: result.admin._id,
+    role: result.admin.role,
+    permissions: result.permissions,
+    apiKeyId: result.apiKey._id
+  };
+
+  next();
 };
 
-// @desc    Protect routes - verify JWT token
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Finish authenticating an impersonation token: the impersonator must still be
+ * active, allowed to impersonate and hold every permission of the target's role,
+ * and read-only tokens may not change anything
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {Object} decoded - Token payload
+ * @param {Object} target - Admin being impersonated
+ */
+const protectImpersonation = async (req, res, next, decoded, target) => {
+  const impersonator = await Admin.findById(decoded.impersonatorId);
+  const impersonatorPermissions = impersonator ? await getRolePermissions(impersonator.role) : [];
+
+  // Checked on every request, so a role change on either side ends the impersonation
+  if (!impersonator || !impersonator.isActive || !impersonatorPermissions.includes('admins.impersonate') ||
+      !(await coversRole({ role: impersonator.role, permissions: impersonatorPermissions }, target.role))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Impersonation is no longer allowed. Please log in again.'
+    });
+  }
+
+  // Set before the checks below so refused attempts are audited as well
+  res.set('X-Impersonated-By', String(impersonator._id));
+
+  req.admin = {
+    id: target._id,
+    role: target.role,
+    permissions: await getRolePermissions(target.role),
+    sessionId: decoded.sid,
+    impersonator: {
+      id: impersonator._id,
+      role: impersonator.role,
+      readOnly: Boolean(decoded.readOnly),
+      reason: decoded.reason,
+      expiresAt: new Date(decoded.exp * 1000)
+    }
+  };
+
+  // The impersonated profile may be viewed, but nothing else about the account is reachable
+  const path = req.baseUrl + req.path;
+  const isProfileView = req.method === 'GET' && path === '/api/auth/profile';
+
+  if (!isProfileView && matchesPath(path, OWN_ACCOUNT_PATHS)) {
+    return res.status(403).json({
+      success: false,
+      code: 'IMPERSONATION_FORBIDDEN',
+      message: 'Account settings cannot be used while impersonating'
+    });
+  }
+
+  if (decoded.readOnly && MUTATING_METHODS.includes(req.method)) {
+    return res.status(403).json({
+      success: false,
+      code: 'IMPERSONATION_READ_ONLY',
+      message: 'This impersonation session is read-only'
+    });
+  }
+
+  next();
+};
+
+// @desc    Protect routes - verify JWT token, or an API key sent as X-API-Key
 // @route   Middleware
 // @access  Private
 exports.protect = async (req, res, next) => {
@@ -21,6 +157,11 @@ exports.protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
+    // Integrations authenticate with an API key instead of a login
+    if (!token && req.headers['x-api-key']) {
+      return await protectWithApiKey(req, res, next);
+    }
+
     // Check if token exists
     if (!token) {
       return res.status(401).json({
@@ -31,10 +172,43 @@ exports.protect = async (req, res, next) => {
 
     try {
       // Verify token
-      const decoded = jwt.verify(
-        token,
-        process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production'
-      );
+      const decoded = verifyAccessToken(token);
+      const isImpersonation = decoded.purpose === 'impersonation';
+
+      // Check the session the token was issued for is still live. Impersonation
+      // tokens ride on the impersonator's session.
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      const sessionOwnerId = isImpersonation ? decoded.impersonatorId : decoded.id;
+
+      if (!session || session.revokedAt || String(session.admin) !== String(sessionOwnerId)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please log in again.'
+        });
+      }
+
+      // End sessions that have been idle longer than the `session_timeout` setting
+      const idleTimeoutMs = await getIdleTimeoutMs();
+
+      if (isSessionIdle(session, idleTimeoutMs)) {
+        await session.revoke('idle_timeout');
+        return res.status(401).json({
+          success: false,
+          code: 'SESSION_IDLE_TIMEOUT',
+          message: 'Session expired due to inactivity. Please log in again.'
+        });
+      }
+
+      // Record activity, at most once a minute
+      if (Date.now() - session.lastSeenAt.getTime() > 60 * 1000) {
+        await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+      }
+
+      // Tell the dashboard when this session will time out if nothing else happens
+      if (idleTimeoutMs) {
+        res.set('X-Session-Idle-Timeout', String(Math.floor(idleTimeoutMs / 1000)));
+        res.set('X-Session-Idle-Expires-At', new Date(Date.now() + idleTimeoutMs).toISOString());
+      }
 
       // Get admin from token
       const admin = await Admin.findById(decoded.id);
@@ -54,10 +228,35 @@ exports.protect = async (req, res, next) => {
         });
       }
 
+      if (isImpersonation) {
+        return await protectImpersonation(req, res, next, decoded, admin);
+      }
+
+      // Block everything but enrolment until a mandatory second factor is set up
+      if (!admin.twoFactor.enabled && await isTwoFactorRequired(admin) &&
+          !TWO_FACTOR_ENROLLMENT_PATHS.includes(req.baseUrl + req.path)) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+          message: 'Two-factor authentication must be set up before continuing'
+        });
+      }
+
+      // Only allow a password change once the password has expired
+      if (!PASSWORD_EXPIRED_PATHS.includes(req.baseUrl + req.path) && await isPasswordExpired(admin)) {
+        return res.status(403).json({
+          success: false,
+          code: 'PASSWORD_EXPIRED',
+          message: 'Your password has expired. Please change it to continue.'
+        });
+      }
+
       // Attach admin to request
       req.admin = {
         id: admin._id,
-        role: admin.role
+        role: admin.role,
+        permissions: await getRolePermissions(admin.role),
+        sessionId: session._id
       };
 
       next();
@@ -99,10 +298,10 @@ exports.authorize = (...allowedRoles) => {
   };
 };
 
-// @desc    Check if user has minimum role level
-// @route   Middleware - Usage: requireMinRole('sub_admin')
+// @desc    Check if user's role grants every listed permission
+// @route   Middleware - Usage: requirePermission('contacts.read')
 // @access  Private
-exports.requireMinRole = (minRole) => {
+exports.requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.admin) {
       return res.status(401).json({
@@ -111,13 +310,12 @@ exports.requireMinRole = (minRole) => {
       });
     }
 
-    const adminRole = req.admin.role;
-    const allowedRoles = roleHierarchy[minRole] || [];
+    const missing = permissions.filter(permission => !hasPermission(req.admin, permission));
 
-    if (!allowedRoles.includes(adminRole)) {
+    if (missing.length) {
       return res.status(403).json({
         success: false,
-        message: `Minimum role '${minRole}' required. Your role: '${adminRole}'`
+        message: `Missing permission: ${missing.join(', ')}`
       });
     }
 
@@ -126,9 +324,9 @@ exports.requireMinRole = (minRole) => {
 };
 
 // @desc    Check if user can access specific resource
-// @route   Middleware
+// @route   Middleware - Usage: canAccessResource('createdBy', 'customVolunteers.manageAll')
 // @access  Private
-exports.canAccessResource = (resourceOwnerField = 'createdBy') => {
+exports.canAccessResource = (resourceOwnerField = 'createdBy', bypassPermission) => {
   return async (req, res, next) => {
     try {
       const resource = req.resource;
@@ -140,15 +338,15 @@ exports.canAccessResource = (resourceOwnerField = 'createdBy') => {
         });
       }
 
-      // Admins can access any resource
-      if (req.admin.role === 'Admin') {
+      // Holders of the bypass permission can access any resource
+      if (bypassPermission && hasPermission(req.admin, bypassPermission)) {
         return next();
       }
 
       // Check if user owns the resource
       const ownerId = resource[resourceOwnerField];
 
-      if (ownerId && ownerId.toString() !== req.admin.id) {
+      if (ownerId && ownerId.toString() !== String(req.admin.id)) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to access this resource'
@@ -165,3 +363,8 @@ exports.canAccessResource = (resourceOwnerField = 'createdBy') => {
     }
   };
 };
+
+// @desc    Mark a route as intentionally public (no-op, read by the startup route access check)
+// @route   Middleware - Usage: router.post('/', allowPublic, handler)
+// @access  Public
+exports.allowPublic = (req, res, next) => next();
@@ -0,0 +1,46 @@
+const { getRateLimitStore, getRateLimitPolicy } = require('../utils/rateLimit');
+
+// @desc    Limit how often one client may call a public route, per IP and per
+//          submitted email, within the window from Settings. Fails open if the
+//          store is unavailable so a counter outage never blocks submissions.
+// @route   Middleware factory: rateLimit('contact')
+// @access  Public
+exports.rateLimit = (route) => async (req, res, next) => {
+  try {
+    const policy = await getRateLimitPolicy();
+
+    if (!policy.enabled) {
+      return next();
+    }
+
+    const store = getRateLimitStore();
+    const checks = [{ scope: 'ip', identifier: req.ip, max: policy.ipMax }];
+
+    if (req.body && typeof req.body.email === 'string' && req.body.email.trim()) {
+      checks.push({ scope: 'email', identifier: req.body.email.trim().toLowerCase(), max: policy.emailMax });
+    }
+
+    let retryAt = null;
+
+    for (const { scope, identifier, max } of checks) {
+      const { count, resetAt } = await store.increment({ route, scope, identifier }, policy.windowMs);
+
+      if (count > max && (!retryAt || resetAt > retryAt)) {
+        retryAt = resetAt;
+      }
+    }
+
+    if (retryAt) {
+      res.set('Retry-After', String(Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000))));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many requests. Please try again later.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Rate limit error:', error);
+    next();
+  }
+};
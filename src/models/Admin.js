@@ -1,5 +1,13 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { BUILT_IN_ROLES } = require('../config/permissions');
+
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+
+// Number of previous password hashes kept to prevent reuse
+const PASSWORD_HISTORY_SIZE = 5;
 
 const adminSchema = new mongoose.Schema({
   name: {
@@ -24,10 +32,12 @@ const adminSchema = new mongoose.Schema({
     minlength: [3, 'Username must be at least 3 characters'],
     maxlength: [30, 'Username cannot exceed 30 characters']
   },
+  // Optional only for accounts created by a social login, which brings no number
   mobile: {
     type: String,
-    required: [true, 'Mobile number is required'],
+    required: [function() { return !this.provisionedVia; }, 'Mobile number is required'],
     unique: true,
+    sparse: true,
     trim: true,
     match: [/^\+?[\d\s-]{10,}$/, 'Please provide a valid mobile number']
   },
@@ -35,12 +45,36 @@ const adminSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Appended to replies sent from the dashboard
+  signature: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Signature cannot exceed 1000 characters'],
+    default: ''
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
     minlength: [8, 'Password must be at least 8 characters'],
     select: false
   },
+  passwordChangedAt: {
+    type: Date
+  },
+  // False while the only password is the random one set when a social login created the account
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
+  // OpenID Connect provider whose login created this account
+  provisionedVia: {
+    type: String,
+    trim: true
+  },
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   dateOfBirth: {
     type: Date
   },
@@ -57,8 +91,13 @@ const adminSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['Admin', 'Sub Admin', 'Volunteer', 'Member'],
-    default: 'Member'
+    trim: true,
+    default: 'Member',
+    validate: {
+      // Built-in roles or any custom role defined in the Role collection
+      validator: async (value) => BUILT_IN_ROLES.includes(value) || Boolean(await mongoose.model('Role').exists({ name: value })),
+      message: 'Invalid role'
+    }
   },
   isActive: {
     type: Boolean,
@@ -66,6 +105,54 @@ const adminSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: { type: Date }
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // New accounts start unverified. Accounts stored before verification existed
+  // have no value and load as verified, so turning on
+  // require_email_verification does not lock them out.
+  emailVerified: {
+    type: Boolean,
+    default: function() {
+      return !this.isNew;
+    }
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // New address waiting for confirmation; email keeps working until then
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email']
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  // Address the outstanding verification token confirms
+  emailVerificationAddress: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -76,9 +163,22 @@ adminSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
     return next();
   }
-  
+
+  // Move the outgoing hash into the history
+  if (!this.isNew) {
+    const previous = await this.constructor.findById(this._id).select('+password +passwordHistory');
+    if (previous && previous.password) {
+      this.passwordHistory = [previous.password, ...(previous.passwordHistory || [])]
+        .slice(0, PASSWORD_HISTORY_SIZE);
+    }
+  }
+
   const salt = await bcrypt.genSalt(12);
   this.password = await bcrypt.hash(this.password, salt);
+  this.passwordChangedAt = new Date();
+  if (!this.isNew) {
+    this.hasPassword = true;
+  }
   next();
 });
 
@@ -87,10 +187,43 @@ adminSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Generate a single-use password reset token; only its hash is stored
+adminSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000);
+
+  return resetToken;
+};
+
+// Generate a single-use token confirming ownership of an address; only its hash is stored
+adminSchema.methods.createEmailVerificationToken = function(address) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationAddress = address;
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Remove password, tokens and two-factor secrets from JSON output
 adminSchema.methods.toJSON = function() {
   const admin = this.toObject();
   delete admin.password;
+  delete admin.passwordHistory;
+  delete admin.passwordResetToken;
+  delete admin.passwordResetExpires;
+  delete admin.emailVerificationToken;
+  delete admin.emailVerificationAddress;
+  delete admin.emailVerificationExpires;
+  if (admin.twoFactor) {
+    delete admin.twoFactor.secret;
+    delete admin.twoFactor.pendingSecret;
+    delete admin.twoFactor.recoveryCodes;
+    delete admin.twoFactor.lastUsedStep;
+  }
   return admin;
 };
 
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { PERMISSION_KEYS } = require('../config/permissions');
+
+/**
+ * ApiKey Schema
+ * Named credential for integrations, accepted by `protect` through the
+ * X-API-Key header. Only the SHA-256 hash of the key is stored; the prefix is
+ * kept in clear so a key can be recognised in the dashboard.
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: [true, 'Prefix is required']
+  },
+  keyHash: {
+    type: String,
+    required: [true, 'Key hash is required'],
+    unique: true,
+    select: false
+  },
+  permissions: {
+    type: [String],
+    validate: [
+      {
+        validator: (permissions) => permissions.length > 0,
+        message: 'At least one permission is required'
+      },
+      {
+        validator: (permissions) => permissions.every(permission => PERMISSION_KEYS.includes(permission)),
+        message: 'Unknown permission in list'
+      }
+    ]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Creator is required']
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+apiKeySchema.index({ createdBy: 1, revokedAt: 1 });
+
+// Virtual for active state
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Transform output
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog Schema
+ * Records security-relevant and administrative actions. Append-only: entries
+ * can be created but never updated or deleted through the model.
+ */
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    trim: true
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  targetModel: {
+    type: String,
+    trim: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  // Admin who was really acting when `actor` was being impersonated
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  requestId: {
+    type: String,
+    trim: true
+  },
+  method: {
+    type: String,
+    trim: true
+  },
+  route: {
+    type: String,
+    trim: true
+  },
+  statusCode: {
+    type: Number
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for faster queries
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+auditLogSchema.index({ impersonator: 1, createdAt: -1 });
+
+// Reject any attempt to change or remove an existing entry
+const rejectChange = function() {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified or deleted'));
+  }
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], { document: true, query: true }, rejectChange);
+
+// Transform output
+auditLogSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { listPlaceholders } = require('../utils/templates');
+
+/**
+ * CannedResponse Schema
+ * A saved answer to a common question, filled in from a contact when used as a
+ * reply. Subject and body are templates with {{placeholders}}.
+ */
+const cannedResponseSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  // Reply subject; the reply defaults to "Re: <contact subject>" without one
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Subject cannot exceed 300 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Body is required'],
+    maxlength: [20000, 'Body cannot exceed 20000 characters']
+  },
+  // Placeholders the subject and body use, kept up to date on save
+  placeholders: {
+    type: [String],
+    default: []
+  },
+  // Same categories as contacts, so responses can be offered for the message at hand
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Category cannot exceed 50 characters'],
+    default: 'general'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Created by is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Record which placeholders the templates use
+cannedResponseSchema.pre('save', function(next) {
+  if (this.isModified('subject') || this.isModified('body')) {
+    this.placeholders = listPlaceholders(`${this.subject || ''}\n${this.body}`);
+  }
+  next();
+});
+
+// Index for faster queries
+cannedResponseSchema.index({ category: 1, isActive: 1, title: 1 });
+cannedResponseSchema.index({ usageCount: -1 });
+
+// Transform output
+cannedResponseSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('CannedResponse', cannedResponseSchema);
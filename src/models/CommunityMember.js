@@ -41,14 +41,28 @@ const communityMemberSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'archived'],
+    enum: ['pending', 'approved', 'rejected', 'archived', 'spam'],
     default: 'pending'
   },
+  // Spam check result from submission, and the admin's verdict if reviewed
+  spam: {
+    score: { type: Number, default: 0 },
+    reasons: { type: [String], default: [] },
+    checkedAt: { type: Date },
+    verdict: { type: String, enum: ['spam', 'not_spam'] },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    reviewedAt: { type: Date }
+  },
   notes: {
     type: String,
     trim: true,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
-  }
+  },
+  // Labels from the shared Tag collection
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }]
 }, {
   timestamps: true
 });
@@ -56,6 +70,7 @@ const communityMemberSchema = new mongoose.Schema({
 // Index for faster queries
 communityMemberSchema.index({ status: 1, createdAt: -1 });
 communityMemberSchema.index({ email: 1 });
+communityMemberSchema.index({ tags: 1 });
 
 // Virtual for formatted date
 communityMemberSchema.virtual('formattedDate').get(function() {
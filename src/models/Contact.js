@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const { PRIORITIES, DEFAULT_PRIORITY } = require('../config/priorities');
+
+// One change of owner, kept so handovers can be traced
+const assignmentSchema = new mongoose.Schema({
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, { _id: false });
 
 /**
  * Contact Schema
@@ -39,14 +62,81 @@ const contactSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['new', 'read', 'replied', 'archived'],
+    enum: ['new', 'read', 'replied', 'archived', 'spam'],
     default: 'new'
   },
+  // Message category; decides the first-response SLA (contact_sla_hours setting)
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Category cannot exceed 50 characters'],
+    default: 'general'
+  },
+  priority: {
+    type: String,
+    enum: {
+      values: PRIORITIES,
+      message: '{VALUE} is not a valid priority'
+    },
+    default: DEFAULT_PRIORITY
+  },
+  // Triage rules that matched when the message came in
+  triage: {
+    rules: [{
+      rule: { type: mongoose.Schema.Types.ObjectId, ref: 'TriageRule' },
+      name: { type: String },
+      hits: { type: [String], default: [] }
+    }],
+    notified: { type: Boolean, default: false },
+    triagedAt: { type: Date }
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  assignedAt: {
+    type: Date
+  },
+  assignmentHistory: {
+    type: [assignmentSchema],
+    default: []
+  },
+  // First response is due by this time; null when the category has no SLA
+  dueAt: {
+    type: Date,
+    default: null
+  },
+  firstRespondedAt: {
+    type: Date
+  },
+  firstRespondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // Spam check result from submission, and the admin's verdict if reviewed
+  spam: {
+    score: { type: Number, default: 0 },
+    reasons: { type: [String], default: [] },
+    checkedAt: { type: Date },
+    verdict: { type: String, enum: ['spam', 'not_spam'] },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    reviewedAt: { type: Date }
+  },
   notes: {
     type: String,
     trim: true,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
-  }
+  },
+  lastRepliedAt: {
+    type: Date
+  },
+  // Labels from the shared Tag collection
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }]
 }, {
   timestamps: true
 });
@@ -54,6 +144,18 @@ const contactSchema = new mongoose.Schema({
 // Index for faster queries
 contactSchema.index({ status: 1, createdAt: -1 });
 contactSchema.index({ email: 1 });
+contactSchema.index({ assignedTo: 1, status: 1, createdAt: -1 });
+contactSchema.index({ dueAt: 1, firstRespondedAt: 1 });
+contactSchema.index({ priority: 1, createdAt: -1 });
+contactSchema.index({ tags: 1 });
+
+// Whether the first response missed its SLA, or is now past due without one
+contactSchema.virtual('breached').get(function() {
+  if (!this.dueAt) {
+    return false;
+  }
+  return (this.firstRespondedAt || new Date()) > this.dueAt;
+});
 
 // Virtual for formatted date
 contactSchema.virtual('formattedDate').get(function() {
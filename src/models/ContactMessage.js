@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// A file that came with an inbound message, kept outside the public uploads
+const attachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  contentType: {
+    type: String,
+    trim: true,
+    default: 'application/octet-stream'
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  // Name of the stored file in ATTACHMENTS_DIR
+  storedName: {
+    type: String,
+    required: true
+  },
+  checksum: {
+    type: String
+  }
+});
+
+/**
+ * ContactMessage Schema
+ * One message in the conversation on a contact. The original form submission
+ * lives on the Contact itself; everything after it is stored here.
+ */
+const contactMessageSchema = new mongoose.Schema({
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: [true, 'Contact is required']
+  },
+  direction: {
+    type: String,
+    enum: {
+      values: ['outbound', 'inbound'],
+      message: '{VALUE} is not a valid direction'
+    },
+    required: [true, 'Direction is required']
+  },
+  from: {
+    type: String,
+    trim: true
+  },
+  to: {
+    type: String,
+    trim: true
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Subject cannot exceed 300 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required'],
+    maxlength: [20000, 'Message cannot exceed 20000 characters']
+  },
+  // RFC 5322 Message-ID, used to thread replies in mail clients and match inbound mail
+  messageId: {
+    type: String,
+    trim: true
+  },
+  inReplyTo: {
+    type: String,
+    trim: true
+  },
+  references: {
+    type: [String],
+    default: []
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed', 'received'],
+    default: 'sending'
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+  sentAt: {
+    type: Date
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+contactMessageSchema.index({ contact: 1, createdAt: 1 });
+contactMessageSchema.index({ messageId: 1 });
+
+// Transform output
+contactMessageSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    (ret.attachments || []).forEach(attachment => {
+      attachment.id = attachment._id;
+      delete attachment._id;
+      delete attachment.storedName;
+    });
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ContactMessage', contactMessageSchema);
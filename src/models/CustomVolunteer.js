@@ -172,7 +172,7 @@ const customVolunteerSchema = new mongoose.Schema({
   createdByRole: {
     type: String,
     required: [true, 'Created by role is required'],
-    enum: ['Admin', 'Sub Admin', 'Volunteer', 'Member']
+    trim: true
   },
   status: {
     type: String,
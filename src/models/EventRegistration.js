@@ -66,7 +66,12 @@ const eventRegistrationSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
-  }
+  },
+  // Labels from the shared Tag collection
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }]
 }, {
   timestamps: true
 });
@@ -86,6 +91,7 @@ eventRegistrationSchema.pre('save', async function(next) {
 eventRegistrationSchema.index({ event: 1, email: 1 });
 eventRegistrationSchema.index({ status: 1 });
 eventRegistrationSchema.index({ createdAt: -1 });
+eventRegistrationSchema.index({ tags: 1 });
 
 // Transform output
 eventRegistrationSchema.set('toJSON', {
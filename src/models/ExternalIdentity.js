@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * ExternalIdentity Schema
+ * Links an account at an OpenID Connect provider (issuer + subject) to an admin
+ */
+const externalIdentitySchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Admin is required']
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+    trim: true
+  },
+  issuer: {
+    type: String,
+    required: [true, 'Issuer is required'],
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One link per provider account, looked up on every login
+externalIdentitySchema.index({ issuer: 1, subject: 1 }, { unique: true });
+externalIdentitySchema.index({ admin: 1 });
+
+// Transform output
+externalIdentitySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ExternalIdentity', externalIdentitySchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * FormTokenUse Schema
+ * How many submissions have been made with one public form token
+ */
+const formTokenUseSchema = new mongoose.Schema({
+  tokenId: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  form: {
+    type: String,
+    required: [true, 'Form is required'],
+    trim: true
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Forget a token once it could no longer be accepted anyway
+formTokenUseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('FormTokenUse', formTokenUseSchema);
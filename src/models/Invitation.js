@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { BUILT_IN_ROLES } = require('../config/permissions');
+
+/**
+ * Invitation Schema
+ * Admin-issued invitations; the only way to create an account once the first Admin exists
+ */
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [255, 'Email cannot exceed 255 characters'],
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    trim: true,
+    default: 'Member',
+    validate: {
+      // Built-in roles or any custom role defined in the Role collection
+      validator: async (value) => BUILT_IN_ROLES.includes(value) || Boolean(await mongoose.model('Role').exists({ name: value })),
+      message: 'Invalid role'
+    }
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Invited by is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ status: 1, createdAt: -1 });
+
+// Virtual for expiry
+invitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+// Transform output
+invitationSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
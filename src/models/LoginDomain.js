@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { BUILT_IN_ROLES } = require('../config/permissions');
+
+/**
+ * LoginDomain Schema
+ * Email domains whose people may get an admin account created on their first
+ * social login, and the role that account starts with
+ */
+const loginDomainSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: [true, 'Domain is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: [253, 'Domain cannot exceed 253 characters'],
+    match: [/^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/, 'Please provide a valid domain']
+  },
+  role: {
+    type: String,
+    trim: true,
+    default: 'Member',
+    validate: {
+      // Built-in roles or any custom role defined in the Role collection
+      validator: async (value) => BUILT_IN_ROLES.includes(value) || Boolean(await mongoose.model('Role').exists({ name: value })),
+      message: 'Invalid role'
+    }
+  },
+  // Provider IDs allowed to provision for this domain; empty allows every configured provider
+  providers: {
+    type: [String],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Created by is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Transform output
+loginDomainSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('LoginDomain', loginDomainSchema);
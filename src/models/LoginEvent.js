@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * LoginEvent Schema
+ * One document per login attempt, successful or not. `admin` is null when the
+ * credential did not match any account.
+ */
+const loginEventSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  credentialType: {
+    type: String,
+    enum: {
+      values: ['email', 'username', 'mobile', 'oidc'],
+      message: '{VALUE} is not a valid credential type'
+    }
+  },
+  step: {
+    type: String,
+    enum: {
+      values: ['password', 'oidc', 'two_factor'],
+      message: '{VALUE} is not a valid login step'
+    },
+    default: 'password'
+  },
+  outcome: {
+    type: String,
+    required: [true, 'Outcome is required'],
+    enum: {
+      values: ['success', 'invalid_credentials', 'invalid_code', 'locked', 'inactive', 'email_unverified', 'not_provisioned'],
+      message: '{VALUE} is not a valid login outcome'
+    }
+  },
+  // OpenID Connect provider ID for social logins
+  provider: {
+    type: String,
+    trim: true
+  },
+  secondFactor: {
+    type: String,
+    enum: ['totp', 'recovery']
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  device: {
+    type: String,
+    trim: true
+  },
+  suspicious: {
+    type: Boolean,
+    default: false
+  },
+  suspiciousReasons: {
+    type: [String],
+    enum: ['new_device', 'unusual_hour'],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for faster queries
+loginEventSchema.index({ admin: 1, createdAt: -1 });
+loginEventSchema.index({ admin: 1, outcome: 1, device: 1 });
+loginEventSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// Transform output
+loginEventSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
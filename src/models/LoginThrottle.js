@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * LoginThrottle Schema
+ * Failed-login counter for one account, unknown credential or client IP
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+    trim: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'credential', 'ip'],
+    required: [true, 'Scope is required']
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Drop counters once their window has passed
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for locked state
+loginThrottleSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+// Transform output
+loginThrottleSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
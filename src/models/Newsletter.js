@@ -15,8 +15,17 @@ const newsletterSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'unsubscribed'],
+    enum: ['active', 'unsubscribed', 'spam'],
     default: 'active'
+  },
+  // Spam check result from submission, and the admin's verdict if reviewed
+  spam: {
+    score: { type: Number, default: 0 },
+    reasons: { type: [String], default: [] },
+    checkedAt: { type: Date },
+    verdict: { type: String, enum: ['spam', 'not_spam'] },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    reviewedAt: { type: Date }
   }
 }, {
   timestamps: true
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * OidcLoginState Schema
+ * Server-side half of an OpenID Connect login in progress. The browser only
+ * carries the state value and, in a cookie, the key binding the login to it;
+ * the PKCE verifier and nonce never leave the server.
+ */
+const oidcLoginStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: [true, 'State hash is required'],
+    unique: true
+  },
+  browserKeyHash: {
+    type: String,
+    required: [true, 'Browser key hash is required']
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+    trim: true
+  },
+  codeVerifier: {
+    type: String,
+    required: [true, 'Code verifier is required']
+  },
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Drop abandoned logins once they expire
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * RateLimitCounter Schema
+ * Shared request counter for one route and client (IP or email), used by the
+ * Mongo rate limit store so several server instances count together
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+    trim: true
+  },
+  route: {
+    type: String,
+    required: [true, 'Route is required'],
+    trim: true
+  },
+  scope: {
+    type: String,
+    enum: ['ip', 'email'],
+    required: [true, 'Scope is required']
+  },
+  identifier: {
+    type: String,
+    required: [true, 'Identifier is required'],
+    trim: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: [true, 'Reset time is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Drop counters once their window has passed
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// Transform output
+rateLimitCounterSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
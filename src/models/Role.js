@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { PERMISSION_KEYS } = require('../config/permissions');
+
+/**
+ * Role Schema
+ * Named set of permissions assigned to admins through Admin.role
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(permission => PERMISSION_KEYS.includes(permission)),
+      message: 'Unknown permission in list'
+    }
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Transform output
+roleSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { TAGGABLE_ENTITY_NAMES } = require('../config/taggables');
+
+/**
+ * SavedView Schema
+ * A named combination of list filters for one kind of record, e.g. "My
+ * overdue crisis contacts". Private to its owner unless shared.
+ */
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  entity: {
+    type: String,
+    required: [true, 'Entity is required'],
+    enum: {
+      values: TAGGABLE_ENTITY_NAMES,
+      message: '{VALUE} is not a record type that supports views'
+    }
+  },
+  // Query parameters for the entity's list endpoint, e.g. { status: 'new', tags: 'vip' }
+  filters: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Owner is required']
+  },
+  // Shared with every admin who can read the entity
+  isShared: {
+    type: Boolean,
+    default: false
+  },
+  // Or with these admins only
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+savedViewSchema.index({ entity: 1, owner: 1 });
+savedViewSchema.index({ entity: 1, isShared: 1 });
+savedViewSchema.index({ sharedWith: 1 });
+
+// Transform output
+savedViewSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * One document per admin login. Holds the hash of the current refresh token and
+ * the hashes of every token it has rotated out, so a replayed token can be
+ * detected and the whole session family revoked.
+ */
+const sessionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Admin is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  device: {
+    type: String,
+    trim: true
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+sessionSchema.index({ admin: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+
+// Let MongoDB drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active state
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Revoke this session
+sessionSchema.methods.revoke = async function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+// Revoke every active session belonging to an admin
+sessionSchema.statics.revokeAllForAdmin = async function(adminId, reason, exceptSessionId) {
+  const query = { admin: adminId, revokedAt: null };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return await this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+};
+
+// Transform output
+sessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.refreshTokenHash;
+    delete ret.previousTokenHashes;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
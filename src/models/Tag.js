@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tag Schema
+ * A label shared by contacts, volunteers, community members and event
+ * registrations. Records hold tag IDs, so renaming a tag renames it everywhere.
+ */
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  // Lower-case name, unique so "VIP" and "vip" are the same tag; usable in ?tags= filters
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: '#8B5CF6',
+    match: [/^#[0-9a-fA-F]{6}$/, 'Colour must be a hex value such as #8B5CF6']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Created by is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Keep the slug in step with the name
+tagSchema.pre('validate', function(next) {
+  if (this.isModified('name') && this.name) {
+    this.slug = this.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    if (!this.slug) {
+      this.invalidate('name', 'Name must contain a letter or number');
+    }
+  }
+  next();
+});
+
+// Transform output
+tagSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Tag', tagSchema);
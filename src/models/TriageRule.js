@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const { PRIORITIES } = require('../config/priorities');
+
+// Admin-written patterns run against every submission, so keep them short
+const MAX_PATTERN_LENGTH = 200;
+
+// A quantified group that itself contains a quantifier, e.g. (a+)+ or (\w*x){2,},
+// the usual shape of patterns that backtrack without end
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*(?:[+*]|\{\d+(?:,\d*)?\})(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+(?:,\d*)?\})/;
+
+/**
+ * TriageRule Schema
+ * Keywords and regular expressions matched against new contact messages, and
+ * what to do with a match: file it under a category, set its priority, assign
+ * it and notify people straight away.
+ */
+const triageRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Rules run in ascending order
+  order: {
+    type: Number,
+    default: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  conditions: {
+    // Case-insensitive words or phrases
+    keywords: {
+      type: [String],
+      default: []
+    },
+    // Case-insensitive regular expressions, without delimiters
+    patterns: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (patterns) => patterns.every(pattern => {
+          if (pattern.length > MAX_PATTERN_LENGTH || NESTED_QUANTIFIER.test(pattern)) {
+            return false;
+          }
+          try {
+            new RegExp(pattern, 'i');
+            return true;
+          } catch (error) {
+            return false;
+          }
+        }),
+        message: `Patterns must be valid regular expressions of at most ${MAX_PATTERN_LENGTH} characters, without nested quantifiers such as (a+)+`
+      }
+    },
+    fields: {
+      type: [{ type: String, enum: ['subject', 'message'] }],
+      default: ['subject', 'message']
+    },
+    // any: one keyword or pattern is enough; all: every one must match
+    match: {
+      type: String,
+      enum: ['any', 'all'],
+      default: 'any'
+    }
+  },
+  actions: {
+    category: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, 'Category cannot exceed 50 characters']
+    },
+    priority: {
+      type: String,
+      enum: {
+        values: PRIORITIES,
+        message: '{VALUE} is not a valid priority'
+      }
+    },
+    assignTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    },
+    // Email the triage_notify_emails setting (and the assignee) as soon as it matches
+    notify: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Later rules are skipped once this one matches
+  stopProcessing: {
+    type: Boolean,
+    default: false
+  },
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Created by is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// A rule has to match on something and do something
+triageRuleSchema.pre('validate', function(next) {
+  if (!this.conditions.keywords.length && !this.conditions.patterns.length) {
+    this.invalidate('conditions', 'Add at least one keyword or pattern');
+  }
+
+  const { category, priority, assignTo, notify } = this.actions;
+  if (!category && !priority && !assignTo && !notify) {
+    this.invalidate('actions', 'Choose at least one action');
+  }
+
+  next();
+});
+
+// Index for faster queries
+triageRuleSchema.index({ isActive: 1, order: 1 });
+
+// Transform output
+triageRuleSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('TriageRule', triageRuleSchema);
@@ -54,14 +54,28 @@ const volunteerSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'contacted', 'approved', 'rejected', 'archived'],
+    enum: ['pending', 'contacted', 'approved', 'rejected', 'archived', 'spam'],
     default: 'pending'
   },
+  // Spam check result from submission, and the admin's verdict if reviewed
+  spam: {
+    score: { type: Number, default: 0 },
+    reasons: { type: [String], default: [] },
+    checkedAt: { type: Date },
+    verdict: { type: String, enum: ['spam', 'not_spam'] },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    reviewedAt: { type: Date }
+  },
   notes: {
     type: String,
     trim: true,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
-  }
+  },
+  // Labels from the shared Tag collection
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }]
 }, {
   timestamps: true
 });
@@ -69,6 +83,7 @@ const volunteerSchema = new mongoose.Schema({
 // Index for faster queries
 volunteerSchema.index({ status: 1, createdAt: -1 });
 volunteerSchema.index({ email: 1 });
+volunteerSchema.index({ tags: 1 });
 
 // Virtual for full name
 volunteerSchema.virtual('fullName').get(function() {
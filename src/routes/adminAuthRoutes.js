@@ -3,19 +3,73 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const {
   register,
+  bootstrap,
   login,
+  loginTwoFactor,
+  getSocialProviders,
+  startSocialLogin,
+  completeSocialLogin,
+  refresh,
+  forgotPassword,
+  resetPassword,
+  getPasswordPolicy,
+  verifyEmail,
+  resendVerificationEmail,
   getProfile,
   logout,
   updateProfile,
+  cancelEmailChange,
   changePassword,
   getAllAdmins,
   getAdminById,
   updateAdmin,
   toggleAdminStatus,
-  deleteAdmin
+  unlockAdmin,
+  deleteAdmin,
+  impersonateAdmin
 } = require('../controllers/adminAuthController');
-const { protect, authorize } = require('../middleware/auth');
+const {
+  getCurrentSession,
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+  getAdminSessions,
+  revokeAdminSession,
+  revokeAllAdminSessions
+} = require('../controllers/sessionController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../controllers/twoFactorController');
+const {
+  createInvitation,
+  getInvitations,
+  getInvitationByToken,
+  resendInvitation,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const {
+  createApiKey,
+  getApiKeys,
+  getApiKeyById,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { getMyLoginHistory, getAdminLoginHistory } = require('../controllers/loginHistoryController');
+const {
+  getLoginDomains,
+  createLoginDomain,
+  updateLoginDomain,
+  deleteLoginDomain,
+  getMyIdentities,
+  unlinkMyIdentity
+} = require('../controllers/loginDomainController');
+const { protect, requirePermission, allowPublic } = require('../middleware/auth');
 const upload = require('../middleware/upload');
+const { isKnownRole } = require('../utils/permissions');
+const { PERMISSION_KEYS } = require('../config/permissions');
 
 // Validation middleware
 const validate = (req, res, next) => {
@@ -30,41 +84,63 @@ const validate = (req, res, next) => {
   next();
 };
 
+// Registration fields shared by invitation sign-up and first-run bootstrap
+const accountValidators = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be 3-30 characters'),
+  body('mobile')
+    .matches(/^\+?[\d\s-]{10,}$/)
+    .withMessage('Please provide a valid mobile number'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters'),
+  body('confirmPassword')
+    .custom((value, { req }) => value === req.body.password)
+    .withMessage('Passwords do not match')
+];
+
 // @route   POST /api/auth/register
-// @desc    Register new admin
-// @access  Public (add secret key in production for security)
+// @desc    Register new admin from an invitation (email and role come from the invitation)
+// @access  Public (requires invitation token)
 router.post(
   '/register',
+  allowPublic,
   [
-    body('name').trim().notEmpty().withMessage('Name is required'),
-    body('email').isEmail().withMessage('Please provide a valid email'),
-    body('username')
-      .trim()
-      .isLength({ min: 3, max: 30 })
-      .withMessage('Username must be 3-30 characters'),
-    body('mobile')
-      .matches(/^\+?[\d\s-]{10,}$/)
-      .withMessage('Please provide a valid mobile number'),
-    body('password')
-      .isLength({ min: 8 })
-      .withMessage('Password must be at least 8 characters'),
-    body('confirmPassword')
-      .custom((value, { req }) => value === req.body.password)
-      .withMessage('Passwords do not match'),
-    body('role')
-      .optional()
-      .isIn(['Admin', 'Sub Admin', 'Volunteer', 'Member'])
-      .withMessage('Invalid role')
+    body('inviteToken').isString().notEmpty().withMessage('Invitation token is required'),
+    ...accountValidators
   ],
   validate,
   register
 );
 
+// @route   POST /api/auth/bootstrap
+// @desc    Create the first Admin account on an empty database
+// @access  Public (only while no admin exists)
+router.post(
+  '/bootstrap',
+  allowPublic,
+  [
+    body('email').isEmail().withMessage('Please provide a valid email'),
+    ...accountValidators
+  ],
+  validate,
+  bootstrap
+);
+
+// @route   GET /api/auth/invitations/token/:token
+// @desc    Check an invitation token
+// @access  Public
+router.get('/invitations/token/:token', allowPublic, getInvitationByToken);
+
 // @route   POST /api/auth/login
 // @desc    Login admin
 // @access  Public
 router.post(
   '/login',
+  allowPublic,
   [
     body('credential').trim().notEmpty().withMessage('Email/Username/Mobile is required'),
     body('password').notEmpty().withMessage('Password is required')
@@ -73,6 +149,113 @@ router.post(
   login
 );
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public (requires challenge token)
+router.post(
+  '/login/2fa',
+  allowPublic,
+  [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+    body().custom(value => Boolean(value.code || value.recoveryCode))
+      .withMessage('Verification code or recovery code is required')
+  ],
+  validate,
+  loginTwoFactor
+);
+
+// @route   GET /api/auth/oidc/providers
+// @desc    Social login providers to show on the login page
+// @access  Public
+router.get('/oidc/providers', allowPublic, getSocialProviders);
+
+// @route   POST /api/auth/oidc/:provider/authorize
+// @desc    Start a social login
+// @access  Public
+router.post('/oidc/:provider/authorize', allowPublic, startSocialLogin);
+
+// @route   POST /api/auth/oidc/:provider/callback
+// @desc    Finish a social login with the provider's code and state
+// @access  Public (requires authorization code, state and the login cookie)
+router.post(
+  '/oidc/:provider/callback',
+  allowPublic,
+  [
+    body('code').isString().notEmpty().withMessage('Authorization code is required'),
+    body('state').isString().notEmpty().withMessage('State is required')
+  ],
+  validate,
+  completeSocialLogin
+);
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue a new access token
+// @access  Public (requires refresh token)
+router.post(
+  '/refresh',
+  allowPublic,
+  [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+  ],
+  validate,
+  refresh
+);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  allowPublic,
+  [
+    body('email').isEmail().withMessage('Please provide a valid email')
+  ],
+  validate,
+  forgotPassword
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with a token from the reset email
+// @access  Public (requires reset token)
+router.post(
+  '/reset-password',
+  allowPublic,
+  [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters'),
+    body('confirmPassword')
+      .custom((value, { req }) => value === req.body.password)
+      .withMessage('Passwords do not match')
+  ],
+  validate,
+  resetPassword
+);
+
+// @route   GET /api/auth/password-policy
+// @desc    Get password strength rules
+// @access  Public
+router.get('/password-policy', allowPublic, getPasswordPolicy);
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Confirm an email address
+// @access  Public (requires verification token)
+router.get('/verify-email/:token', allowPublic, verifyEmail);
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new email verification link
+// @access  Public
+router.post(
+  '/verify-email/resend',
+  allowPublic,
+  [
+    body('email').isEmail().withMessage('Please provide a valid email')
+  ],
+  validate,
+  resendVerificationEmail
+);
+
 // @route   GET /api/auth/profile
 // @desc    Get current admin profile
 // @access  Private
@@ -86,10 +269,16 @@ router.put(
   protect,
   [
     body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('email').optional().isEmail().withMessage('Please provide a valid email'),
     body('mobile')
       .optional()
       .matches(/^\+?[\d\s-]{10,}$/)
       .withMessage('Please provide a valid mobile number'),
+    body('signature')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Signature cannot exceed 1000 characters'),
     body('gender')
       .optional()
       .isIn(['male', 'female', 'other', 'prefer_not_to_say'])
@@ -99,6 +288,11 @@ router.put(
   updateProfile
 );
 
+// @route   DELETE /api/auth/email/pending
+// @desc    Cancel a staged email change
+// @access  Private
+router.delete('/email/pending', protect, cancelEmailChange);
+
 // @route   PUT /api/auth/password
 // @desc    Change password
 // @access  Private
@@ -119,33 +313,292 @@ router.put(
 );
 
 // @route   POST /api/auth/logout
-// @desc    Logout admin (for logging purposes)
+// @desc    Logout admin and revoke the current session
 // @access  Private
 router.post('/logout', protect, logout);
 
+// @route   GET /api/auth/session
+// @desc    Get the current session and its idle timeout
+// @access  Private
+router.get('/session', protect, getCurrentSession);
+
+// @route   GET /api/auth/login-history
+// @desc    Login history of the current admin
+// @access  Private
+router.get('/login-history', protect, getMyLoginHistory);
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions of the current admin
+// @access  Private
+router.get('/sessions', protect, getMySessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', protect, revokeOtherSessions);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current admin's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', protect, revokeMySession);
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor status
+// @access  Private
+router.get('/2fa', protect, getTwoFactorStatus);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Generate a TOTP secret and otpauth URI
+// @access  Private
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Verify the first TOTP code and enable two-factor
+// @access  Private
+router.post(
+  '/2fa/verify',
+  protect,
+  [
+    body('code').trim().notEmpty().withMessage('Verification code is required')
+  ],
+  validate,
+  enableTwoFactor
+);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes
+// @access  Private
+router.post(
+  '/2fa/recovery-codes',
+  protect,
+  [
+    body('code').trim().notEmpty().withMessage('Verification code is required')
+  ],
+  validate,
+  regenerateRecoveryCodes
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post(
+  '/2fa/disable',
+  protect,
+  [
+    body('password').notEmpty().withMessage('Password is required')
+  ],
+  validate,
+  disableTwoFactor
+);
+
+// @route   GET /api/auth/invitations
+// @desc    List invitations
+// @access  Private (invitations.manage)
+router.get('/invitations', protect, requirePermission('invitations.manage'), getInvitations);
+
+// @route   POST /api/auth/invitations
+// @desc    Invite someone to create an account
+// @access  Private (invitations.manage)
+router.post(
+  '/invitations',
+  protect,
+  requirePermission('invitations.manage'),
+  [
+    body('email').isEmail().withMessage('Please provide a valid email'),
+    body('role')
+      .optional()
+      .custom(async (value) => {
+        if (!(await isKnownRole(value))) {
+          throw new Error('Invalid role');
+        }
+        return true;
+      })
+  ],
+  validate,
+  createInvitation
+);
+
+// @route   POST /api/auth/invitations/:id/resend
+// @desc    Resend an invitation with a new token
+// @access  Private (invitations.manage)
+router.post('/invitations/:id/resend', protect, requirePermission('invitations.manage'), resendInvitation);
+
+// @route   DELETE /api/auth/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (invitations.manage)
+router.delete('/invitations/:id', protect, requirePermission('invitations.manage'), revokeInvitation);
+
+// @route   GET /api/auth/identities
+// @desc    Social logins linked to the current admin
+// @access  Private
+router.get('/identities', protect, getMyIdentities);
+
+// @route   DELETE /api/auth/identities/:id
+// @desc    Unlink a social login
+// @access  Private
+router.delete('/identities/:id', protect, unlinkMyIdentity);
+
+// @route   GET /api/auth/login-domains
+// @desc    Domains allowed to create accounts through social login
+// @access  Private (loginDomains.manage)
+router.get('/login-domains', protect, requirePermission('loginDomains.manage'), getLoginDomains);
+
+// @route   POST /api/auth/login-domains
+// @desc    Allow a domain to create accounts through social login
+// @access  Private (loginDomains.manage)
+router.post(
+  '/login-domains',
+  protect,
+  requirePermission('loginDomains.manage'),
+  [
+    body('domain').trim().notEmpty().withMessage('Domain is required'),
+    body('role')
+      .optional()
+      .custom(async (value) => {
+        if (!(await isKnownRole(value))) {
+          throw new Error('Invalid role');
+        }
+        return true;
+      }),
+    body('providers').optional().isArray().withMessage('Providers must be a list'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ],
+  validate,
+  createLoginDomain
+);
+
+// @route   PUT /api/auth/login-domains/:id
+// @desc    Update a login domain
+// @access  Private (loginDomains.manage)
+router.put(
+  '/login-domains/:id',
+  protect,
+  requirePermission('loginDomains.manage'),
+  [
+    body('role')
+      .optional()
+      .custom(async (value) => {
+        if (!(await isKnownRole(value))) {
+          throw new Error('Invalid role');
+        }
+        return true;
+      }),
+    body('providers').optional().isArray().withMessage('Providers must be a list'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ],
+  validate,
+  updateLoginDomain
+);
+
+// @route   DELETE /api/auth/login-domains/:id
+// @desc    Remove a login domain
+// @access  Private (loginDomains.manage)
+router.delete('/login-domains/:id', protect, requirePermission('loginDomains.manage'), deleteLoginDomain);
+
+// @route   GET /api/auth/api-keys
+// @desc    List API keys
+// @access  Private (apiKeys.manage)
+router.get('/api-keys', protect, requirePermission('apiKeys.manage'), getApiKeys);
+
+// @route   POST /api/auth/api-keys
+// @desc    Create an API key
+// @access  Private (apiKeys.manage)
+router.post(
+  '/api-keys',
+  protect,
+  requirePermission('apiKeys.manage'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('permissions').isArray({ min: 1 }).withMessage('At least one permission is required'),
+    body('permissions.*').isIn(PERMISSION_KEYS).withMessage('Unknown permission'),
+    body('expiresAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Expiry must be a date')
+      .custom(value => new Date(value) > new Date())
+      .withMessage('Expiry must be in the future')
+  ],
+  validate,
+  createApiKey
+);
+
+// @route   GET /api/auth/api-keys/:id
+// @desc    Get a single API key
+// @access  Private (apiKeys.manage)
+router.get('/api-keys/:id', protect, requirePermission('apiKeys.manage'), getApiKeyById);
+
+// @route   DELETE /api/auth/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private (apiKeys.manage)
+router.delete('/api-keys/:id', protect, requirePermission('apiKeys.manage'), revokeApiKey);
+
 // @route   GET /api/auth/admins
 // @desc    Get all admins
-// @access  Private (Admin only)
-router.get('/admins', protect, authorize('Admin'), getAllAdmins);
+// @access  Private (admins.read)
+router.get('/admins', protect, requirePermission('admins.read'), getAllAdmins);
 
 // @route   GET /api/auth/admins/:id
 // @desc    Get admin by ID
-// @access  Private (Admin only)
-router.get('/admins/:id', protect, authorize('Admin'), getAdminById);
+// @access  Private (admins.read)
+router.get('/admins/:id', protect, requirePermission('admins.read'), getAdminById);
 
 // @route   PUT /api/auth/admins/:id
 // @desc    Update admin
-// @access  Private (Admin only)
-router.put('/admins/:id', protect, authorize('Admin'), upload.single('profilePic'), updateAdmin);
+// @access  Private (admins.manage)
+router.put('/admins/:id', protect, requirePermission('admins.manage'), upload.single('profilePic'), updateAdmin);
 
 // @route   PUT /api/auth/admins/:id/toggle-status
 // @desc    Toggle admin status
-// @access  Private (Admin only)
-router.put('/admins/:id/toggle-status', protect, authorize('Admin'), toggleAdminStatus);
+// @access  Private (admins.manage)
+router.put('/admins/:id/toggle-status', protect, requirePermission('admins.manage'), toggleAdminStatus);
+
+// @route   PUT /api/auth/admins/:id/unlock
+// @desc    Clear a failed-login lockout
+// @access  Private (admins.manage)
+router.put('/admins/:id/unlock', protect, requirePermission('admins.manage'), unlockAdmin);
 
 // @route   DELETE /api/auth/admins/:id
 // @desc    Delete admin
-// @access  Private (Admin only)
-router.delete('/admins/:id', protect, authorize('Admin'), deleteAdmin);
+// @access  Private (admins.manage)
+router.delete('/admins/:id', protect, requirePermission('admins.manage'), deleteAdmin);
+
+// @route   POST /api/auth/admins/:id/impersonate
+// @desc    Get a short-lived token for acting as another admin
+// @access  Private (admins.impersonate)
+router.post(
+  '/admins/:id/impersonate',
+  protect,
+  requirePermission('admins.impersonate'),
+  [
+    body('readOnly').optional().isBoolean().withMessage('readOnly must be true or false').toBoolean(),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
+  ],
+  validate,
+  impersonateAdmin
+);
+
+// @route   GET /api/auth/admins/:id/login-history
+// @desc    Login history of an admin
+// @access  Private (sessions.manage)
+router.get('/admins/:id/login-history', protect, requirePermission('sessions.manage'), getAdminLoginHistory);
+
+// @route   GET /api/auth/admins/:id/sessions
+// @desc    List active sessions of an admin
+// @access  Private (sessions.manage)
+router.get('/admins/:id/sessions', protect, requirePermission('sessions.manage'), getAdminSessions);
+
+// @route   DELETE /api/auth/admins/:id/sessions
+// @desc    Revoke all sessions of an admin
+// @access  Private (sessions.manage)
+router.delete('/admins/:id/sessions', protect, requirePermission('sessions.manage'), revokeAllAdminSessions);
+
+// @route   DELETE /api/auth/admins/:id/sessions/:sessionId
+// @desc    Revoke one session of an admin
+// @access  Private (sessions.manage)
+router.delete('/admins/:id/sessions/:sessionId', protect, requirePermission('sessions.manage'), revokeAdminSession);
 
 module.exports = router;
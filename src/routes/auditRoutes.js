@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAuditLogs,
+  exportAuditLogs,
+  getAuditLogById
+} = require('../controllers/auditController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/audit
+// @desc    List audit entries
+// @access  Private (audit.read)
+router.get('/', protect, requirePermission('audit.read'), getAuditLogs);
+
+// @route   GET /api/audit/export
+// @desc    Export audit entries as CSV
+// @access  Private (audit.read)
+router.get('/export', protect, requirePermission('audit.read'), exportAuditLogs);
+
+// @route   GET /api/audit/:id
+// @desc    Get a single audit entry
+// @access  Private (audit.read)
+router.get('/:id', protect, requirePermission('audit.read'), getAuditLogById);
+
+module.exports = router;
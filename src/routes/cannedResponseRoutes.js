@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCannedResponses,
+  getPlaceholders,
+  getCannedResponseById,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  renderCannedResponse
+} = require('../controllers/cannedResponseController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/canned-responses
+// @desc    List canned responses (category, search, sort=popular, includeInactive=true)
+// @access  Private (contacts.reply)
+router.get('/', protect, requirePermission('contacts.reply'), getCannedResponses);
+
+// @route   GET /api/canned-responses/placeholders
+// @desc    Placeholders canned responses may use
+// @access  Private (contacts.reply)
+router.get('/placeholders', protect, requirePermission('contacts.reply'), getPlaceholders);
+
+// @route   GET /api/canned-responses/:id
+// @desc    Get a single canned response
+// @access  Private (contacts.reply)
+router.get('/:id', protect, requirePermission('contacts.reply'), getCannedResponseById);
+
+// @route   POST /api/canned-responses
+// @desc    Create a canned response
+// @access  Private (cannedResponses.manage)
+router.post('/', protect, requirePermission('cannedResponses.manage'), createCannedResponse);
+
+// @route   PUT /api/canned-responses/:id
+// @desc    Update a canned response
+// @access  Private (cannedResponses.manage)
+router.put('/:id', protect, requirePermission('cannedResponses.manage'), updateCannedResponse);
+
+// @route   DELETE /api/canned-responses/:id
+// @desc    Delete a canned response
+// @access  Private (cannedResponses.manage)
+router.delete('/:id', protect, requirePermission('cannedResponses.manage'), deleteCannedResponse);
+
+// @route   POST /api/canned-responses/:id/render
+// @desc    Preview a canned response filled from a contact ({ contactId })
+// @access  Private (contacts.reply)
+router.post('/:id/render', protect, requirePermission('contacts.reply'), renderCannedResponse);
+
+module.exports = router;
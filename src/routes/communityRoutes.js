@@ -1,47 +1,64 @@
 const express = require('express');
 const router = express.Router();
 const communityController = require('../controllers/communityController');
+const { bulkAction } = require('../controllers/bulkController');
+const auth = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 /**
  * @route   POST /api/community
  * @desc    Create a new community member registration (Public)
  * @access  Public
  */
-router.post('/', communityController.createCommunityMember);
+router.post('/', auth.allowPublic, rateLimit('community'), communityController.createCommunityMember);
 
 /**
  * @route   GET /api/community
  * @desc    Get all community members with pagination and filtering
- * @access  Private (Admin)
+ * @access  Private (community.read)
  */
-router.get('/', communityController.getCommunityMembers);
+router.get('/', auth.protect, auth.requirePermission('community.read'), communityController.getCommunityMembers);
 
 /**
  * @route   GET /api/community/stats
  * @desc    Get community member statistics
- * @access  Private (Admin)
+ * @access  Private (community.read)
  */
-router.get('/stats', communityController.getCommunityStats);
+router.get('/stats', auth.protect, auth.requirePermission('community.read'), communityController.getCommunityStats);
+
+/**
+ * @route   POST /api/community/bulk
+ * @desc    Change status, add a note, tag, archive or delete many community members (supports dryRun)
+ * @access  Private (community.write; delete also needs community.delete)
+ */
+router.post('/bulk', auth.protect, auth.requirePermission('community.write'), bulkAction('communityMember'));
 
 /**
  * @route   GET /api/community/:id
  * @desc    Get a single community member by ID
- * @access  Private (Admin)
+ * @access  Private (community.read)
+ */
+router.get('/:id', auth.protect, auth.requirePermission('community.read'), communityController.getCommunityMemberById);
+
+/**
+ * @route   PUT /api/community/:id/spam
+ * @desc    Mark a community registration as spam, or as not spam ({ isSpam: false })
+ * @access  Private (community.write)
  */
-router.get('/:id', communityController.getCommunityMemberById);
+router.put('/:id/spam', auth.protect, auth.requirePermission('community.write'), communityController.markCommunityMemberSpam);
 
 /**
  * @route   PUT /api/community/:id
  * @desc    Update a community member (status, notes)
- * @access  Private (Admin)
+ * @access  Private (community.write)
  */
-router.put('/:id', communityController.updateCommunityMember);
+router.put('/:id', auth.protect, auth.requirePermission('community.write'), communityController.updateCommunityMember);
 
 /**
  * @route   DELETE /api/community/:id
  * @desc    Delete a community member
- * @access  Private (Admin)
+ * @access  Private (community.delete)
  */
-router.delete('/:id', communityController.deleteCommunityMember);
+router.delete('/:id', auth.protect, auth.requirePermission('community.delete'), communityController.deleteCommunityMember);
 
 module.exports = router;
@@ -1,47 +1,93 @@
 const express = require('express');
 const router = express.Router();
 const contactController = require('../controllers/contactController');
+const { bulkAction } = require('../controllers/bulkController');
+const auth = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 /**
  * @route   POST /api/contacts
  * @desc    Create a new contact message (Public)
  * @access  Public
  */
-router.post('/', contactController.createContact);
+router.post('/', auth.allowPublic, rateLimit('contact'), contactController.createContact);
 
 /**
  * @route   GET /api/contacts
  * @desc    Get all contact messages with pagination and filtering
- * @access  Private (Admin)
+ *          (status, category, priority, assignee=mine|unassigned|<adminId>, overdue=true)
+ * @access  Private (contacts.read)
  */
-router.get('/', contactController.getContacts);
+router.get('/', auth.protect, auth.requirePermission('contacts.read'), contactController.getContacts);
 
 /**
  * @route   GET /api/contacts/stats
  * @desc    Get contact message statistics
- * @access  Private (Admin)
+ * @access  Private (contacts.read)
  */
-router.get('/stats', contactController.getContactStats);
+router.get('/stats', auth.protect, auth.requirePermission('contacts.read'), contactController.getContactStats);
+
+/**
+ * @route   POST /api/contacts/bulk
+ * @desc    Change status, add a note, tag, archive or delete many contact messages (supports dryRun)
+ * @access  Private (contacts.write; delete also needs contacts.delete)
+ */
+router.post('/bulk', auth.protect, auth.requirePermission('contacts.write'), bulkAction('contact'));
 
 /**
  * @route   GET /api/contacts/:id
  * @desc    Get a single contact message by ID
- * @access  Private (Admin)
+ * @access  Private (contacts.read)
+ */
+router.get('/:id', auth.protect, auth.requirePermission('contacts.read'), contactController.getContactById);
+
+/**
+ * @route   GET /api/contacts/:id/messages
+ * @desc    Get the reply thread of a contact message
+ * @access  Private (contacts.read)
+ */
+router.get('/:id/messages', auth.protect, auth.requirePermission('contacts.read'), contactController.getContactMessages);
+
+/**
+ * @route   GET /api/contacts/:id/messages/:messageId/attachments/:attachmentId
+ * @desc    Download an attachment of an inbound message
+ * @access  Private (contacts.read)
+ */
+router.get('/:id/messages/:messageId/attachments/:attachmentId', auth.protect, auth.requirePermission('contacts.read'), contactController.downloadMessageAttachment);
+
+/**
+ * @route   POST /api/contacts/:id/replies
+ * @desc    Email a reply to a contact message
+ * @access  Private (contacts.reply)
+ */
+router.post('/:id/replies', auth.protect, auth.requirePermission('contacts.reply'), contactController.replyToContact);
+
+/**
+ * @route   PUT /api/contacts/:id/assign
+ * @desc    Assign a contact message to an admin, or unassign it
+ * @access  Private (contacts.assign)
+ */
+router.put('/:id/assign', auth.protect, auth.requirePermission('contacts.assign'), contactController.assignContact);
+
+/**
+ * @route   PUT /api/contacts/:id/spam
+ * @desc    Mark a contact message as spam, or as not spam ({ isSpam: false })
+ * @access  Private (contacts.write)
  */
-router.get('/:id', contactController.getContactById);
+router.put('/:id/spam', auth.protect, auth.requirePermission('contacts.write'), contactController.markContactSpam);
 
 /**
  * @route   PUT /api/contacts/:id
  * @desc    Update a contact message (status, notes)
- * @access  Private (Admin)
+ * @access  Private (contacts.write)
  */
-router.put('/:id', contactController.updateContact);
+router.put('/:id', auth.protect, auth.requirePermission('contacts.write'), contactController.updateContact);
 
 /**
  * @route   DELETE /api/contacts/:id
  * @desc    Delete a contact message
- * @access  Private (Admin)
+ * @access  Private (contacts.delete)
  */
-router.delete('/:id', contactController.deleteContact);
+router.delete('/:id', auth.protect, auth.requirePermission('contacts.delete'), contactController.deleteContact);
 
 module.exports = router;
@@ -1,48 +1,56 @@
 const express = require('express');
 const router = express.Router();
 const customVolunteerController = require('../controllers/customVolunteerController');
+const { bulkAction } = require('../controllers/bulkController');
 const auth = require('../middleware/auth');
 
 /**
  * @route   POST /api/custom-volunteers
  * @desc    Create a new custom volunteer
- * @access  Private (Admin, Sub Admin, Volunteer, Member)
+ * @access  Private (customVolunteers.write)
  */
-router.post('/', auth.protect, customVolunteerController.createCustomVolunteer);
+router.post('/', auth.protect, auth.requirePermission('customVolunteers.write'), customVolunteerController.createCustomVolunteer);
 
 /**
  * @route   GET /api/custom-volunteers
  * @desc    Get all custom volunteers with role-based filtering
- * @access  Private (Admin, Sub Admin, Volunteer, Member)
+ * @access  Private (customVolunteers.read)
  */
-router.get('/', auth.protect, customVolunteerController.getCustomVolunteers);
+router.get('/', auth.protect, auth.requirePermission('customVolunteers.read'), customVolunteerController.getCustomVolunteers);
 
 /**
  * @route   GET /api/custom-volunteers/stats
  * @desc    Get custom volunteer statistics
- * @access  Private (Admin, Sub Admin, Volunteer, Member)
+ * @access  Private (customVolunteers.read)
  */
-router.get('/stats', auth.protect, customVolunteerController.getCustomVolunteerStats);
+router.get('/stats', auth.protect, auth.requirePermission('customVolunteers.read'), customVolunteerController.getCustomVolunteerStats);
+
+/**
+ * @route   POST /api/custom-volunteers/bulk
+ * @desc    Change status, add a note, archive or delete many custom volunteers (supports dryRun)
+ * @access  Private (customVolunteers.write; delete also needs customVolunteers.delete)
+ */
+router.post('/bulk', auth.protect, auth.requirePermission('customVolunteers.write'), bulkAction('customVolunteer'));
 
 /**
  * @route   GET /api/custom-volunteers/:id
  * @desc    Get a single custom volunteer by ID
- * @access  Private (Admin, Sub Admin, Volunteer, Member)
+ * @access  Private (customVolunteers.read)
  */
-router.get('/:id', auth.protect, customVolunteerController.getCustomVolunteerById);
+router.get('/:id', auth.protect, auth.requirePermission('customVolunteers.read'), customVolunteerController.getCustomVolunteerById);
 
 /**
  * @route   PUT /api/custom-volunteers/:id
  * @desc    Update a custom volunteer
- * @access  Private (Admin, Sub Admin, Volunteer, Member)
+ * @access  Private (customVolunteers.write)
  */
-router.put('/:id', auth.protect, customVolunteerController.updateCustomVolunteer);
+router.put('/:id', auth.protect, auth.requirePermission('customVolunteers.write'), customVolunteerController.updateCustomVolunteer);
 
 /**
  * @route   DELETE /api/custom-volunteers/:id
  * @desc    Delete a custom volunteer
- * @access  Private (Admin, Sub Admin, Volunteer, Member)
+ * @access  Private (customVolunteers.delete)
  */
-router.delete('/:id', auth.protect, customVolunteerController.deleteCustomVolunteer);
+router.delete('/:id', auth.protect, auth.requirePermission('customVolunteers.delete'), customVolunteerController.deleteCustomVolunteer);
 
 module.exports = router;
@@ -1,47 +1,52 @@
 const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/eventController');
-const { protect } = require('../middleware/auth');
+const { bulkAction } = require('../controllers/bulkController');
+const { protect, requirePermission, allowPublic } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 /**
  * Admin Routes (protected) - These must be BEFORE the public :idOrSlug route
  */
 
 // Get event statistics
-router.get('/stats', protect, eventController.getEventStats);
+router.get('/stats', protect, requirePermission('events.read'), eventController.getEventStats);
 
 // Get all registrations (admin)
-router.get('/registrations', protect, eventController.getAllRegistrations);
+router.get('/registrations', protect, requirePermission('events.read'), eventController.getAllRegistrations);
+
+// Change status, add a note, tag or delete many registrations (admin; delete also needs events.delete)
+router.post('/registrations/bulk', protect, requirePermission('events.write'), bulkAction('eventRegistration'));
 
 // Get all events (admin - includes drafts)
-router.get('/admin/all', protect, eventController.getAdminEvents);
+router.get('/admin/all', protect, requirePermission('events.read'), eventController.getAdminEvents);
 
 /**
  * Public Routes
  */
 
 // Get all published events
-router.get('/', eventController.getEvents);
+router.get('/', allowPublic, eventController.getEvents);
 
 // Get event by ID or slug
-router.get('/:idOrSlug', eventController.getEventById);
+router.get('/:idOrSlug', allowPublic, eventController.getEventById);
 
 // Register for an event
-router.post('/:id/register', eventController.registerForEvent);
+router.post('/:id/register', allowPublic, rateLimit('event_registration'), eventController.registerForEvent);
 
 // Get registrations for a specific event (admin) - must be before /:id
-router.get('/:id/registrations', protect, eventController.getEventRegistrations);
+router.get('/:id/registrations', protect, requirePermission('events.read'), eventController.getEventRegistrations);
 
 // Create a new event
-router.post('/', protect, eventController.createEvent);
+router.post('/', protect, requirePermission('events.write'), eventController.createEvent);
 
 // Update an event
-router.put('/:id', protect, eventController.updateEvent);
+router.put('/:id', protect, requirePermission('events.write'), eventController.updateEvent);
 
 // Delete an event
-router.delete('/:id', protect, eventController.deleteEvent);
+router.delete('/:id', protect, requirePermission('events.delete'), eventController.deleteEvent);
 
 // Cancel a registration
-router.post('/registrations/:id/cancel', eventController.cancelRegistration);
+router.post('/registrations/:id/cancel', allowPublic, eventController.cancelRegistration);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getFormToken } = require('../controllers/formController');
+const { allowPublic } = require('../middleware/auth');
+
+// @route   GET /api/forms/:form/token
+// @desc    Token for a public form (contact, community, volunteer or newsletter)
+// @access  Public
+router.get('/:form/token', allowPublic, getFormToken);
+
+module.exports = router;
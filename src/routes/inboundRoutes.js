@@ -0,0 +1,22 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { receiveEmail } = require('../controllers/inboundController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const MAX_MESSAGE_SIZE = 25 * 1024 * 1024;
+
+// Raw messages as posted by a relay or poller: the bare message, or multipart
+// form fields (files in the form are ignored; attachments come from the MIME).
+// JSON { raw } also works but is held to the app-wide JSON size limit.
+const parseMessage = [
+  express.raw({ type: ['message/rfc822', 'text/plain', 'application/octet-stream'], limit: MAX_MESSAGE_SIZE }),
+  multer({ storage: multer.memoryStorage(), limits: { fieldSize: MAX_MESSAGE_SIZE, fileSize: MAX_MESSAGE_SIZE } }).any()
+];
+
+// @route   POST /api/inbound/email
+// @desc    Receive a raw email and add it to the contact thread it replies to
+// @access  Private (contacts.ingest)
+router.post('/email', protect, requirePermission('contacts.ingest'), parseMessage, receiveEmail);
+
+module.exports = router;
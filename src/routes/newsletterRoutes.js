@@ -5,42 +5,60 @@ const {
   getAllSubscribers,
   deleteSubscriber,
   unsubscribe,
-  exportSubscribers
+  exportSubscribers,
+  markSubscriberSpam
 } = require('../controllers/newsletterController');
+const { bulkAction } = require('../controllers/bulkController');
+const { protect, requirePermission, allowPublic } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 /**
  * @route   POST /api/newsletter
  * @desc    Subscribe to newsletter (Public)
  * @access  Public
  */
-router.post('/', subscribe);
+router.post('/', allowPublic, rateLimit('newsletter'), subscribe);
 
 /**
  * @route   GET /api/newsletter
  * @desc    Get all newsletter subscribers
- * @access  Private (Admin)
+ * @access  Private (newsletter.read)
  */
-router.get('/', getAllSubscribers);
+router.get('/', protect, requirePermission('newsletter.read'), getAllSubscribers);
 
 /**
  * @route   GET /api/newsletter/export
  * @desc    Export all subscribers as CSV
- * @access  Private (Admin)
+ * @access  Private (newsletter.export)
  */
-router.get('/export', exportSubscribers);
+router.get('/export', protect, requirePermission('newsletter.export'), exportSubscribers);
+
+/**
+ * @route   POST /api/newsletter/bulk
+ * @desc    Change status of or delete many subscribers (supports dryRun)
+ * @access  Private (newsletter.write)
+ */
+router.post('/bulk', protect, requirePermission('newsletter.write'), bulkAction('newsletter'));
 
 /**
  * @route   DELETE /api/newsletter/:id
  * @desc    Delete a newsletter subscriber
- * @access  Private (Admin)
+ * @access  Private (newsletter.write)
+ */
+router.delete('/:id', protect, requirePermission('newsletter.write'), deleteSubscriber);
+
+/**
+ * @route   PUT /api/newsletter/:id/spam
+ * @desc    Mark a subscriber as spam, or as not spam ({ isSpam: false })
+ * @access  Private (newsletter.write)
  */
-router.delete('/:id', deleteSubscriber);
+router.put('/:id/spam', protect, requirePermission('newsletter.write'), markSubscriberSpam);
 
 /**
  * @route   PUT /api/newsletter/unsubscribe/:id
  * @desc    Unsubscribe from newsletter
- * @access  Private
+ * @access  Private (newsletter.write)
  */
-router.put('/unsubscribe/:id', unsubscribe);
+router.put('/unsubscribe/:id', protect, requirePermission('newsletter.write'), unsubscribe);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { getRateLimits, resetRateLimit } = require('../controllers/rateLimitController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/rate-limits
+// @desc    List live rate limit counters
+// @access  Private (rateLimits.manage)
+router.get('/', protect, requirePermission('rateLimits.manage'), getRateLimits);
+
+// @route   DELETE /api/rate-limits/:key
+// @desc    Clear a rate limit counter
+// @access  Private (rateLimits.manage)
+router.delete('/:key', protect, requirePermission('rateLimits.manage'), resetRateLimit);
+
+module.exports = router;
@@ -8,30 +8,30 @@ const {
   deleteReport,
   getReportStats
 } = require('../controllers/reportController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // @route   GET /api/reports
 // @desc    Get all reports
-// @access  Private (Admin only)
-router.get('/', protect, authorize('Admin'), getReports);
+// @access  Private (reports.read)
+router.get('/', protect, requirePermission('reports.read'), getReports);
 
 // @route   GET /api/reports/stats
 // @desc    Get report statistics
-// @access  Private (Admin only)
-router.get('/stats', protect, authorize('Admin'), getReportStats);
+// @access  Private (reports.read)
+router.get('/stats', protect, requirePermission('reports.read'), getReportStats);
 
 // @route   GET /api/reports/:id
 // @desc    Get single report
-// @access  Private (Admin only)
-router.get('/:id', protect, authorize('Admin'), getReportById);
+// @access  Private (reports.read)
+router.get('/:id', protect, requirePermission('reports.read'), getReportById);
 
 // @route   POST /api/reports/generate
 // @desc    Generate a new report
-// @access  Private (Admin only)
+// @access  Private (reports.generate)
 router.post(
   '/generate',
   protect,
-  authorize('Admin'),
+  requirePermission('reports.generate'),
   [
     body('type').isIn(['activity', 'user', 'contact', 'volunteer', 'event', 'financial'])
       .withMessage('Please provide a valid report type'),
@@ -43,7 +43,7 @@ router.post(
 
 // @route   DELETE /api/reports/:id
 // @desc    Delete a report
-// @access  Private (Admin only)
-router.delete('/:id', protect, authorize('Admin'), deleteReport);
+// @access  Private (reports.delete)
+router.delete('/:id', protect, requirePermission('reports.delete'), deleteReport);
 
 module.exports = router;
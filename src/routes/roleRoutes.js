@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+  seedRoles
+} = require('../controllers/roleController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/roles
+// @desc    List roles
+// @access  Private (roles.manage)
+router.get('/', protect, requirePermission('roles.manage'), getRoles);
+
+// @route   GET /api/roles/permissions
+// @desc    List grantable permissions
+// @access  Private (roles.manage)
+router.get('/permissions', protect, requirePermission('roles.manage'), getPermissions);
+
+// @route   POST /api/roles/seed
+// @desc    Seed the built-in roles
+// @access  Private (roles.manage)
+router.post('/seed', protect, requirePermission('roles.manage'), seedRoles);
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (roles.manage)
+router.post('/', protect, requirePermission('roles.manage'), createRole);
+
+// @route   PUT /api/roles/:id
+// @desc    Update a role's permissions
+// @access  Private (roles.manage)
+router.put('/:id', protect, requirePermission('roles.manage'), updateRole);
+
+// @route   DELETE /api/roles/:id
+// @desc    Delete a custom role
+// @access  Private (roles.manage)
+router.delete('/:id', protect, requirePermission('roles.manage'), deleteRole);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getViews,
+  getViewById,
+  createView,
+  updateView,
+  deleteView
+} = require('../controllers/savedViewController');
+const { protect } = require('../middleware/auth');
+
+// @route   GET /api/views
+// @desc    List own and shared views (entity=contact|volunteer|community|registration)
+// @access  Private
+router.get('/', protect, getViews);
+
+// @route   GET /api/views/:id
+// @desc    Get a single view
+// @access  Private
+router.get('/:id', protect, getViewById);
+
+// @route   POST /api/views
+// @desc    Save a named set of filters for a list
+// @access  Private (read permission of the entity, checked in the controller)
+router.post('/', protect, createView);
+
+// @route   PUT /api/views/:id
+// @desc    Update a view
+// @access  Private (owner, or views.manage)
+router.put('/:id', protect, updateView);
+
+// @route   DELETE /api/views/:id
+// @desc    Delete a view
+// @access  Private (owner, or views.manage)
+router.delete('/:id', protect, deleteView);
+
+module.exports = router;
@@ -9,30 +9,30 @@ const {
   seedSettings,
   getSettingsStats
 } = require('../controllers/settingsController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // @route   GET /api/settings
 // @desc    Get all settings
-// @access  Private (Admin only)
-router.get('/', protect, authorize('Admin'), getSettings);
+// @access  Private (settings.manage)
+router.get('/', protect, requirePermission('settings.manage'), getSettings);
 
 // @route   GET /api/settings/stats
 // @desc    Get settings statistics
-// @access  Private (Admin only)
-router.get('/stats', protect, authorize('Admin'), getSettingsStats);
+// @access  Private (settings.manage)
+router.get('/stats', protect, requirePermission('settings.manage'), getSettingsStats);
 
 // @route   GET /api/settings/:key
 // @desc    Get single setting by key
-// @access  Private (Admin only)
-router.get('/:key', protect, authorize('Admin'), getSettingByKey);
+// @access  Private (settings.manage)
+router.get('/:key', protect, requirePermission('settings.manage'), getSettingByKey);
 
 // @route   PUT /api/settings/:key
 // @desc    Update a single setting
-// @access  Private (Admin only)
+// @access  Private (settings.manage)
 router.put(
   '/:key',
   protect,
-  authorize('Admin'),
+  requirePermission('settings.manage'),
   [
     body('value').notEmpty().withMessage('Value is required')
   ],
@@ -41,11 +41,11 @@ router.put(
 
 // @route   PUT /api/settings
 // @desc    Update multiple settings
-// @access  Private (Admin only)
+// @access  Private (settings.manage)
 router.put(
   '/',
   protect,
-  authorize('Admin'),
+  requirePermission('settings.manage'),
   [
     body('settings').isArray({ min: 1 }).withMessage('Settings must be an array')
   ],
@@ -54,7 +54,7 @@ router.put(
 
 // @route   POST /api/settings/seed
 // @desc    Seed default settings
-// @access  Private (Admin only)
-router.post('/seed', protect, authorize('Admin'), seedSettings);
+// @access  Private (settings.manage)
+router.post('/seed', protect, requirePermission('settings.manage'), seedSettings);
 
 module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  bulkTag
+} = require('../controllers/tagController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/tags
+// @desc    List tags (search, withCounts=true)
+// @access  Private
+router.get('/', protect, getTags);
+
+// @route   POST /api/tags/bulk
+// @desc    Add and remove tags on many records of one kind
+// @access  Private (write permission of the entity, checked in the controller)
+router.post('/bulk', protect, bulkTag);
+
+// @route   POST /api/tags
+// @desc    Create a tag
+// @access  Private (tags.manage)
+router.post('/', protect, requirePermission('tags.manage'), createTag);
+
+// @route   PUT /api/tags/:id
+// @desc    Rename or recolour a tag
+// @access  Private (tags.manage)
+router.put('/:id', protect, requirePermission('tags.manage'), updateTag);
+
+// @route   DELETE /api/tags/:id
+// @desc    Delete a tag and take it off every record
+// @access  Private (tags.manage)
+router.delete('/:id', protect, requirePermission('tags.manage'), deleteTag);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTriageRules,
+  getTriageRuleById,
+  createTriageRule,
+  updateTriageRule,
+  deleteTriageRule,
+  dryRunTriage
+} = require('../controllers/triageRuleController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/triage-rules
+// @desc    List triage rules in the order they run
+// @access  Private (triage.manage)
+router.get('/', protect, requirePermission('triage.manage'), getTriageRules);
+
+// @route   POST /api/triage-rules/dry-run
+// @desc    Show what triage would do with a message, without saving anything
+// @access  Private (triage.manage)
+router.post('/dry-run', protect, requirePermission('triage.manage'), dryRunTriage);
+
+// @route   GET /api/triage-rules/:id
+// @desc    Get a single triage rule
+// @access  Private (triage.manage)
+router.get('/:id', protect, requirePermission('triage.manage'), getTriageRuleById);
+
+// @route   POST /api/triage-rules
+// @desc    Create a triage rule
+// @access  Private (triage.manage)
+router.post('/', protect, requirePermission('triage.manage'), createTriageRule);
+
+// @route   PUT /api/triage-rules/:id
+// @desc    Update a triage rule
+// @access  Private (triage.manage)
+router.put('/:id', protect, requirePermission('triage.manage'), updateTriageRule);
+
+// @route   DELETE /api/triage-rules/:id
+// @desc    Delete a triage rule
+// @access  Private (triage.manage)
+router.delete('/:id', protect, requirePermission('triage.manage'), deleteTriageRule);
+
+module.exports = router;
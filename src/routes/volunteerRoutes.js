@@ -1,47 +1,64 @@
 const express = require('express');
 const router = express.Router();
 const volunteerController = require('../controllers/volunteerController');
+const { bulkAction } = require('../controllers/bulkController');
+const auth = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 /**
  * @route   POST /api/volunteers
  * @desc    Create a new volunteer registration (Public)
  * @access  Public
  */
-router.post('/', volunteerController.createVolunteer);
+router.post('/', auth.allowPublic, rateLimit('volunteer'), volunteerController.createVolunteer);
 
 /**
  * @route   GET /api/volunteers
  * @desc    Get all volunteers with pagination and filtering
- * @access  Private (Admin)
+ * @access  Private (volunteers.read)
  */
-router.get('/', volunteerController.getVolunteers);
+router.get('/', auth.protect, auth.requirePermission('volunteers.read'), volunteerController.getVolunteers);
 
 /**
  * @route   GET /api/volunteers/stats
  * @desc    Get volunteer statistics
- * @access  Private (Admin)
+ * @access  Private (volunteers.read)
  */
-router.get('/stats', volunteerController.getVolunteerStats);
+router.get('/stats', auth.protect, auth.requirePermission('volunteers.read'), volunteerController.getVolunteerStats);
+
+/**
+ * @route   POST /api/volunteers/bulk
+ * @desc    Change status, add a note, tag, archive or delete many volunteer sign-ups (supports dryRun)
+ * @access  Private (volunteers.write; delete also needs volunteers.delete)
+ */
+router.post('/bulk', auth.protect, auth.requirePermission('volunteers.write'), bulkAction('volunteer'));
 
 /**
  * @route   GET /api/volunteers/:id
  * @desc    Get a single volunteer by ID
- * @access  Private (Admin)
+ * @access  Private (volunteers.read)
+ */
+router.get('/:id', auth.protect, auth.requirePermission('volunteers.read'), volunteerController.getVolunteerById);
+
+/**
+ * @route   PUT /api/volunteers/:id/spam
+ * @desc    Mark a volunteer registration as spam, or as not spam ({ isSpam: false })
+ * @access  Private (volunteers.write)
  */
-router.get('/:id', volunteerController.getVolunteerById);
+router.put('/:id/spam', auth.protect, auth.requirePermission('volunteers.write'), volunteerController.markVolunteerSpam);
 
 /**
  * @route   PUT /api/volunteers/:id
  * @desc    Update a volunteer (status, notes)
- * @access  Private (Admin)
+ * @access  Private (volunteers.write)
  */
-router.put('/:id', volunteerController.updateVolunteer);
+router.put('/:id', auth.protect, auth.requirePermission('volunteers.write'), volunteerController.updateVolunteer);
 
 /**
  * @route   DELETE /api/volunteers/:id
  * @desc    Delete a volunteer
- * @access  Private (Admin)
+ * @access  Private (volunteers.delete)
  */
-router.delete('/:id', volunteerController.deleteVolunteer);
+router.delete('/:id', auth.protect, auth.requirePermission('volunteers.delete'), volunteerController.deleteVolunteer);
 
 module.exports = router;
@@ -4,6 +4,9 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const connectDB = require('./config/db');
+const { allowPublic } = require('./middleware/auth');
+const { requestId, auditTrail } = require('./middleware/audit');
+const { assertRouteAccess } = require('./utils/routeAccess');
 const contactRoutes = require('./routes/contactRoutes');
 const newsletterRoutes = require('./routes/newsletterRoutes');
 const adminAuthRoutes = require('./routes/adminAuthRoutes');
@@ -13,25 +16,42 @@ const customVolunteerRoutes = require('./routes/customVolunteerRoutes');
 const eventRoutes = require('./routes/eventRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const settingsRoutes = require('./routes/settingsRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const rateLimitRoutes = require('./routes/rateLimitRoutes');
+const formRoutes = require('./routes/formRoutes');
+const inboundRoutes = require('./routes/inboundRoutes');
+const cannedResponseRoutes = require('./routes/cannedResponseRoutes');
+const triageRuleRoutes = require('./routes/triageRuleRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const savedViewRoutes = require('./routes/savedViewRoutes');
 
 const app = express();
 
+// Behind a proxy, take the client IP from X-Forwarded-For (hop count or trusted address list)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Connect to database
 connectDB();
 
 // Middleware
 app.use(cors({
   origin: true,
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Retry-After', 'X-Session-Idle-Timeout', 'X-Session-Idle-Expires-At', 'X-Request-Id', 'X-Impersonated-By']
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(requestId);
+app.use(auditTrail);
 
 // Serve uploaded files statically
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', allowPublic, (req, res) => {
   res.json({
     success: true,
     message: 'API is running',
@@ -49,6 +69,23 @@ app.use('/api/custom-volunteers', customVolunteerRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/rate-limits', rateLimitRoutes);
+app.use('/api/forms', formRoutes);
+app.use('/api/inbound', inboundRoutes);
+app.use('/api/canned-responses', cannedResponseRoutes);
+app.use('/api/triage-rules', triageRuleRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/views', savedViewRoutes);
+
+// Refuse to start if any route is neither protected nor explicitly public
+try {
+  assertRouteAccess(app);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
 // 404 handler
 app.use((req, res) => {
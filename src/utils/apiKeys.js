@@ -0,0 +1,72 @@
+const ApiKey = require('../models/ApiKey');
+const Admin = require('../models/Admin');
+const { hashToken, generateRandomToken } = require('./tokens');
+const { getRolePermissions } = require('./permissions');
+
+const API_KEY_PREFIX = 'pck_';
+
+// Length of the clear prefix stored to identify a key, including API_KEY_PREFIX
+const DISPLAY_PREFIX_LENGTH = 12;
+
+/**
+ * Generate a new API key
+ * @returns {Object} { key, prefix, keyHash } - key is only ever returned here
+ */
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${generateRandomToken(32)}`;
+
+  return {
+    key,
+    prefix: key.substring(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashToken(key)
+  };
+};
+
+/**
+ * Resolve a raw X-API-Key header value to the key and the admin it acts for.
+ * A key never grants more than its creator currently holds, so permissions are
+ * the intersection of the key's scopes and the creator's role.
+ * @param {string} rawKey - Header value
+ * @param {Object} req - Express request (used to record last use)
+ * @returns {Promise<Object>} { apiKey, admin, permissions } or { error }
+ */
+const authenticateApiKey = async (rawKey, req) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(String(rawKey)) });
+
+  if (!apiKey) {
+    return { error: 'Invalid API key' };
+  }
+
+  if (apiKey.revokedAt) {
+    return { error: 'API key has been revoked' };
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return { error: 'API key has expired' };
+  }
+
+  const admin = await Admin.findById(apiKey.createdBy);
+
+  if (!admin || !admin.isActive) {
+    return { error: 'The account that created this API key is no longer active' };
+  }
+
+  // Record use, at most once a minute
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip });
+  }
+
+  const rolePermissions = await getRolePermissions(admin.role);
+
+  return {
+    apiKey,
+    admin,
+    permissions: apiKey.permissions.filter(permission => rolePermissions.includes(permission))
+  };
+};
+
+module.exports = {
+  API_KEY_PREFIX,
+  generateApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into before/after snapshots, even if a model's toJSON keeps them
+const REDACTED_FIELDS = [
+  'password',
+  'passwordHistory',
+  'passwordResetToken',
+  'twoFactor',
+  'refreshTokenHash',
+  'previousTokenHashes',
+  'tokenHash',
+  'keyHash'
+];
+
+// Bookkeeping fields left out of diffs
+const IGNORED_DIFF_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+/**
+ * The route pattern a request matched, e.g. /api/contacts/:id
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getRoutePattern = (req) => {
+  return req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+};
+
+/**
+ * Write an audit entry. Failures are logged and swallowed so that auditing
+ * never breaks the request that triggered it.
+ * @param {Object} req - Express request (used for actor, IP, user agent and request id)
+ * @param {Object} entry - { action, targetModel, targetId, before, after, metadata, actor, actorRole }
+ * @returns {Promise<Object|null>} Created entry
+ */
+const recordAudit = async (req, entry) => {
+  try {
+    if (req) {
+      req.auditRecorded = true;
+    }
+
+    return await AuditLog.create({
+      actor: req && req.admin ? req.admin.id : null,
+      actorRole: req && req.admin ? req.admin.role : undefined,
+      apiKey: req && req.admin ? req.admin.apiKeyId : undefined,
+      impersonator: req && req.admin && req.admin.impersonator ? req.admin.impersonator.id : undefined,
+      requestId: req ? req.id : undefined,
+      method: req ? req.method : undefined,
+      route: req ? getRoutePattern(req) : undefined,
+      ipAddress: req ? req.ip : undefined,
+      userAgent: req ? (req.get('user-agent') || '').substring(0, 500) : undefined,
+      ...entry
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+/**
+ * Plain copy of a document for an audit entry, without secrets
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object|null}
+ */
+const snapshot = (doc) => {
+  if (!doc) {
+    return null;
+  }
+
+  const plain = JSON.parse(JSON.stringify(typeof doc.toJSON === 'function' ? doc.toJSON() : doc));
+
+  for (const field of REDACTED_FIELDS) {
+    delete plain[field];
+  }
+
+  return plain;
+};
+
+/**
+ * Reduce two snapshots to the top-level fields that differ
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @returns {Object} { before, after } holding only changed fields
+ */
+const diffSnapshots = (before, after) => {
+  const changedBefore = {};
+  const changedAfter = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_DIFF_FIELDS.includes(field)) {
+      continue;
+    }
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changedBefore[field] = from === undefined ? null : from;
+      changedAfter[field] = to === undefined ? null : to;
+    }
+  }
+
+  return { before: changedBefore, after: changedAfter };
+};
+
+/**
+ * Describe the action a controller performed, for the entry the audit trail
+ * middleware writes when the response finishes. Pass documents as before/after;
+ * when both are given only the changed fields are kept.
+ * @param {Object} req - Express request
+ * @param {Object} context - { action, targetModel, targetId, before, after, metadata }
+ */
+const setAuditContext = (req, context) => {
+  const entry = { ...context };
+
+  if ('before' in context) {
+    entry.before = snapshot(context.before);
+  }
+  if ('after' in context) {
+    entry.after = snapshot(context.after);
+  }
+  if (entry.before && entry.after) {
+    Object.assign(entry, diffSnapshots(entry.before, entry.after));
+  }
+
+  req.auditContext = { ...req.auditContext, ...entry };
+};
+
+/**
+ * Entry for a finished mutating request, from the controller's context or,
+ * failing that, from the route itself
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} Audit entry
+ */
+const buildRequestEntry = (req, res) => {
+  const context = req.auditContext || {};
+  const paramId = req.params && req.params.id;
+
+  return {
+    targetId: paramId && mongoose.isValidObjectId(paramId) ? paramId : null,
+    ...context,
+    action: context.action || `${req.method} ${getRoutePattern(req)}`,
+    statusCode: res.statusCode
+  };
+};
+
+module.exports = {
+  recordAudit,
+  snapshot,
+  diffSnapshots,
+  setAuditContext,
+  buildRequestEntry
+};
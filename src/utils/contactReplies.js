@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const ContactMessage = require('../models/ContactMessage');
+const { sendMail } = require('./mailer');
+const { getSetting } = require('./settings');
+const { renderTemplate, usesPlaceholder } = require('./templates');
+const { signReplyToken } = require('./tokens');
+
+// References headers longer than this are trimmed to the oldest and newest ids
+const MAX_REFERENCES = 20;
+
+/**
+ * Domain used for generated Message-IDs, taken from MAIL_FROM
+ * @returns {string}
+ */
+const getMessageIdDomain = () => {
+  const match = /@([^>\s]+)/.exec(process.env.MAIL_FROM || '');
+  return match ? match[1] : 'localhost';
+};
+
+/**
+ * A new Message-ID that names its contact, so replies to it can be matched back
+ * @param {Object} contact - Contact document
+ * @returns {string}
+ */
+const generateMessageId = (contact) => {
+  return `<contact-${contact._id}-${crypto.randomBytes(8).toString('hex')}@${getMessageIdDomain()}>`;
+};
+
+/**
+ * Reply-To address for a contact: CONTACT_REPLY_TO with the thread's reply
+ * token plus-addressed onto it, e.g. support+c-<id>.<signature>@example.org
+ * @param {Object} contact - Contact document
+ * @returns {string|undefined} Undefined when CONTACT_REPLY_TO is not set
+ */
+const buildReplyAddress = (contact) => {
+  const match = /([^\s<>"]+)@([^\s<>"]+)/.exec(process.env.CONTACT_REPLY_TO || '');
+  if (!match) {
+    return undefined;
+  }
+
+  return `${match[1].split('+')[0]}+${signReplyToken(String(contact._id))}@${match[2]}`;
+};
+
+// Placeholders reply templates may use. The contact's own fields can also be
+// written without the prefix, e.g. {{name}} for {{contact.name}}.
+const REPLY_PLACEHOLDERS = [
+  'name', 'firstName', 'email', 'subject',
+  'contact.name', 'contact.firstName', 'contact.email', 'contact.subject',
+  'sender.name', 'sender.email', 'sender.signature',
+  'site.name'
+];
+
+/**
+ * Values available to reply templates
+ * @param {Object} contact - Contact document
+ * @param {Object} sender - Admin document sending the reply
+ * @returns {Promise<Object>} { contact, sender, site } plus the contact fields at the top level
+ */
+const getReplyTemplateValues = async (contact, sender) => {
+  const contactValues = {
+    name: contact.name,
+    firstName: String(contact.name || '').split(/\s+/)[0],
+    email: contact.email,
+    subject: contact.subject
+  };
+
+  return {
+    ...contactValues,
+    contact: contactValues,
+    sender: {
+      name: sender.name,
+      email: sender.email,
+      signature: sender.signature || ''
+    },
+    site: {
+      name: await getSetting('site_name', 'Pride Community')
+    }
+  };
+};
+
+/**
+ * Render a reply body. The sender's signature is appended unless the
+ * template already places it or it is turned off.
+ * @param {string} template - Reply text, may use {{placeholders}}
+ * @param {Object} values - From getReplyTemplateValues
+ * @param {Object} [options] - { includeSignature = true }
+ * @returns {string}
+ */
+const renderReply = (template, values, { includeSignature = true } = {}) => {
+  let body = renderTemplate(template, values).trim();
+
+  if (includeSignature && values.sender.signature && !usesPlaceholder(template, 'sender.signature')) {
+    body += `\n\n-- \n${values.sender.signature}`;
+  }
+
+  return body;
+};
+
+/**
+ * Email a reply to a contact and keep it in the thread. A failed send is kept
+ * too, marked failed with the transport error.
+ * @param {Object} contact - Contact document
+ * @param {Object} sender - Admin document sending the reply
+ * @param {Object} reply - { subject, body } already rendered
+ * @returns {Promise<Object>} ContactMessage document
+ */
+const sendContactReply = async (contact, sender, { subject, body }) => {
+  const previous = await ContactMessage.find({ contact: contact._id, messageId: { $nin: [null, ''] } })
+    .sort({ createdAt: 1 })
+    .select('messageId');
+
+  let references = previous.map(message => message.messageId);
+  if (references.length > MAX_REFERENCES) {
+    references = [references[0], ...references.slice(-(MAX_REFERENCES - 1))];
+  }
+
+  const message = await ContactMessage.create({
+    contact: contact._id,
+    direction: 'outbound',
+    from: process.env.MAIL_FROM,
+    to: contact.email,
+    subject: subject || `Re: ${contact.subject}`,
+    body,
+    messageId: generateMessageId(contact),
+    inReplyTo: references[references.length - 1],
+    references,
+    sentBy: sender._id,
+    status: 'sending'
+  });
+
+  try {
+    await sendMail({
+      to: contact.email,
+      replyTo: buildReplyAddress(contact),
+      subject: message.subject,
+      text: body,
+      messageId: message.messageId,
+      inReplyTo: message.inReplyTo,
+      references: message.references.length ? message.references.join(' ') : undefined
+    });
+
+    message.status = 'sent';
+    message.sentAt = new Date();
+  } catch (error) {
+    console.error('Contact reply mail error:', error);
+    message.status = 'failed';
+    message.error = String(error.message || error).substring(0, 500);
+  }
+
+  await message.save();
+  return message;
+};
+
+module.exports = {
+  REPLY_PLACEHOLDERS,
+  generateMessageId,
+  buildReplyAddress,
+  getReplyTemplateValues,
+  renderReply,
+  sendContactReply
+};
@@ -0,0 +1,79 @@
+const { getSetting } = require('./settings');
+
+// Category of contacts submitted without one
+const DEFAULT_CATEGORY = 'general';
+
+// Categories and reply targets used until contact_sla_hours is set
+const DEFAULT_SLA_HOURS = 'crisis=1, media=24, partnership=72';
+
+/**
+ * Parse the contact_sla_hours setting, e.g. "press=4, volunteering=48"
+ * @param {string} text - Setting value
+ * @returns {Object} Category name to hours
+ */
+const parseSlaHours = (text) => {
+  const hours = {};
+
+  for (const entry of String(text || '').split(/[,\n]/)) {
+    const [name, value] = entry.split('=').map(part => part.trim());
+    const number = Number(value);
+    if (name && Number.isFinite(number) && number >= 0) {
+      hours[name.toLowerCase()] = number;
+    }
+  }
+
+  return hours;
+};
+
+/**
+ * Read the first-response SLA policy from Settings
+ * @returns {Promise<Object>} { defaultHours, categories }
+ */
+const getSlaPolicy = async () => ({
+  defaultHours: Math.max(0, await getSetting('contact_sla_default_hours', 24)),
+  categories: parseSlaHours(await getSetting('contact_sla_hours', DEFAULT_SLA_HOURS))
+});
+
+/**
+ * Categories a contact can be filed under
+ * @param {Object} policy - From getSlaPolicy
+ * @returns {Array<string>}
+ */
+const getContactCategories = (policy) => {
+  return [...new Set([DEFAULT_CATEGORY, ...Object.keys(policy.categories)])];
+};
+
+/**
+ * When the first response to a contact is due
+ * @param {Date} receivedAt - When the contact came in
+ * @param {string} category - Contact category
+ * @param {Object} policy - From getSlaPolicy
+ * @returns {Date|null} Null when the category has no SLA (0 hours)
+ */
+const computeDueAt = (receivedAt, category, policy) => {
+  const hours = category in policy.categories ? policy.categories[category] : policy.defaultHours;
+  return hours > 0 ? new Date(new Date(receivedAt).getTime() + hours * 60 * 60 * 1000) : null;
+};
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Null for an empty list
+ */
+const median = (values) => {
+  if (!values.length) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+module.exports = {
+  DEFAULT_CATEGORY,
+  getSlaPolicy,
+  getContactCategories,
+  computeDueAt,
+  median
+};
@@ -0,0 +1,61 @@
+const { getSetting } = require('./settings');
+const { sendMail } = require('./mailer');
+
+/**
+ * Whether admins must confirm their email before logging in (`require_email_verification` setting)
+ * @returns {Promise<boolean>}
+ */
+const isEmailVerificationRequired = async () => {
+  return Boolean(await getSetting('require_email_verification', false));
+};
+
+/**
+ * Issue a verification token for an address and email the link to it.
+ * The address is either the admin's unverified email or a staged pendingEmail.
+ * @param {Object} admin - Admin document
+ * @param {string} address - Address to confirm
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (admin, address) => {
+  const token = admin.createEmailVerificationToken(address);
+  await admin.save({ validateBeforeSave: false });
+
+  const siteName = await getSetting('site_name', 'Pride Community');
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email?token=${token}`;
+  const isChange = address !== admin.email;
+
+  await sendMail({
+    to: address,
+    subject: isChange ? 'Confirm your new email address' : `Verify your email for ${siteName}`,
+    text: `Hi ${admin.name},\n\n` +
+      (isChange
+        ? `Please confirm that you want to use this address for your ${siteName} account. Until you do, your current address stays in use.\n\n`
+        : `Please confirm your email address for your ${siteName} account.\n\n`) +
+      `${verifyUrl}\n\n` +
+      'If you did not request this, you can ignore this email.'
+  });
+};
+
+/**
+ * Tell the current address that a change to another address was requested
+ * @param {Object} admin - Admin document with pendingEmail set
+ * @returns {Promise<void>}
+ */
+const sendEmailChangeNotice = async (admin) => {
+  const siteName = await getSetting('site_name', 'Pride Community');
+
+  await sendMail({
+    to: admin.email,
+    subject: 'Your email address is being changed',
+    text: `Hi ${admin.name},\n\n` +
+      `A request was made to change the email address of your ${siteName} account to ${admin.pendingEmail}. ` +
+      'The change only takes effect once the new address is confirmed.\n\n' +
+      'If you did not request this, change your password and cancel the change from your profile.'
+  });
+};
+
+module.exports = {
+  isEmailVerificationRequired,
+  sendVerificationEmail,
+  sendEmailChangeNotice
+};
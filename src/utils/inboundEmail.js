@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Contact = require('../models/Contact');
+const ContactMessage = require('../models/ContactMessage');
+const { parseEmail } = require('./mime');
+const { verifyReplyToken } = require('./tokens');
+
+// Attachments are served only through the API, so they live outside /uploads
+const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR
+  ? path.resolve(process.env.ATTACHMENTS_DIR)
+  : path.join(__dirname, '..', 'attachments');
+
+const MAX_ATTACHMENTS = 20;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Matching ContactMessage limits
+const MAX_SUBJECT_LENGTH = 300;
+const MAX_BODY_LENGTH = 20000;
+
+// Statuses a reply reopens. Spam keeps its status until an admin gives a
+// verdict through the spam endpoint.
+const REOPEN_STATUSES = ['read', 'replied', 'archived'];
+
+// Headers a relay or the local MTA uses to record who the message was delivered to
+const RECIPIENT_HEADERS = ['delivered-to', 'x-original-to', 'envelope-to', 'to', 'cc'];
+
+/**
+ * Path of a stored attachment
+ * @param {string} storedName - Stored file name
+ * @returns {string}
+ */
+const getAttachmentPath = (storedName) => path.join(ATTACHMENTS_DIR, path.basename(storedName));
+
+/**
+ * Find the contact thread an inbound email belongs to: first by a reply token
+ * in a recipient address, then by In-Reply-To / References naming a message
+ * we sent.
+ * @param {Object} email - Parsed email
+ * @param {Array<string>} recipients - Envelope recipients reported by the relay
+ * @returns {Promise<Object|null>} { contact, matchedBy }
+ */
+const findThread = async (email, recipients) => {
+  const addresses = [
+    ...recipients,
+    ...RECIPIENT_HEADERS.flatMap(name => email.headers[name] || [])
+  ];
+
+  for (const address of addresses) {
+    const contactId = verifyReplyToken(address);
+    if (contactId) {
+      const contact = await Contact.findById(contactId);
+      if (contact) {
+        return { contact, matchedBy: 'reply_token' };
+      }
+    }
+  }
+
+  const referenced = [...email.inReplyTo, ...email.references]
+    .filter(messageId => messageId.startsWith('<contact-'));
+
+  if (referenced.length) {
+    const previous = await ContactMessage.findOne({ messageId: { $in: referenced } })
+      .sort({ createdAt: -1 })
+      .populate('contact');
+
+    if (previous && previous.contact) {
+      return { contact: previous.contact, matchedBy: 'references' };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Write attachments to ATTACHMENTS_DIR
+ * @param {Object} message - ContactMessage document the files belong to
+ * @param {Array<Object>} attachments - Parsed attachments
+ * @returns {Promise<Object>} { stored, skipped }
+ */
+const storeAttachments = async (message, attachments) => {
+  const stored = [];
+  let skipped = 0;
+
+  await fs.promises.mkdir(ATTACHMENTS_DIR, { recursive: true });
+
+  for (const attachment of attachments) {
+    if (stored.length >= MAX_ATTACHMENTS || attachment.content.length > MAX_ATTACHMENT_BYTES) {
+      skipped += 1;
+      continue;
+    }
+
+    const storedName = `${message._id}-${crypto.randomBytes(8).toString('hex')}${path.extname(attachment.filename).replace(/[^.\w]/g, '').substring(0, 10)}`;
+    await fs.promises.writeFile(getAttachmentPath(storedName), attachment.content);
+
+    stored.push({
+      filename: attachment.filename.substring(0, 255),
+      contentType: attachment.contentType,
+      size: attachment.content.length,
+      storedName,
+      checksum: crypto.createHash('sha256').update(attachment.content).digest('hex')
+    });
+  }
+
+  return { stored, skipped };
+};
+
+/**
+ * Remove stored attachment files, when their message could not be saved or
+ * has been deleted
+ * @param {Array<Object>} attachments - Stored attachment records
+ */
+const removeAttachments = async (attachments) => {
+  await Promise.all(attachments.map(attachment =>
+    fs.promises.unlink(getAttachmentPath(attachment.storedName)).catch(() => {})
+  ));
+};
+
+/**
+ * Append a raw inbound email to the contact thread it replies to and reopen
+ * the contact unless it is spam. Mail seen before (same Message-ID) is not added twice.
+ * @param {Buffer|string} raw - Full RFC 822 message
+ * @param {Object} [options] - { recipients: envelope recipients from the relay }
+ * @returns {Promise<Object>} { matched, duplicate, contact, before, message, matchedBy, skippedAttachments }
+ */
+const ingestInboundEmail = async (raw, { recipients = [] } = {}) => {
+  const email = parseEmail(raw);
+
+  if (email.messageId) {
+    const existing = await ContactMessage.findOne({ messageId: email.messageId, direction: 'inbound' });
+    if (existing) {
+      return { matched: true, duplicate: true, message: existing };
+    }
+  }
+
+  const thread = await findThread(email, recipients);
+
+  if (!thread) {
+    return { matched: false, email };
+  }
+
+  const { contact, matchedBy } = thread;
+  const message = new ContactMessage({
+    contact: contact._id,
+    direction: 'inbound',
+    from: email.from,
+    to: email.to.join(', '),
+    subject: (email.subject || `Re: ${contact.subject}`).substring(0, MAX_SUBJECT_LENGTH),
+    body: email.text.trim().substring(0, MAX_BODY_LENGTH) || '(no message text)',
+    messageId: email.messageId,
+    inReplyTo: email.inReplyTo[0],
+    references: email.references,
+    status: 'received',
+    sentAt: email.date || new Date()
+  });
+
+  const { stored, skipped } = await storeAttachments(message, email.attachments);
+  message.attachments = stored;
+
+  try {
+    await message.save();
+  } catch (error) {
+    await removeAttachments(stored);
+    throw error;
+  }
+
+  const before = contact.toJSON();
+  if (REOPEN_STATUSES.includes(contact.status)) {
+    contact.status = 'new';
+    await contact.save();
+  }
+
+  return {
+    matched: true,
+    duplicate: false,
+    contact,
+    before,
+    message,
+    matchedBy,
+    skippedAttachments: skipped
+  };
+};
+
+module.exports = {
+  getAttachmentPath,
+  removeAttachments,
+  ingestInboundEmail
+};
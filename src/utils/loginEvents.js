@@ -0,0 +1,163 @@
+const LoginEvent = require('../models/LoginEvent');
+const { getClientInfo } = require('./tokens');
+const { getSetting } = require('./settings');
+const { sendMail } = require('./mailer');
+
+// Successful logins considered when learning an admin's usual login hours
+const HOUR_HISTORY_SIZE = 100;
+
+// Fewer successful logins than this is not enough to call an hour unusual
+const MIN_HOUR_HISTORY = 10;
+
+/**
+ * Which identifier a login credential is. Uses the matched account when there
+ * is one, otherwise guesses from the format.
+ * @param {string} credential - Value typed into the login form
+ * @param {Object} [admin] - Admin the credential matched
+ * @returns {string} email, username or mobile
+ */
+const getCredentialType = (credential, admin) => {
+  const value = String(credential || '').trim();
+
+  if (admin) {
+    if (admin.email === value.toLowerCase()) return 'email';
+    if (admin.mobile === value) return 'mobile';
+    if (admin.username === value) return 'username';
+  }
+
+  if (value.includes('@')) return 'email';
+  if (/^\+?[\d\s-]{7,}$/.test(value)) return 'mobile';
+  return 'username';
+};
+
+/**
+ * Hour of day (0-23) in the site timezone from the `timezone` setting
+ * @param {Date} date - Moment to convert
+ * @param {string} timeZone - IANA time zone
+ * @returns {number}
+ */
+const getLocalHour = (date, timeZone) => {
+  try {
+    return Number(new Intl.DateTimeFormat('en-GB', { hour: 'numeric', hourCycle: 'h23', timeZone }).format(date));
+  } catch (error) {
+    return date.getUTCHours();
+  }
+};
+
+/**
+ * Compare a successful login with the admin's earlier ones
+ * @param {Object} admin - Admin document
+ * @param {Object} client - { device } of the new login
+ * @param {Date} [at] - Time of the login
+ * @returns {Promise<Array<string>>} Reasons the login looks unusual, empty when it does not
+ */
+const detectSuspiciousLogin = async (admin, client, at = new Date()) => {
+  const previous = await LoginEvent.find({ admin: admin._id, outcome: 'success' })
+    .sort({ createdAt: -1 })
+    .limit(HOUR_HISTORY_SIZE)
+    .select('device createdAt')
+    .lean();
+
+  // The first login has nothing to compare with
+  if (previous.length === 0) {
+    return [];
+  }
+
+  const reasons = [];
+
+  const knownDevice = previous.some(event => event.device === client.device) ||
+    await LoginEvent.exists({ admin: admin._id, outcome: 'success', device: client.device });
+
+  if (!knownDevice) {
+    reasons.push('new_device');
+  }
+
+  // Unusual when no recent login fell within an hour either side of this one
+  if (previous.length >= MIN_HOUR_HISTORY) {
+    const timeZone = await getSetting('timezone', 'UTC');
+    const hour = getLocalHour(at, timeZone);
+    const nearby = [(hour + 23) % 24, hour, (hour + 1) % 24];
+
+    if (!previous.some(event => nearby.includes(getLocalHour(event.createdAt, timeZone)))) {
+      reasons.push('unusual_hour');
+    }
+  }
+
+  return reasons;
+};
+
+/**
+ * Email an admin about a suspicious login, when `email_notifications` is on.
+ * Mail failures are logged and swallowed so they never block a login.
+ * @param {Object} admin - Admin document
+ * @param {Object} event - LoginEvent document
+ */
+const notifySuspiciousLogin = async (admin, event) => {
+  try {
+    if (!(await getSetting('email_notifications', true))) {
+      return;
+    }
+
+    const siteName = await getSetting('site_name', 'Pride Community');
+    const timeZone = await getSetting('timezone', 'UTC');
+    const reasons = event.suspiciousReasons.map(reason => ({
+      new_device: '- It came from a device you have not used before',
+      unusual_hour: '- It happened at a time you do not usually sign in'
+    }[reason]));
+
+    await sendMail({
+      to: admin.email,
+      subject: `New sign-in to your ${siteName} account`,
+      text: `Hi ${admin.name},\n\n` +
+        `Your account was just signed in to, and it looks different from your usual sign-ins:\n\n${reasons.join('\n')}\n\n` +
+        `Device: ${event.device}\n` +
+        `IP address: ${event.ipAddress}\n` +
+        `Time: ${event.createdAt.toLocaleString('en-GB', { timeZone })} (${timeZone})\n\n` +
+        'If this was you, there is nothing to do. If not, change your password now and sign out your other sessions from your profile.'
+    });
+  } catch (error) {
+    console.error('Suspicious login notification error:', error);
+  }
+};
+
+/**
+ * Record a login attempt. Successful logins are checked against the admin's
+ * history and flagged (and notified) when they look unusual.
+ * Failures are logged and swallowed so that history never breaks a login.
+ * @param {Object} req - Express request
+ * @param {Object} entry - { admin, credentialType, step, outcome, secondFactor, session }
+ * @returns {Promise<Object|null>} Created event
+ */
+const recordLoginEvent = async (req, entry) => {
+  try {
+    const client = getClientInfo(req);
+    const { admin, ...fields } = entry;
+
+    const suspiciousReasons = admin && entry.outcome === 'success'
+      ? await detectSuspiciousLogin(admin, client)
+      : [];
+
+    const event = await LoginEvent.create({
+      ...client,
+      ...fields,
+      admin: admin ? admin._id : null,
+      suspicious: suspiciousReasons.length > 0,
+      suspiciousReasons
+    });
+
+    if (event.suspicious) {
+      await notifySuspiciousLogin(admin, event);
+    }
+
+    return event;
+  } catch (error) {
+    console.error('Login event error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  getCredentialType,
+  detectSuspiciousLogin,
+  recordLoginEvent
+};
@@ -0,0 +1,169 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const { getSetting } = require('./settings');
+const { recordAudit } = require('./audit');
+
+// A single IP may hit several accounts (shared NAT), so it gets a higher limit
+const IP_THRESHOLD_MULTIPLIER = 4;
+
+/**
+ * Read the lockout policy from Settings
+ * @returns {Promise<Object>} { maxAttempts, windowMs }
+ */
+const getLockoutPolicy = async () => {
+  const maxAttempts = await getSetting('login_attempts', 5);
+  const lockoutMinutes = await getSetting('lockout_duration', 15);
+
+  return {
+    maxAttempts: Math.max(1, maxAttempts),
+    windowMs: Math.max(1, lockoutMinutes) * 60 * 1000
+  };
+};
+
+/**
+ * Counter keys for a login attempt. Unknown credentials get their own counter
+ * so they lock out exactly like real accounts and reveal nothing.
+ * @param {Object} req - Express request
+ * @param {Object|null} admin - Matched admin, if any
+ * @param {string} credential - Email, username or mobile as submitted
+ * @returns {Object} { ip, account } counter descriptors
+ */
+const getThrottleKeys = (req, admin, credential) => ({
+  ip: { key: `ip:${req.ip}`, scope: 'ip', admin: null },
+  account: admin
+    ? { key: `account:${admin._id}`, scope: 'account', admin: admin._id }
+    : { key: `credential:${String(credential).trim().toLowerCase()}`, scope: 'credential', admin: null }
+});
+
+/**
+ * Find the longest active lock among the given counters
+ * @param {Array<Object>} descriptors - Counter descriptors
+ * @returns {Promise<Object|null>} Locked counter
+ */
+const findActiveLock = (descriptors) => {
+  return LoginThrottle.findOne({
+    key: { $in: descriptors.map(d => d.key) },
+    lockedUntil: { $gt: new Date() }
+  }).sort({ lockedUntil: -1 });
+};
+
+/**
+ * Count one failure against a counter, locking it once the threshold is reached
+ * @param {Object} req - Express request
+ * @param {Object} descriptor - Counter descriptor
+ * @param {number} threshold - Failures allowed within the window
+ * @param {number} windowMs - Counting and lockout window
+ * @returns {Promise<Object>} Updated counter
+ */
+const recordFailure = async (req, descriptor, threshold, windowMs) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + windowMs);
+
+  // Count within the current window when there is one
+  let counter = await LoginThrottle.findOneAndUpdate(
+    { key: descriptor.key, expiresAt: { $gt: now } },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt } },
+    { new: true }
+  );
+
+  // Otherwise start a fresh one, replacing a lapsed counter the TTL index has not removed yet
+  if (!counter) {
+    try {
+      counter = await LoginThrottle.findOneAndUpdate(
+        { key: descriptor.key, expiresAt: { $lte: now } },
+        { $set: { ...descriptor, failures: 1, lastFailureAt: now, lockedUntil: null, expiresAt } },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      // A parallel failure started the window first; count within it
+      if (error.code !== 11000) {
+        throw error;
+      }
+      counter = await LoginThrottle.findOneAndUpdate(
+        { key: descriptor.key },
+        { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt } },
+        { new: true }
+      );
+    }
+  }
+
+  // Only the request that sets the lock records it
+  let newlyLocked = false;
+  if (counter.failures >= threshold && !counter.isLocked) {
+    const locked = await LoginThrottle.findOneAndUpdate(
+      { _id: counter._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil: expiresAt } },
+      { new: true }
+    );
+    newlyLocked = Boolean(locked);
+    counter = locked || await LoginThrottle.findById(counter._id) || counter;
+  }
+
+  if (newlyLocked) {
+    await recordAudit(req, {
+      action: 'auth.lockout',
+      targetModel: counter.admin ? 'Admin' : undefined,
+      targetId: counter.admin,
+      metadata: {
+        scope: counter.scope,
+        key: counter.key,
+        failures: counter.failures,
+        lockedUntil: counter.lockedUntil
+      }
+    });
+  }
+
+  return counter;
+};
+
+/**
+ * Count a failed login against both the account and the client IP
+ * @param {Object} req - Express request
+ * @param {Object} keys - Result of getThrottleKeys
+ * @returns {Promise<Object|null>} Active lock after this failure, if any
+ */
+const registerLoginFailure = async (req, keys) => {
+  const { maxAttempts, windowMs } = await getLockoutPolicy();
+
+  const counters = [
+    await recordFailure(req, keys.account, maxAttempts, windowMs),
+    await recordFailure(req, keys.ip, maxAttempts * IP_THRESHOLD_MULTIPLIER, windowMs)
+  ];
+
+  return counters.find(counter => counter.isLocked) || null;
+};
+
+/**
+ * Reset the account counter after a successful login
+ * @param {Object} keys - Result of getThrottleKeys
+ * @returns {Promise<void>}
+ */
+const clearLoginFailures = async (keys) => {
+  await LoginThrottle.deleteOne({ key: keys.account.key });
+};
+
+/**
+ * Remove an account lockout
+ * @param {string} adminId - Admin ID
+ * @returns {Promise<Object|null>} Removed counter
+ */
+const unlockAccount = (adminId) => {
+  return LoginThrottle.findOneAndDelete({ key: `account:${adminId}` });
+};
+
+/**
+ * Seconds until a lock expires, for the Retry-After header
+ * @param {Object} lock - Locked counter
+ * @returns {number} Seconds
+ */
+const getRetryAfterSeconds = (lock) => {
+  return Math.max(1, Math.ceil((lock.lockedUntil.getTime() - Date.now()) / 1000));
+};
+
+module.exports = {
+  getThrottleKeys,
+  findActiveLock,
+  registerLoginFailure,
+  clearLoginFailures,
+  unlockAccount,
+  getRetryAfterSeconds
+};
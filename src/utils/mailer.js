@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Pride Community <no-reply@localhost>';
+
+/**
+ * Transport that writes each message as an .eml file, for local development and tests
+ * @param {string} directory - Output directory
+ * @returns {Object} Transport with a nodemailer-compatible sendMail()
+ */
+const createFileTransport = (directory) => {
+  const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    sendMail: async (message) => {
+      const info = await stream.sendMail(message);
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+      await fs.promises.writeFile(path.join(directory, fileName), info.message);
+
+      return { ...info, path: path.join(directory, fileName) };
+    }
+  };
+};
+
+/**
+ * Transport that only logs who a message is for. The body is left out, since
+ * it can hold reset, verification and invitation links; use the file
+ * transport to read messages in development.
+ * @returns {Object} Transport with a nodemailer-compatible sendMail()
+ */
+const createConsoleTransport = () => {
+  const json = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (message) => {
+      const info = await json.sendMail(message);
+      console.log(`Mail (console transport) to ${message.to}: ${message.subject}`);
+      return info;
+    }
+  };
+};
+
+/**
+ * Build the transport selected by MAIL_TRANSPORT (smtp, file or console)
+ * @returns {Object} Transport
+ */
+const createTransportFromEnv = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'mail-outbox'));
+    default:
+      return createConsoleTransport();
+  }
+};
+
+let transport;
+
+/**
+ * Replace the active transport, e.g. with a stub in tests.
+ * Any object with a nodemailer-style sendMail(message) method works.
+ * @param {Object|null} customTransport - Transport, or null to fall back to the environment
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html, ... } (nodemailer message fields)
+ * @returns {Promise<Object>} Transport result
+ */
+const sendMail = async (message) => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+
+  return await transport.sendMail({ from: DEFAULT_FROM, ...message });
+};
+
+module.exports = {
+  createFileTransport,
+  createConsoleTransport,
+  setTransport,
+  sendMail
+};
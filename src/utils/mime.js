@@ -0,0 +1,261 @@
+/**
+ * Minimal RFC 822 / MIME parser for inbound email: headers (with RFC 2047
+ * encoded words), multipart bodies, base64 and quoted-printable transfer
+ * encodings, text charsets and attachments. Bytes are carried as latin1
+ * strings while parsing so binary content survives untouched.
+ */
+
+// Nesting deeper than this is not followed
+const MAX_DEPTH = 10;
+
+/**
+ * Decode bytes in a charset, falling back to UTF-8 for unknown ones
+ * @param {Buffer} buffer - Raw bytes
+ * @param {string} [charset] - Declared charset
+ * @returns {string}
+ */
+const decodeCharset = (buffer, charset) => {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+};
+
+/**
+ * Decode a quoted-printable string to bytes
+ * @param {string} text - Encoded text (latin1)
+ * @param {boolean} [underscoreIsSpace] - Q encoding of RFC 2047 headers
+ * @returns {Buffer}
+ */
+const decodeQuotedPrintable = (text, underscoreIsSpace = false) => {
+  const source = underscoreIsSpace ? text.replace(/_/g, ' ') : text.replace(/=\r?\n/g, '');
+  return Buffer.from(source.replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+};
+
+/**
+ * Decode RFC 2047 encoded words, e.g. =?UTF-8?B?...?=
+ * @param {string} value - Header value
+ * @returns {string}
+ */
+const decodeWords = (value) => {
+  return String(value || '')
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text, true);
+      return decodeCharset(bytes, charset);
+    });
+};
+
+/**
+ * Split a header block into a map of lower-cased names to lists of raw values
+ * @param {string} block - Header lines
+ * @returns {Object}
+ */
+const parseHeaders = (block) => {
+  const headers = {};
+  const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+
+  for (const line of unfolded.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) {
+      continue;
+    }
+
+    const name = line.substring(0, colon).trim().toLowerCase();
+    (headers[name] = headers[name] || []).push(line.substring(colon + 1).trim());
+  }
+
+  return headers;
+};
+
+/**
+ * Parse a structured header such as Content-Type into its value and parameters
+ * @param {string} header - Raw header value
+ * @returns {Object} { value, params }
+ */
+const parseStructuredHeader = (header) => {
+  const [value, ...rest] = String(header || '').split(';');
+  const params = {};
+
+  for (const part of rest) {
+    const equals = part.indexOf('=');
+    if (equals < 0) {
+      continue;
+    }
+
+    let name = part.substring(0, equals).trim().toLowerCase();
+    let paramValue = part.substring(equals + 1).trim().replace(/^"(.*)"$/, '$1');
+
+    // RFC 2231 extended value, e.g. filename*=UTF-8''na%C3%AFve.txt
+    if (name.endsWith('*')) {
+      name = name.slice(0, -1);
+      const match = /^([^']*)'[^']*'(.*)$/.exec(paramValue);
+      if (match) {
+        const bytes = match[2].replace(/%([0-9A-Fa-f]{2})/g, (escape, hex) => String.fromCharCode(parseInt(hex, 16)));
+        paramValue = decodeCharset(Buffer.from(bytes, 'latin1'), match[1]);
+      }
+    }
+
+    params[name] = decodeWords(paramValue);
+  }
+
+  return { value: value.trim().toLowerCase(), params };
+};
+
+/**
+ * Decode a part body according to its Content-Transfer-Encoding
+ * @param {string} body - Raw body (latin1)
+ * @param {string} [encoding] - Transfer encoding
+ * @returns {Buffer}
+ */
+const decodeTransfer = (body, encoding) => {
+  switch (String(encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+};
+
+/**
+ * Split raw text into header block and body
+ * @param {string} raw - Raw message or part (latin1)
+ * @returns {Array<string>} [headerBlock, body]
+ */
+const splitHeaderBody = (raw) => {
+  const match = /\r?\n\r?\n/.exec(raw);
+  return match
+    ? [raw.substring(0, match.index), raw.substring(match.index + match[0].length)]
+    : [raw, ''];
+};
+
+/**
+ * Walk a MIME part, collecting text bodies and attachments into the result
+ * @param {string} raw - Raw part (latin1)
+ * @param {Object} result - { text, html, attachments } being filled
+ * @param {number} depth - Nesting depth
+ */
+const walkPart = (raw, result, depth) => {
+  const [headerBlock, body] = splitHeaderBody(raw);
+  const headers = parseHeaders(headerBlock);
+  const contentType = parseStructuredHeader((headers['content-type'] || ['text/plain'])[0]);
+  const disposition = parseStructuredHeader((headers['content-disposition'] || [''])[0]);
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < MAX_DEPTH) {
+    const delimiter = `--${contentType.params.boundary}`;
+    // Split on each delimiter, capturing the "--" that marks the closing one
+    const pieces = body.split(new RegExp(`\\r?\\n?${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(--)?[ \\t]*\\r?\\n?`));
+
+    // pieces is [preamble, close?, section, close?, section, ...]. Everything
+    // after the closing delimiter is epilogue; a message cut off before it
+    // still keeps its last part.
+    for (let i = 1; i < pieces.length && pieces[i] !== '--'; i += 2) {
+      if (pieces[i + 1].trim()) {
+        walkPart(pieces[i + 1], result, depth + 1);
+      }
+    }
+    return;
+  }
+
+  const content = decodeTransfer(body, (headers['content-transfer-encoding'] || [])[0]);
+  const filename = disposition.params.filename || contentType.params.name;
+  const isText = contentType.value === 'text/plain' || contentType.value === 'text/html';
+
+  if (isText && disposition.value !== 'attachment' && !filename) {
+    const text = decodeCharset(content, contentType.params.charset);
+    const field = contentType.value === 'text/html' ? 'html' : 'text';
+    result[field] = result[field] ? `${result[field]}\n${text}` : text;
+    return;
+  }
+
+  result.attachments.push({
+    filename: filename || `attachment-${result.attachments.length + 1}`,
+    contentType: contentType.value || 'application/octet-stream',
+    contentId: (headers['content-id'] || [])[0],
+    content
+  });
+};
+
+/**
+ * Addresses in an address-list header, e.g. "Sam <sam@example.org>, b@example.org"
+ * @param {Array<string>} [values] - Raw header values
+ * @returns {Array<string>} Lower-cased addresses
+ */
+const parseAddresses = (values = []) => {
+  return values
+    .flatMap(value => decodeWords(value).match(/[^\s<>,;"]+@[^\s<>,;"]+/g) || [])
+    .map(address => address.toLowerCase());
+};
+
+/**
+ * Message-IDs in a header, e.g. References
+ * @param {Array<string>} [values] - Raw header values
+ * @returns {Array<string>}
+ */
+const parseMessageIds = (values = []) => {
+  return values.flatMap(value => value.match(/<[^<>\s]+>/g) || []);
+};
+
+/**
+ * Turn an HTML body into readable plain text
+ * @param {string} html - HTML
+ * @returns {string}
+ */
+const htmlToText = (html) => {
+  return String(html || '')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Parse a raw email
+ * @param {Buffer|string} raw - Full RFC 822 message
+ * @returns {Object} { headers, subject, from, to, cc, messageId, inReplyTo, references, date, text, html, attachments }
+ */
+const parseEmail = (raw) => {
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(String(raw), 'utf8').toString('latin1');
+  const [headerBlock] = splitHeaderBody(source);
+  const headers = parseHeaders(headerBlock);
+  const result = { text: '', html: '', attachments: [] };
+
+  walkPart(source, result, 0);
+
+  const date = headers.date ? new Date(headers.date[0]) : null;
+
+  return {
+    headers,
+    subject: decodeWords((headers.subject || [''])[0]),
+    from: parseAddresses(headers.from)[0] || null,
+    fromName: decodeWords((headers.from || [''])[0]).replace(/<[^>]*>/, '').replace(/"/g, '').trim(),
+    to: parseAddresses(headers.to),
+    cc: parseAddresses(headers.cc),
+    messageId: parseMessageIds(headers['message-id'])[0] || null,
+    inReplyTo: parseMessageIds(headers['in-reply-to']),
+    references: parseMessageIds(headers.references),
+    date: date && !isNaN(date) ? date : null,
+    text: result.text || htmlToText(result.html),
+    html: result.html,
+    attachments: result.attachments
+  };
+};
+
+module.exports = {
+  decodeWords,
+  parseAddresses,
+  parseEmail
+};
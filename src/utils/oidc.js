@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getSetting } = require('./settings');
+
+// How long discovery documents and signing keys are reused before refetching
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+// How long a user has to finish signing in at the provider
+const LOGIN_STATE_EXPIRE_MS = 10 * 60 * 1000;
+
+// Cookie tying a login in progress to the browser that started it
+const LOGIN_COOKIE = 'oidc_login';
+const LOGIN_COOKIE_PATH = '/api/auth/oidc';
+
+// Give up on a provider that does not answer within this time
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+let providers;
+
+/**
+ * Error for a provider that misbehaves or a login response that does not check
+ * out. Its message is safe to show to the user.
+ * @param {string} message - Error message
+ * @returns {Error} Error named OidcError
+ */
+const oidcError = (message) => {
+  const error = new Error(message);
+  error.name = 'OidcError';
+  return error;
+};
+
+/**
+ * Providers configured in the OIDC_PROVIDERS environment variable, a JSON array of
+ * { id, name, issuer, clientId, clientSecret, scopes, redirectUri }
+ * @returns {Array<Object>}
+ */
+const getProviders = () => {
+  if (providers) {
+    return providers;
+  }
+
+  let configured = [];
+
+  try {
+    configured = JSON.parse(process.env.OIDC_PROVIDERS || '[]');
+  } catch (error) {
+    console.error('OIDC_PROVIDERS is not valid JSON; social login is unavailable');
+  }
+
+  providers = (Array.isArray(configured) ? configured : [])
+    .filter(provider => provider && /^[a-z0-9_-]+$/.test(provider.id) && provider.issuer && provider.clientId)
+    .map(provider => ({
+      id: provider.id,
+      name: provider.name || provider.id,
+      issuer: provider.issuer.replace(/\/$/, ''),
+      clientId: provider.clientId,
+      clientSecret: provider.clientSecret,
+      scopes: provider.scopes || 'openid email profile',
+      redirectUri: provider.redirectUri ||
+        `${process.env.FRONTEND_URL || 'http://localhost:5173'}/auth/oidc/${provider.id}/callback`
+    }));
+
+  return providers;
+};
+
+/**
+ * A configured provider by ID
+ * @param {string} id - Provider ID
+ * @returns {Object|null}
+ */
+const getProvider = (id) => {
+  return getProviders().find(provider => provider.id === id) || null;
+};
+
+/**
+ * Whether social login is switched on (`social_login` setting) and has a provider
+ * @returns {Promise<boolean>}
+ */
+const isSocialLoginEnabled = async () => {
+  return getProviders().length > 0 && Boolean(await getSetting('social_login', false));
+};
+
+/**
+ * Fetch JSON from a provider
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>}
+ */
+const fetchJson = async (url, options = {}) => {
+  let response;
+
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  } catch (error) {
+    throw oidcError('The login provider could not be reached');
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    const detail = body && body.error ? ` (${body.error})` : '';
+    throw oidcError(`The login provider rejected the request${detail}`);
+  }
+
+  return body;
+};
+
+/**
+ * The provider's discovery document, cached
+ * @param {Object} provider - Configured provider
+ * @returns {Promise<Object>}
+ */
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.id);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+
+  if (String(metadata.issuer || '').replace(/\/$/, '') !== provider.issuer) {
+    throw oidcError('The login provider is misconfigured');
+  }
+
+  discoveryCache.set(provider.id, { value: metadata, expiresAt: Date.now() + METADATA_CACHE_MS });
+  return metadata;
+};
+
+/**
+ * Public key an ID token was signed with. Refetches the key set once when the
+ * key ID is unknown, so provider key rotation is picked up.
+ * @param {Object} provider - Configured provider
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject>}
+ */
+const getSigningKey = async (provider, kid) => {
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  const cached = jwksCache.get(provider.id);
+  let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+
+  if (!jwk) {
+    const metadata = await discover(provider);
+    const { keys = [] } = await fetchJson(metadata.jwks_uri);
+
+    jwksCache.set(provider.id, { keys, expiresAt: Date.now() + METADATA_CACHE_MS });
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw oidcError('The login response was signed with an unknown key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * URL-safe random value
+ * @returns {string}
+ */
+const randomValue = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Prepare a login: the authorization URL to send the browser to, and the
+ * values that must be kept server-side until the callback
+ * @param {Object} provider - Configured provider
+ * @returns {Promise<Object>} { authorizationUrl, state, browserKey, codeVerifier, nonce, expiresAt }
+ */
+const createAuthorizationRequest = async (provider) => {
+  const metadata = await discover(provider);
+
+  const state = randomValue();
+  const nonce = randomValue();
+  const codeVerifier = randomValue();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return {
+    authorizationUrl: url.toString(),
+    state,
+    browserKey: randomValue(),
+    codeVerifier,
+    nonce,
+    expiresAt: new Date(Date.now() + LOGIN_STATE_EXPIRE_MS)
+  };
+};
+
+/**
+ * Give the browser starting a login a key only it holds. The callback must
+ * present it alongside the state, so a state from someone else's login cannot
+ * be used to sign this browser into their account (login CSRF).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} browserKey - From createAuthorizationRequest
+ */
+const setLoginCookie = (req, res, browserKey) => {
+  const sameSite = (process.env.OIDC_COOKIE_SAMESITE || 'lax').toLowerCase();
+
+  res.cookie(LOGIN_COOKIE, browserKey, {
+    httpOnly: true,
+    secure: req.secure || sameSite === 'none',
+    sameSite,
+    path: LOGIN_COOKIE_PATH,
+    maxAge: LOGIN_STATE_EXPIRE_MS
+  });
+};
+
+/**
+ * Read the key set by setLoginCookie
+ * @param {Object} req - Express request
+ * @returns {string|null} null when the cookie is missing or malformed
+ */
+const readLoginCookie = (req) => {
+  for (const pair of String(req.headers.cookie || '').split(';')) {
+    const [name, ...value] = pair.trim().split('=');
+    if (name === LOGIN_COOKIE && value.length) {
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch (error) {
+        // Malformed percent-encoding; treated as no cookie
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Remove the login cookie once the callback has used it
+ * @param {Object} res - Express response
+ */
+const clearLoginCookie = (res) => {
+  res.clearCookie(LOGIN_COOKIE, { path: LOGIN_COOKIE_PATH });
+};
+
+/**
+ * Exchange an authorization code and return the verified ID token claims
+ * @param {Object} provider - Configured provider
+ * @param {Object} params - { code, codeVerifier, nonce }
+ * @returns {Promise<Object>} ID token claims
+ */
+const completeAuthorization = async (provider, { code, codeVerifier, nonce }) => {
+  const metadata = await discover(provider);
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  if (provider.clientSecret) {
+    form.set('client_secret', provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: form.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError('The login provider did not return an ID token');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw oidcError('The login provider returned a malformed ID token');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, await getSigningKey(provider, decoded.header.kid), {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      audience: provider.clientId,
+      issuer: metadata.issuer
+    });
+  } catch (error) {
+    if (error.name === 'OidcError') {
+      throw error;
+    }
+    throw oidcError('The login provider returned an invalid ID token');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError('The login response does not belong to this login');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  getProviders,
+  getProvider,
+  isSocialLoginEnabled,
+  createAuthorizationRequest,
+  setLoginCookie,
+  readLoginCookie,
+  clearLoginCookie,
+  completeAuthorization
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const Admin = require('../models/Admin');
+const { getSetting } = require('./settings');
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+let commonPasswords;
+
+/**
+ * Load the bundled common/breached password list once
+ * @returns {Set<string>} Lowercased passwords
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+/**
+ * Read the password strength policy from Settings
+ * @returns {Promise<Object>} Policy
+ */
+const getPasswordPolicy = async () => ({
+  minLength: Math.max(8, await getSetting('password_min_length', 8)),
+  requireUppercase: await getSetting('password_require_uppercase', true),
+  requireLowercase: await getSetting('password_require_lowercase', true),
+  requireNumber: await getSetting('password_require_number', true),
+  requireSymbol: await getSetting('password_require_symbol', false),
+  blockCommon: await getSetting('password_block_common', true)
+});
+
+/**
+ * Check a password against the strength policy
+ * @param {string} password - Candidate password
+ * @param {Object} [admin] - Admin the password is for (name, email, username are not allowed in it)
+ * @returns {Promise<Array<string>>} Policy violations, empty when the password is acceptable
+ */
+const validatePasswordStrength = async (password, admin = {}) => {
+  const policy = await getPasswordPolicy();
+  const errors = [];
+  const value = String(password || '');
+
+  if (value.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(value)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push('Password must contain a symbol');
+  }
+  if (policy.blockCommon && getCommonPasswords().has(value.toLowerCase())) {
+    errors.push('This password is too common. Please choose a different one.');
+  }
+
+  const lowered = value.toLowerCase();
+  const personal = [admin.username, admin.email && admin.email.split('@')[0]]
+    .filter(part => part && part.length >= 3)
+    .map(part => part.toLowerCase());
+
+  if (personal.some(part => lowered.includes(part))) {
+    errors.push('Password must not contain your username or email');
+  }
+
+  return errors;
+};
+
+/**
+ * Whether a password matches the current one or any in the admin's history
+ * @param {string} adminId - Admin ID
+ * @param {string} password - Candidate password
+ * @returns {Promise<boolean>}
+ */
+const isPasswordReused = async (adminId, password) => {
+  const admin = await Admin.findById(adminId).select('+password +passwordHistory');
+
+  if (!admin) {
+    return false;
+  }
+
+  const hashes = [admin.password, ...(admin.passwordHistory || [])].filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Whether the admin's password is older than the `password_expiry` setting (days, 0 disables)
+ * @param {Object} admin - Admin document
+ * @returns {Promise<boolean>}
+ */
+const isPasswordExpired = async (admin) => {
+  const expiryDays = await getSetting('password_expiry', 90);
+
+  // A password nobody chose cannot go stale
+  if (!expiryDays || expiryDays <= 0 || admin.hasPassword === false) {
+    return false;
+  }
+
+  // Passwords set before they were dated start their clock now rather than
+  // at account creation, so older accounts are not all expired at once
+  if (!admin.passwordChangedAt) {
+    admin.passwordChangedAt = new Date();
+    await Admin.updateOne(
+      { _id: admin._id, passwordChangedAt: null },
+      { $set: { passwordChangedAt: admin.passwordChangedAt } }
+    );
+    return false;
+  }
+
+  return Date.now() - admin.passwordChangedAt.getTime() > expiryDays * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Run the strength and history checks used whenever a password is set
+ * @param {string} password - New password
+ * @param {Object} admin - Admin document (may be unsaved)
+ * @returns {Promise<Array<string>>} Problems, empty when the password can be used
+ */
+const checkNewPassword = async (password, admin) => {
+  const errors = await validatePasswordStrength(password, admin);
+
+  if (!admin.isNew && await isPasswordReused(admin._id, password)) {
+    errors.push('You cannot reuse one of your recent passwords');
+  }
+
+  return errors;
+};
+
+module.exports = {
+  getPasswordPolicy,
+  validatePasswordStrength,
+  isPasswordReused,
+  isPasswordExpired,
+  checkNewPassword
+};
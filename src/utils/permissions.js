@@ -0,0 +1,86 @@
+const Role = require('../models/Role');
+const {
+  PERMISSION_KEYS,
+  SUPERUSER_ROLE,
+  BUILT_IN_ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+} = require('../config/permissions');
+
+/**
+ * Permissions granted to a role, read from the Role collection on every call
+ * so edits apply immediately. Built-in roles fall back to their defaults
+ * until roles have been seeded.
+ * @param {string} roleName - Role name
+ * @returns {Promise<Array<string>>} Permission keys
+ */
+const getRolePermissions = async (roleName) => {
+  if (roleName === SUPERUSER_ROLE) {
+    return PERMISSION_KEYS;
+  }
+
+  const role = await Role.findOne({ name: roleName }).lean();
+
+  if (role) {
+    return role.permissions;
+  }
+
+  return DEFAULT_ROLE_PERMISSIONS[roleName] || [];
+};
+
+/**
+ * Whether an authenticated admin holds a permission
+ * @param {Object} admin - req.admin
+ * @param {string} permission - Permission key
+ * @returns {boolean}
+ */
+const hasPermission = (admin, permission) => {
+  return Boolean(admin && admin.permissions && admin.permissions.includes(permission));
+};
+
+/**
+ * Whether an admin account is active and its role grants a permission. For
+ * checking admins other than the one making the request.
+ * @param {Object} admin - Admin document
+ * @param {string} permission - Permission key
+ * @returns {Promise<boolean>}
+ */
+const adminHasPermission = async (admin, permission) => {
+  if (!admin || !admin.isActive) {
+    return false;
+  }
+  return (await getRolePermissions(admin.role)).includes(permission);
+};
+
+/**
+ * Whether an admin already holds everything a role grants, so handing the
+ * role out or acting as it gains them nothing. The superuser role is only
+ * covered by itself, whatever a custom role holds.
+ * @param {Object} admin - { role, permissions }, e.g. req.admin
+ * @param {string} roleName - Role name
+ * @returns {Promise<boolean>}
+ */
+const coversRole = async (admin, roleName) => {
+  if (!admin || (roleName === SUPERUSER_ROLE && admin.role !== SUPERUSER_ROLE)) {
+    return false;
+  }
+
+  const granted = await getRolePermissions(roleName);
+  return granted.every(permission => hasPermission(admin, permission));
+};
+
+/**
+ * Whether a role name can be assigned
+ * @param {string} roleName - Role name
+ * @returns {Promise<boolean>}
+ */
+const isKnownRole = async (roleName) => {
+  return BUILT_IN_ROLES.includes(roleName) || Boolean(await Role.exists({ name: roleName }));
+};
+
+module.exports = {
+  getRolePermissions,
+  hasPermission,
+  adminHasPermission,
+  coversRole,
+  isKnownRole
+};
@@ -0,0 +1,142 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { getSetting } = require('./settings');
+
+// Expired in-memory counters are swept this often
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Counter key for a route and client
+ * @param {Object} counter - { route, scope, identifier }
+ * @returns {string}
+ */
+const buildKey = ({ route, scope, identifier }) => `${route}:${scope}:${identifier}`;
+
+/**
+ * In-process store. Counts are lost on restart and not shared between instances.
+ * @returns {Object} Store
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt.getTime() <= now) {
+        counters.delete(key);
+      }
+    }
+  };
+
+  setInterval(sweep, MEMORY_SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+
+    async increment(counter, windowMs) {
+      const key = buildKey(counter);
+      const now = new Date();
+      let current = counters.get(key);
+
+      if (!current || current.resetAt <= now) {
+        current = { ...counter, key, count: 0, resetAt: new Date(now.getTime() + windowMs) };
+        counters.set(key, current);
+      }
+
+      current.count += 1;
+      return { count: current.count, resetAt: current.resetAt };
+    },
+
+    async list() {
+      sweep();
+      return [...counters.values()].map(counter => ({ ...counter }));
+    },
+
+    async reset(key) {
+      return counters.delete(key);
+    }
+  };
+};
+
+/**
+ * Store backed by the RateLimitCounter collection, shared by every instance
+ * @returns {Object} Store
+ */
+const createMongoStore = () => ({
+  name: 'mongo',
+
+  async increment(counter, windowMs) {
+    const key = buildKey(counter);
+    const now = new Date();
+
+    // Count within the current window when there is one
+    let current = await RateLimitCounter.findOneAndUpdate(
+      { key, resetAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+
+    // Otherwise start a new one
+    if (!current) {
+      try {
+        current = await RateLimitCounter.findOneAndUpdate(
+          { key, $or: [{ resetAt: { $lte: now } }, { resetAt: null }] },
+          { $set: { ...counter, count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+          { new: true, upsert: true }
+        );
+      } catch (error) {
+        // Another instance started the window first; count within it
+        if (error.code !== 11000) {
+          throw error;
+        }
+        current = await RateLimitCounter.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true });
+      }
+    }
+
+    return { count: current.count, resetAt: current.resetAt };
+  },
+
+  async list() {
+    return await RateLimitCounter.find({ resetAt: { $gt: new Date() } }).lean();
+  },
+
+  async reset(key) {
+    const result = await RateLimitCounter.deleteOne({ key });
+    return result.deletedCount > 0;
+  }
+});
+
+let store;
+
+/**
+ * The store chosen with RATE_LIMIT_STORE (memory or mongo, default memory)
+ * @returns {Object} Store
+ */
+const getRateLimitStore = () => {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return store;
+};
+
+/**
+ * Read the rate limit policy from Settings
+ * @returns {Promise<Object>} { enabled, windowMs, ipMax, emailMax }
+ */
+const getRateLimitPolicy = async () => {
+  const windowMinutes = await getSetting('rate_limit_window', 15);
+
+  return {
+    enabled: await getSetting('rate_limit_enabled', true),
+    windowMs: Math.max(1, windowMinutes) * 60 * 1000,
+    ipMax: Math.max(1, await getSetting('rate_limit_ip_max', 10)),
+    emailMax: Math.max(1, await getSetting('rate_limit_email_max', 3))
+  };
+};
+
+module.exports = {
+  buildKey,
+  createMemoryStore,
+  createMongoStore,
+  getRateLimitStore,
+  getRateLimitPolicy
+};
@@ -0,0 +1,68 @@
+const { protect, allowPublic } = require('../middleware/auth');
+
+/**
+ * Recover the mount path of a router layer from its Express 4 regexp,
+ * e.g. /^\/api\/contacts\/?(?=\/|$)/i -> /api/contacts
+ * @param {Object} layer - Router layer
+ * @returns {string} Mount path
+ */
+const getMountPath = (layer) => {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\\\//g, '/');
+};
+
+/**
+ * List every route with how it is guarded
+ * @param {Object} stack - Router stack (app._router.stack or router.stack)
+ * @param {string} [prefix] - Path the stack is mounted under
+ * @returns {Array<Object>} { method, path, isProtected, isPublic }
+ */
+const listRoutes = (stack, prefix = '') => {
+  const routes = [];
+
+  for (const layer of stack) {
+    if (layer.route) {
+      const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+      const methods = Object.keys(layer.route.methods).map(method => method.toUpperCase());
+
+      for (const method of methods) {
+        routes.push({
+          method,
+          path: `${prefix}${layer.route.path}`,
+          isProtected: handlers.includes(protect),
+          isPublic: handlers.includes(allowPublic)
+        });
+      }
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      routes.push(...listRoutes(layer.handle.stack, `${prefix}${getMountPath(layer)}`));
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Fail fast when a route is neither protected nor explicitly marked public
+ * @param {Object} app - Express app with every router mounted
+ * @throws {Error} Listing the unguarded routes
+ */
+const assertRouteAccess = (app) => {
+  const unguarded = listRoutes(app._router.stack)
+    .filter(route => !route.isProtected && !route.isPublic);
+
+  if (unguarded.length > 0) {
+    const list = unguarded.map(route => `  ${route.method} ${route.path}`).join('\n');
+    throw new Error(`Routes without authentication (add protect, or allowPublic if intended):\n${list}`);
+  }
+};
+
+module.exports = {
+  listRoutes,
+  assertRouteAccess
+};
@@ -0,0 +1,44 @@
+const Settings = require('../models/Settings');
+
+/**
+ * Coerce a stored setting value according to its declared type.
+ * Seeded numeric settings are stored as strings (e.g. '30').
+ * @param {*} value - Raw stored value
+ * @param {string} type - Setting type
+ * @returns {*} Coerced value
+ */
+const coerceValue = (value, type) => {
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'boolean':
+      return value === true || value === 'true';
+    default:
+      return value;
+  }
+};
+
+/**
+ * Read a setting from the database on every call, so changes made through
+ * /api/settings take effect without a restart.
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Value used when the setting is missing or invalid
+ * @returns {Promise<*>} Setting value
+ */
+const getSetting = async (key, defaultValue) => {
+  const setting = await Settings.findOne({ key }).lean();
+
+  if (!setting || setting.value === null || setting.value === undefined) {
+    return defaultValue;
+  }
+
+  const value = coerceValue(setting.value, setting.type);
+  return value === null ? defaultValue : value;
+};
+
+module.exports = {
+  coerceValue,
+  getSetting
+};
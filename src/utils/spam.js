@@ -0,0 +1,208 @@
+const FormTokenUse = require('../models/FormTokenUse');
+const { getSetting } = require('./settings');
+const { verifyFormToken } = require('./tokens');
+const { DISPOSABLE_DOMAINS } = require('../config/disposableDomains');
+
+// Forms that hand out tokens and run the spam checks
+const SPAM_CHECKED_FORMS = ['contact', 'community', 'volunteer', 'newsletter'];
+
+// Hidden field real visitors never fill in
+const HONEYPOT_FIELD = 'website';
+
+// Body field carrying the token from GET /api/forms/:form/token
+const FORM_TOKEN_FIELD = 'formToken';
+
+// Submissions one form token covers; a few, so a visitor can retry after a validation error
+const FORM_TOKEN_MAX_USES = 3;
+
+// Points per check. A submission at or above the spam_threshold setting is spam.
+const SPAM_SCORES = {
+  honeypot: 10,
+  missing_token: 2,
+  invalid_token: 5,
+  reused_token: 5,
+  too_fast: 5,
+  too_many_links: 3,
+  disposable_email: 4,
+  blocked_keyword: 3
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+/**
+ * Read the spam filter policy from Settings
+ * @returns {Promise<Object>}
+ */
+const getSpamPolicy = async () => {
+  const keywords = await getSetting('spam_keywords', '');
+
+  return {
+    enabled: await getSetting('spam_filter_enabled', true),
+    threshold: Math.max(1, await getSetting('spam_threshold', 5)),
+    minSubmitSeconds: Math.max(0, await getSetting('spam_min_submit_seconds', 3)),
+    maxLinks: Math.max(0, await getSetting('spam_max_links', 2)),
+    blockDisposable: await getSetting('spam_block_disposable', true),
+    keywords: String(keywords || '')
+      .split(/[,\n]/)
+      .map(keyword => keyword.trim().toLowerCase())
+      .filter(Boolean)
+  };
+};
+
+/**
+ * Whether an address belongs to a throwaway email provider
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+const isDisposableEmail = (email) => {
+  const domain = String(email || '').trim().toLowerCase().split('@')[1] || '';
+  return DISPOSABLE_DOMAINS.some(listed => domain === listed || domain.endsWith(`.${listed}`));
+};
+
+/**
+ * Count a submission against its form token. Without a cap, one fetched token
+ * would let a bot skip the time-to-submit check on every later submission.
+ * @param {Object} token - Decoded form token
+ * @returns {Promise<boolean>} Whether the token is still within FORM_TOKEN_MAX_USES
+ */
+const useFormToken = async (token) => {
+  const filter = { tokenId: token.jti };
+  const update = {
+    $inc: { uses: 1 },
+    $setOnInsert: { form: token.form, expiresAt: new Date(token.exp * 1000) }
+  };
+
+  let record;
+  try {
+    record = await FormTokenUse.findOneAndUpdate(filter, update, { new: true, upsert: true });
+  } catch (error) {
+    // Two submissions with a new token at once: the other one created the record
+    if (error.code !== 11000) {
+      throw error;
+    }
+    record = await FormTokenUse.findOneAndUpdate(filter, update, { new: true });
+  }
+
+  return record.uses <= FORM_TOKEN_MAX_USES;
+};
+
+/**
+ * All free-text values of a submission, for the link and keyword checks
+ * @param {Object} body - Request body
+ * @returns {string}
+ */
+const collectText = (body) => {
+  return Object.entries(body || {})
+    .filter(([field]) => field !== FORM_TOKEN_FIELD && field !== HONEYPOT_FIELD)
+    .flatMap(([, value]) => (Array.isArray(value) ? value : [value]))
+    .filter(value => typeof value === 'string')
+    .join('\n');
+};
+
+/**
+ * Score a public submission
+ * @param {string} form - Form name, one of SPAM_CHECKED_FORMS
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { isSpam, score, reasons }
+ */
+const checkSubmission = async (form, body = {}) => {
+  const policy = await getSpamPolicy();
+
+  if (!policy.enabled) {
+    return { isSpam: false, score: 0, reasons: [] };
+  }
+
+  const reasons = [];
+
+  if (body[HONEYPOT_FIELD]) {
+    reasons.push('honeypot');
+  }
+
+  if (!body[FORM_TOKEN_FIELD]) {
+    reasons.push('missing_token');
+  } else {
+    const token = verifyFormToken(body[FORM_TOKEN_FIELD], form);
+
+    if (!token) {
+      reasons.push('invalid_token');
+    } else if (!(await useFormToken(token))) {
+      reasons.push('reused_token');
+    } else if (Date.now() - token.issuedAt < policy.minSubmitSeconds * 1000) {
+      reasons.push('too_fast');
+    }
+  }
+
+  const text = collectText(body);
+  const lowerText = text.toLowerCase();
+
+  if ((text.match(LINK_PATTERN) || []).length > policy.maxLinks) {
+    reasons.push('too_many_links');
+  }
+
+  if (policy.blockDisposable && isDisposableEmail(body.email)) {
+    reasons.push('disposable_email');
+  }
+
+  for (const keyword of policy.keywords) {
+    if (lowerText.includes(keyword)) {
+      reasons.push(`blocked_keyword:${keyword}`);
+    }
+  }
+
+  const score = reasons.reduce((total, reason) => total + SPAM_SCORES[reason.split(':')[0]], 0);
+
+  return {
+    isSpam: score >= policy.threshold,
+    score,
+    reasons
+  };
+};
+
+/**
+ * Spam details to store on a submission
+ * @param {Object} result - Result of checkSubmission
+ * @returns {Object}
+ */
+const toSpamRecord = (result) => ({
+  score: result.score,
+  reasons: result.reasons,
+  checkedAt: new Date()
+});
+
+/**
+ * Apply an admin's verdict to a submission. Spam moves it to the spam status;
+ * a false positive goes back to the status it would have started with.
+ * @param {Object} doc - Submission document
+ * @param {boolean} isSpam - Verdict
+ * @param {string} adminId - Reviewing admin
+ * @returns {Object} The document, unsaved
+ */
+const applySpamVerdict = (doc, isSpam, adminId) => {
+  doc.status = isSpam ? 'spam' : doc.schema.path('status').defaultValue;
+  doc.set('spam.reviewedBy', adminId);
+  doc.set('spam.reviewedAt', new Date());
+  doc.set('spam.verdict', isSpam ? 'spam' : 'not_spam');
+  return doc;
+};
+
+/**
+ * A submission as echoed back to the public form, without anything that would
+ * tell a bot whether it was caught or how it was triaged
+ * @param {Object} doc - Submission document
+ * @returns {Object}
+ */
+const toPublicSubmission = (doc) => {
+  const { spam, status, priority, triage, assignedTo, assignedAt, assignmentHistory, tags, ...submission } = doc.toJSON();
+  return submission;
+};
+
+module.exports = {
+  SPAM_CHECKED_FORMS,
+  HONEYPOT_FIELD,
+  FORM_TOKEN_FIELD,
+  isDisposableEmail,
+  checkSubmission,
+  toSpamRecord,
+  applySpamVerdict,
+  toPublicSubmission
+};
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const { TAGGABLE_ENTITIES } = require('../config/taggables');
+
+// Fields shown for tags on list results
+const TAG_FIELDS = 'name slug color';
+
+/**
+ * Split a tag list given as "a,b" or ['a', 'b']
+ * @param {string|Array<string>} value - Tag IDs or slugs
+ * @returns {Array<string>}
+ */
+const parseTagList = (value) => {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Look up tags by ID or slug
+ * @param {string|Array<string>} value - Tag IDs or slugs
+ * @returns {Promise<Object>} { tags, missing }
+ */
+const resolveTags = async (value) => {
+  const requested = parseTagList(value);
+  if (!requested.length) {
+    return { tags: [], missing: [] };
+  }
+
+  const ids = requested.filter(item => mongoose.isValidObjectId(item));
+  const tags = await Tag.find({
+    $or: [{ _id: { $in: ids } }, { slug: { $in: requested.map(item => item.toLowerCase()) } }]
+  });
+
+  const missing = requested.filter(item =>
+    !tags.some(tag => String(tag._id) === item || tag.slug === item.toLowerCase())
+  );
+
+  return { tags, missing };
+};
+
+/**
+ * Query condition for a ?tags= filter. Records need every tag, or any of them
+ * with tagMatch=any. Unknown tags match nothing rather than being ignored.
+ * @param {string|Array<string>} value - Tag IDs or slugs
+ * @param {string} [tagMatch] - all (default) or any
+ * @returns {Promise<Object|null>} Condition on the tags field, or null for no filter
+ */
+const buildTagFilter = async (value, tagMatch) => {
+  if (!parseTagList(value).length) {
+    return null;
+  }
+
+  const { tags, missing } = await resolveTags(value);
+  const ids = tags.map(tag => tag._id);
+
+  if (tagMatch === 'any') {
+    return { $in: ids };
+  }
+
+  return missing.length ? { $in: [] } : { $all: ids };
+};
+
+/**
+ * Model of a taggable entity
+ * @param {string} entity - Key of TAGGABLE_ENTITIES
+ * @returns {Object|null} Mongoose model
+ */
+const getTaggableModel = (entity) => {
+  const config = TAGGABLE_ENTITIES[entity];
+  return config ? require(`../models/${config.model}`) : null;
+};
+
+/**
+ * Add and remove tags on every record matching a filter
+ * @param {Object} Model - Taggable model
+ * @param {Object} filter - Records to change
+ * @param {Object} changes - { add: tag IDs, remove: tag IDs }
+ * @param {Object} [options] - Update options, e.g. { session }
+ * @returns {Promise<number>} Updates made; a record that gained and lost tags counts twice
+ */
+const applyTags = async (Model, filter, { add = [], remove = [] }, options = {}) => {
+  let modified = 0;
+
+  // $addToSet and $pull cannot touch the same field in one update
+  if (add.length) {
+    const result = await Model.updateMany(filter, { $addToSet: { tags: { $each: add } } }, options);
+    modified += result.modifiedCount;
+  }
+
+  if (remove.length) {
+    const result = await Model.updateMany(filter, { $pull: { tags: { $in: remove } } }, options);
+    modified += result.modifiedCount;
+  }
+
+  return modified;
+};
+
+/**
+ * Take a tag off every record that has it
+ * @param {string} tagId - Tag ID
+ */
+const removeTagEverywhere = async (tagId) => {
+  await Promise.all(Object.keys(TAGGABLE_ENTITIES).map(entity =>
+    getTaggableModel(entity).updateMany({ tags: tagId }, { $pull: { tags: tagId } })
+  ));
+};
+
+/**
+ * How many records of each entity carry each tag
+ * @returns {Promise<Object>} Tag ID to { entity: count }
+ */
+const countTagUsage = async () => {
+  const usage = {};
+
+  for (const entity of Object.keys(TAGGABLE_ENTITIES)) {
+    const counts = await getTaggableModel(entity).aggregate([
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+
+    for (const { _id, count } of counts) {
+      usage[_id] = { ...usage[_id], [entity]: count };
+    }
+  }
+
+  return usage;
+};
+
+module.exports = {
+  TAG_FIELDS,
+  parseTagList,
+  resolveTags,
+  buildTagFilter,
+  getTaggableModel,
+  applyTags,
+  removeTagEverywhere,
+  countTagUsage
+};
@@ -0,0 +1,43 @@
+/**
+ * Fill {{ placeholders }} in a reply template. Placeholders are dotted paths
+ * into the values, e.g. {{sender.name}}; unknown ones are left blank.
+ * @param {string} template - Template text
+ * @param {Object} values - Values to fill in
+ * @returns {string}
+ */
+const renderTemplate = (template, values) => {
+  return String(template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = path.split('.').reduce(
+      (current, key) => (current !== null && current !== undefined ? current[key] : undefined),
+      values
+    );
+    return value === null || value === undefined ? '' : String(value);
+  });
+};
+
+/**
+ * Whether a template uses a placeholder
+ * @param {string} template - Template text
+ * @param {string} path - Dotted placeholder path
+ * @returns {boolean}
+ */
+const usesPlaceholder = (template, path) => {
+  const escaped = path.replace(/\./g, '\\.');
+  return new RegExp(`\\{\\{\\s*${escaped}\\s*\\}\\}`).test(String(template || ''));
+};
+
+/**
+ * Placeholders used in a template, each listed once
+ * @param {string} template - Template text
+ * @returns {Array<string>} Dotted paths
+ */
+const listPlaceholders = (template) => {
+  const paths = [...String(template || '').matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].map(match => match[1]);
+  return [...new Set(paths)];
+};
+
+module.exports = {
+  renderTemplate,
+  usesPlaceholder,
+  listPlaceholders
+};
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { describeDevice } = require('./userAgent');
+const { getSetting } = require('./settings');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7;
+const CHALLENGE_TOKEN_EXPIRE = '5m';
+const IMPERSONATION_TOKEN_EXPIRE = process.env.IMPERSONATION_EXPIRE || '15m';
+const FORM_TOKEN_EXPIRE = '1d';
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a random opaque token
+ * @param {number} [bytes=48] - Number of random bytes
+ * @returns {string} Hex encoded token
+ */
+const generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Idle timeout from the `session_timeout` setting (minutes, 0 disables).
+ * Read on every call so changes apply without a restart.
+ * @returns {Promise<number>} Timeout in milliseconds, 0 when disabled
+ */
+const getIdleTimeoutMs = async () => {
+  const minutes = await getSetting('session_timeout', 30);
+  return minutes > 0 ? minutes * 60 * 1000 : 0;
+};
+
+/**
+ * Whether a session has been idle longer than the timeout
+ * @param {Object} session - Session document
+ * @param {number} idleTimeoutMs - Timeout in milliseconds, 0 when disabled
+ * @returns {boolean}
+ */
+const isSessionIdle = (session, idleTimeoutMs) => {
+  return Boolean(idleTimeoutMs) && Date.now() - session.lastSeenAt.getTime() > idleTimeoutMs;
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} admin - Admin document
+ * @param {Object} session - Session document
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (admin, session) => {
+  return jwt.sign(
+    { id: admin._id, role: admin.role, sid: session._id },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - Signed JWT
+ * @returns {Object} Decoded payload
+ */
+const verifyAccessToken = (token) => {
+  return jwt.verify(token, JWT_SECRET);
+};
+
+/**
+ * Sign a short-lived token that lets an admin act as another admin.
+ * It is bound to the impersonator's own session, so revoking or idling out
+ * that session ends the impersonation too. There is no refresh token.
+ * @param {Object} target - Admin being impersonated
+ * @param {Object} impersonator - { id, sessionId } of the admin doing it
+ * @param {Object} options - { readOnly, reason }
+ * @returns {string} Signed JWT
+ */
+const signImpersonationToken = (target, impersonator, { readOnly, reason }) => {
+  return jwt.sign(
+    {
+      id: target._id,
+      role: target.role,
+      sid: impersonator.sessionId,
+      purpose: 'impersonation',
+      impersonatorId: impersonator.id,
+      readOnly,
+      reason
+    },
+    JWT_SECRET,
+    { expiresIn: IMPERSONATION_TOKEN_EXPIRE }
+  );
+};
+
+/**
+ * Sign a short-lived token proving the first (password or social) step of a two-step login.
+ * It carries no session ID, so protect() never accepts it.
+ * @param {Object} admin - Admin document
+ * @param {string} [credentialType] - Identifier used at the first step, for login history
+ * @param {string} [provider] - OpenID Connect provider ID when the first step was a social login
+ * @returns {string} Signed JWT
+ */
+const signChallengeToken = (admin, credentialType, provider) => {
+  return jwt.sign(
+    { id: admin._id, purpose: '2fa_challenge', credentialType, provider },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_EXPIRE }
+  );
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - Signed JWT
+ * @returns {Object|null} Decoded payload, or null if invalid
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === '2fa_challenge' ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Sign a token handed to a public form when it is displayed. Submitting it back
+ * proves the form was loaded first and shows how long the visitor took. Its ID
+ * lets the spam check count how often it is submitted.
+ * @param {string} form - Form name, e.g. contact
+ * @returns {string} Signed JWT
+ */
+const signFormToken = (form) => {
+  return jwt.sign(
+    { purpose: 'form', form, issuedAt: Date.now() },
+    JWT_SECRET,
+    { expiresIn: FORM_TOKEN_EXPIRE, jwtid: generateRandomToken(16) }
+  );
+};
+
+/**
+ * Verify a public form token
+ * @param {string} token - Signed JWT
+ * @param {string} form - Form the token must have been issued for
+ * @returns {Object|null} Decoded payload, or null if invalid
+ */
+const verifyFormToken = (token, form) => {
+  try {
+    const decoded = jwt.verify(String(token), JWT_SECRET);
+    return decoded.purpose === 'form' && decoded.form === form && decoded.jti ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Sign a reply token for a contact thread. It goes in the local part of the
+ * Reply-To address, so it has to stay short and case-insensitive.
+ * @param {string} contactId - Contact ID
+ * @returns {string} e.g. c-<contactId>.<signature>
+ */
+const signReplyToken = (contactId) => {
+  const signature = crypto.createHmac('sha256', JWT_SECRET)
+    .update(`contact-reply:${contactId}`)
+    .digest('hex')
+    .substring(0, 16);
+  return `c-${contactId}.${signature}`;
+};
+
+/**
+ * Find a valid reply token in some text, e.g. a recipient address
+ * @param {string} text - Text that may contain a token
+ * @returns {string|null} Contact ID, or null if there is no valid token
+ */
+const verifyReplyToken = (text) => {
+  const pattern = /c-([0-9a-f]{24})\.([0-9a-f]{16})/gi;
+  let match;
+
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    const contactId = match[1].toLowerCase();
+    const expected = signReplyToken(contactId).split('.')[1];
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(match[2].toLowerCase()))) {
+      return contactId;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Request metadata stored against a session
+ * @param {Object} req - Express request
+ * @returns {Object} IP address, user agent and device label
+ */
+const getClientInfo = (req) => {
+  const userAgent = (req.get('user-agent') || '').substring(0, 500);
+
+  return {
+    ipAddress: req.ip,
+    userAgent,
+    device: describeDevice(userAgent)
+  };
+};
+
+/**
+ * Start a new session for an admin and issue its first token pair
+ * @param {Object} admin - Admin document
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Access token, refresh token and session
+ */
+const issueSession = async (admin, req) => {
+  const refreshToken = generateRandomToken();
+
+  const session = await Session.create({
+    admin: admin._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+    ...getClientInfo(req)
+  });
+
+  return {
+    token: signAccessToken(admin, session),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting a token that has already been rotated out revokes the whole session.
+ * Refreshing is not user activity, so it does not extend the idle timeout.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { session, refreshToken } on success or { error } on failure
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRandomToken();
+  const idleTimeoutMs = await getIdleTimeoutMs();
+
+  const query = {
+    refreshTokenHash: tokenHash,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  };
+
+  if (idleTimeoutMs) {
+    query.lastSeenAt = { $gt: new Date(Date.now() - idleTimeoutMs) };
+  }
+
+  // Conditioned on the current hash so two concurrent refreshes cannot both win
+  const session = await Session.findOneAndUpdate(
+    query,
+    {
+      refreshTokenHash: hashToken(newRefreshToken),
+      $push: { previousTokenHashes: tokenHash },
+      ipAddress: getClientInfo(req).ipAddress
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: newRefreshToken };
+  }
+
+  const current = await Session.findOne({ refreshTokenHash: tokenHash, revokedAt: null });
+
+  if (current && isSessionIdle(current, idleTimeoutMs)) {
+    await current.revoke('idle_timeout');
+    return { error: 'idle' };
+  }
+
+  const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+
+  if (reused) {
+    if (!reused.revokedAt) {
+      await reused.revoke('refresh_token_reuse');
+    }
+    return { error: 'reuse' };
+  }
+
+  return { error: 'invalid' };
+};
+
+module.exports = {
+  hashToken,
+  generateRandomToken,
+  signAccessToken,
+  verifyAccessToken,
+  signImpersonationToken,
+  getIdleTimeoutMs,
+  isSessionIdle,
+  signChallengeToken,
+  verifyChallengeToken,
+  signFormToken,
+  verifyFormToken,
+  signReplyToken,
+  verifyReplyToken,
+  getClientInfo,
+  issueSession,
+  rotateRefreshToken
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Current TOTP time step
+ * @param {number} [now=Date.now()] - Timestamp in milliseconds
+ * @returns {number} Time step
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD);
+
+/**
+ * Check a TOTP code, allowing one step of clock drift either side
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code supplied by the user
+ * @param {number} [window=1] - Steps of drift to accept
+ * @returns {number|null} Matching time step, or null if the code is wrong
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label shown in the app
+ * @param {string} issuer - Issuer label shown in the app
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  hotp,
+  currentStep,
+  verifyCode,
+  buildOtpauthUri
+};
@@ -0,0 +1,257 @@
+const vm = require('vm');
+const Admin = require('../models/Admin');
+const TriageRule = require('../models/TriageRule');
+const { PRIORITIES, DEFAULT_PRIORITY } = require('../config/priorities');
+const { sendMail } = require('./mailer');
+const { getSetting } = require('./settings');
+const { getRolePermissions, adminHasPermission } = require('./permissions');
+
+// Longest one pattern may run on a message. Patterns run on every public
+// submission, so one that backtracks without end must not hold up the server.
+const PATTERN_TIMEOUT_MS = 50;
+
+const patternContext = vm.createContext({});
+const patternScript = new vm.Script('new RegExp(pattern, "i").test(text)');
+
+/**
+ * Test a rule pattern against text, giving up after PATTERN_TIMEOUT_MS
+ * @param {string} pattern - Regular expression source
+ * @param {string} text - Text to search
+ * @returns {boolean} Whether it matched; false for invalid or timed-out patterns
+ */
+const testPattern = (pattern, text) => {
+  patternContext.pattern = pattern;
+  patternContext.text = text;
+
+  try {
+    return patternScript.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS }) === true;
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      console.warn(`Triage pattern timed out and was skipped: ${pattern}`);
+    }
+    return false;
+  } finally {
+    patternContext.pattern = null;
+    patternContext.text = null;
+  }
+};
+
+/**
+ * What a rule matched in a message
+ * @param {Object} rule - TriageRule document or plain object
+ * @param {Object} message - { subject, message }
+ * @returns {Array<string>|null} Matched keywords and patterns, or null when the rule does not match
+ */
+const matchRule = (rule, message) => {
+  const { keywords = [], patterns = [], fields = ['subject', 'message'], match = 'any' } = rule.conditions || {};
+  const text = fields.map(field => String(message[field] || '')).join('\n');
+  const lowerText = text.toLowerCase();
+
+  const results = [
+    ...keywords.map(keyword => (lowerText.includes(String(keyword).toLowerCase()) ? `keyword:${keyword}` : null)),
+    ...patterns.map(pattern => (testPattern(pattern, text) ? `pattern:${pattern}` : null))
+  ];
+
+  const hits = results.filter(Boolean);
+  const matched = match === 'all' ? results.length > 0 && hits.length === results.length : hits.length > 0;
+
+  return matched ? hits : null;
+};
+
+/**
+ * Run rules over a message, in order. The first category and assignee set
+ * win, the highest priority wins, and any rule can ask for a notification.
+ * @param {Array<Object>} rules - Rules sorted by order
+ * @param {Object} message - { subject, message }
+ * @returns {Object} { category, priority, assignTo, assignedByRule, notify, matched }
+ */
+const evaluateRules = (rules, message) => {
+  const outcome = { category: null, priority: null, assignTo: null, assignedByRule: null, notify: false, matched: [] };
+
+  for (const rule of rules) {
+    const hits = matchRule(rule, message);
+    if (!hits) {
+      continue;
+    }
+
+    const { category, priority, assignTo, notify } = rule.actions || {};
+    outcome.matched.push({ rule: rule._id, name: rule.name, hits });
+
+    if (category && !outcome.category) {
+      outcome.category = category;
+    }
+    if (priority && PRIORITIES.indexOf(priority) > PRIORITIES.indexOf(outcome.priority || DEFAULT_PRIORITY)) {
+      outcome.priority = priority;
+    }
+    if (assignTo && !outcome.assignTo) {
+      outcome.assignTo = assignTo;
+      outcome.assignedByRule = rule.name;
+    }
+    outcome.notify = outcome.notify || Boolean(notify);
+
+    if (rule.stopProcessing) {
+      break;
+    }
+  }
+
+  return outcome;
+};
+
+/**
+ * Active rules in the order they run
+ * @returns {Promise<Array<Object>>}
+ */
+const getActiveRules = async () => {
+  return await TriageRule.find({ isActive: true }).sort({ order: 1, createdAt: 1 });
+};
+
+/**
+ * Triage a message against the active rules. An assignee who can no longer
+ * own contacts is dropped from the outcome.
+ * @param {Object} message - { subject, message }
+ * @param {Array<Object>} [rules] - Rules to run instead of the active ones, e.g. a draft
+ * @returns {Promise<Object>} Outcome of evaluateRules, with assignTo as an Admin document
+ */
+const triageMessage = async (message, rules) => {
+  const outcome = evaluateRules(rules || await getActiveRules(), message);
+
+  if (outcome.assignTo) {
+    const assignee = await Admin.findById(outcome.assignTo);
+    outcome.assignTo = (await adminHasPermission(assignee, 'contacts.reply')) ? assignee : null;
+  }
+
+  return outcome;
+};
+
+/**
+ * Count matches on the rules that fired. Runs once the message is saved, so
+ * failures are logged and swallowed rather than failing the submission.
+ * @param {Object} outcome - From triageMessage
+ */
+const recordRuleMatches = async (outcome) => {
+  if (!outcome.matched.length) {
+    return;
+  }
+
+  try {
+    await TriageRule.updateMany(
+      { _id: { $in: outcome.matched.map(match => match.rule) } },
+      { $inc: { matchCount: 1 }, $set: { lastMatchedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error('Record triage rule matches error:', error);
+  }
+};
+
+// Categories that alert people at once however a message got there, unless
+// the triage_notify_categories setting says otherwise
+const DEFAULT_NOTIFY_CATEGORIES = 'crisis';
+
+/**
+ * Whether a new contact message should alert people at once: a matched rule
+ * asks for it, or its final category is one of `triage_notify_categories`,
+ * whether the visitor or a rule chose it
+ * @param {Object} contact - { category }
+ * @param {Object|null} outcome - From triageMessage, or null when triage did not run
+ * @returns {Promise<boolean>}
+ */
+const shouldNotify = async (contact, outcome) => {
+  if (outcome && outcome.notify) {
+    return true;
+  }
+
+  // Called after the message is saved; fall back to the defaults rather than fail it
+  const configured = await getSetting('triage_notify_categories', DEFAULT_NOTIFY_CATEGORIES).catch(error => {
+    console.error('Read triage notify categories error:', error);
+    return DEFAULT_NOTIFY_CATEGORIES;
+  });
+
+  const categories = String(configured || '')
+    .split(',')
+    .map(category => category.trim().toLowerCase())
+    .filter(Boolean);
+
+  return categories.includes(contact.category);
+};
+
+/**
+ * Who is told about a contact a rule flagged: the triage_notify_emails
+ * setting, or else every active admin who can assign contacts; plus the
+ * assignee
+ * @param {Object|null} assignee - Admin document
+ * @returns {Promise<Array<string>>} Email addresses
+ */
+const getNotifyRecipients = async (assignee) => {
+  const configured = String(await getSetting('triage_notify_emails', '') || '')
+    .split(/[,\n]/)
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  let recipients = configured;
+
+  if (!recipients.length) {
+    const admins = await Admin.find({ isActive: true }).select('email role');
+    const permitted = await Promise.all(admins.map(async admin =>
+      (await getRolePermissions(admin.role)).includes('contacts.assign') ? admin.email : null
+    ));
+    recipients = permitted.filter(Boolean);
+  }
+
+  if (assignee) {
+    recipients.push(assignee.email);
+  }
+
+  return [...new Set(recipients)];
+};
+
+/**
+ * Email the notify recipients about a flagged contact. Sent whatever
+ * `email_notifications` says, since these are the messages that cannot wait.
+ * Mail failures are logged and swallowed so they never block a submission.
+ * @param {Object} contact - Contact document
+ * @param {Object|null} outcome - From triageMessage, or null when triage did not run
+ * @returns {Promise<boolean>} Whether the notification went out
+ */
+const notifyTriage = async (contact, outcome) => {
+  try {
+    const { matched = [], assignTo = null } = outcome || {};
+    const recipients = await getNotifyRecipients(assignTo);
+    if (!recipients.length) {
+      return false;
+    }
+
+    const siteName = await getSetting('site_name', 'Pride Community');
+    const rules = matched.map(match => `- ${match.name} (${match.hits.join(', ')})`);
+
+    await sendMail({
+      to: recipients.join(', '),
+      subject: `[${contact.priority}] New ${contact.category} contact message on ${siteName}: ${contact.subject}`,
+      text: (rules.length
+        ? 'A new contact message matched triage rules that ask for an immediate alert.\n\n'
+        : `A new contact message was filed under ${contact.category}, which always sends an immediate alert.\n\n`) +
+        `From: ${contact.name} <${contact.email}>\n` +
+        `Phone: ${contact.mobile}\n` +
+        `Category: ${contact.category}\n` +
+        `Priority: ${contact.priority}\n` +
+        `Assigned to: ${assignTo ? assignTo.name : 'nobody yet'}\n\n` +
+        `Subject: ${contact.subject}\n\n${contact.message}\n\n` +
+        (rules.length ? `Matched rules:\n${rules.join('\n')}\n\n` : '') +
+        `Open it in the dashboard: ${process.env.FRONTEND_URL || 'http://localhost:5173'}/contacts/${contact._id}`
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Triage notification error:', error);
+    return false;
+  }
+};
+
+module.exports = {
+  matchRule,
+  evaluateRules,
+  triageMessage,
+  recordRuleMatches,
+  shouldNotify,
+  getNotifyRecipients,
+  notifyTriage
+};
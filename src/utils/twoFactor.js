@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const Admin = require('../models/Admin');
+const { getSetting } = require('./settings');
+const { hashToken } = require('./tokens');
+const { verifyCode } = require('./totp');
+
+// Roles that must enrol when the `two_factor` setting is on
+const TWO_FACTOR_REQUIRED_ROLES = ['Admin', 'Sub Admin'];
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields needed to check a second factor
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Whether the `two_factor` setting makes enrolment mandatory for this admin
+ * @param {Object} admin - Admin document
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequired = async (admin) => {
+  if (!TWO_FACTOR_REQUIRED_ROLES.includes(admin.role)) {
+    return false;
+  }
+  return await getSetting('two_factor', false);
+};
+
+/**
+ * Normalize a recovery code as typed by the user
+ * @param {string} code - Recovery code
+ * @returns {string} Lowercase code without separators
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Generate a fresh set of one-time recovery codes
+ * @returns {Object} Plain codes to show once and their hashes to store
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+/**
+ * Check a TOTP code or recovery code against an enrolled admin.
+ * A TOTP code cannot be replayed and a recovery code is consumed on use.
+ * @param {Object} admin - Admin document loaded with TWO_FACTOR_SECRET_FIELDS
+ * @param {Object} factor - { code, recoveryCode }
+ * @returns {Promise<string|null>} 'totp' or 'recovery' on success, otherwise null
+ */
+const verifySecondFactor = async (admin, { code, recoveryCode }) => {
+  if (code && admin.twoFactor.secret) {
+    const step = verifyCode(admin.twoFactor.secret, code);
+
+    if (step !== null) {
+      // Only accept a step newer than the last one used
+      const result = await Admin.updateOne(
+        {
+          _id: admin._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': null },
+            { 'twoFactor.lastUsedStep': { $lt: step } }
+          ]
+        },
+        { 'twoFactor.lastUsedStep': step }
+      );
+
+      if (result.modifiedCount === 1) {
+        return 'totp';
+      }
+    }
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await Admin.updateOne(
+      { _id: admin._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+
+    if (result.modifiedCount === 1) {
+      return 'recovery';
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  verifySecondFactor
+};
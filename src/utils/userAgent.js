@@ -0,0 +1,42 @@
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Build a short human readable device label from a user agent string
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {string} e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) {
+    return userAgent.split(/[\s/]/)[0] || 'Unknown device';
+  }
+
+  return [browser ? browser[0] : 'Unknown browser', platform ? platform[0] : null]
+    .filter(Boolean)
+    .join(' on ');
+};
+
+module.exports = {
+  describeDevice
+};